@@ -0,0 +1,190 @@
+// api/backfill.js
+// Resumable match backfill, called by cron with CRON_SECRET.
+//   ?since=ISO|season  how far back to go (default: 7 days ago)
+//   ?puuid=...         only this player
+//   ?maxMatches=N      stop after storing N matches (handy with a dev key)
+// Pages match-v5 ids with start/count inside a [since, until] window whose end
+// is fixed when the pass starts, so offsets stay stable between invocations.
+// Progress is checkpointed per player in backfill_progress; when the time
+// budget runs out the next call picks up at the same page.
+
+const { isCron }                        = require("../lib/auth");
+const { startRun, finishRun }           = require("../lib/runs");
+const { openStorage }                   = require("../lib/storage");
+const { createRiotClient }              = require("../lib/riot");
+const { regionalHost }                  = require("../lib/regions");
+const { storeMatch, matchSummary }      = require("../lib/matches");
+const { publish }                       = require("../lib/events");
+const { currentSeasonStart }            = require("../lib/seasons");
+const { matchIdsQuery, isTrackedQueue } = require("../lib/queues");
+
+const PAGE_SIZE = 100;      // match-v5 maximum
+const BUDGET_MS = 50*1000;  // stay under the function time limit
+const DAY_MS    = 24*60*60*1000;
+// A pass that follows a finished one starts this long before the old window's
+// end, so matches Riot indexed late are not skipped
+const OVERLAP_MS = 60*60*1000;
+
+// Cron-only: no CORS, every call needs CRON_SECRET
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json");
+
+  const apiKey   = process.env.RIOT_API_KEY;
+  const supabase = openStorage("service");
+  if (!apiKey || !supabase || !process.env.CRON_SECRET)
+    return res.status(500).json({ error: "Missing env vars" });
+  if (!isCron(req))
+    return res.status(401).json({ error: "Unauthorized" });
+
+  const riot  = createRiotClient(apiKey);
+  const query = req.query || {};
+
+  const since = query.since === "season" ? new Date(await currentSeasonStart(supabase))
+    : query.since ? new Date(query.since)
+    : new Date(Date.now() - 7*DAY_MS);
+  if (isNaN(since) || since > new Date())
+    return res.status(400).json({ error: "Invalid since" });
+  const maxMatches = parseInt(query.maxMatches, 10) || Infinity;
+  const deadline   = Date.now() + (Number(process.env.BACKFILL_BUDGET_MS) || BUDGET_MS);
+
+  const run = await startRun(supabase, "backfill");
+  if (!run) return res.status(409).json({ error: "backfill is already running" });
+
+  let playersQuery = supabase.from("players").select("puuid, game_name, platform");
+  if (query.puuid) playersQuery = playersQuery.eq("puuid", query.puuid);
+  const { data: players, error } = await playersQuery;
+  if (error || !players?.length) {
+    await finishRun(supabase, run, "error", { error: "Could not load players" });
+    return res.status(query.puuid ? 404 : 500).json({ error: query.puuid ? "Player not tracked" : "Could not load players" });
+  }
+
+  const budget   = { deadline, matchesLeft: maxMatches };
+  const log      = [];
+  const progress = [];
+  for (const p of players) {
+    progress.push(await backfillPlayer(supabase, riot, p, since, budget, log));
+    if (outOfBudget(budget)) break;
+  }
+  // Players never reached in this invocation
+  for (const p of players.slice(progress.length)) {
+    progress.push({ puuid: p.puuid, gameName: p.game_name, done: false, pages: 0, newMatches: 0, seen: 0, stored: 0, nextStart: null });
+  }
+
+  const newMatches = progress.reduce((n, p) => n + p.newMatches, 0);
+  const done       = progress.every(p => p.done);
+  await finishRun(supabase, run, "ok", { since: since.toISOString(), newMatches, done });
+  return res.status(200).json({
+    done, since: since.toISOString(), newMatches, players: progress, riot: riot.stats(), log,
+  });
+};
+
+// One player: resume or start a pass, then page until the window is exhausted or the budget is
+async function backfillPlayer(supabase, riot, p, since, budget, log) {
+  const result = { puuid: p.puuid, gameName: p.game_name, done: false, pages: 0, newMatches: 0 };
+  const { data: saved, error } = await supabase
+    .from("backfill_progress").select("*").eq("puuid", p.puuid).maybeSingle();
+  // Without the checkpoint the pass would start over from offset 0; skip the player instead
+  if (error) {
+    log.push(`✗ ${p.game_name}: failed to read the checkpoint — ${error.message}`);
+    return { ...result, seen: 0, stored: 0, nextStart: null };
+  }
+  const cp = nextPass(p.puuid, saved, since);
+  const host   = regionalHost(p.platform);
+  const window = { startTime: toEpoch(cp.since), endTime: toEpoch(cp.until) };
+
+  try {
+    while (!cp.done && !outOfBudget(budget)) {
+      const ids = await riot.get(host,
+        `/lol/match/v5/matches/by-puuid/${p.puuid}/ids?${matchIdsQuery({ ...window, start: cp.next_start, count: PAGE_SIZE })}`);
+      result.pages++;
+
+      const { data: known } = await supabase
+        .from("player_matches").select("match_id")
+        .eq("puuid", p.puuid).in("match_id", ids);
+      const knownSet = new Set((known || []).map(m => m.match_id));
+
+      let finishedPage = true;
+      for (const matchId of ids.filter(id => !knownSet.has(id))) {
+        if (outOfBudget(budget)) { finishedPage = false; break; }
+        try {
+          const m = await riot.get(host, `/lol/match/v5/matches/${matchId}`);
+          // A payload without participants won't get any better on a retry
+          if (!Array.isArray(m?.info?.participants)) { log.push(`✗ ${matchId}: malformed payload — skipped`); continue; }
+          if (!isTrackedQueue(m.info.queueId)) continue; // only listed because MATCH_QUEUES is wide
+          // Only store the row for this specific player, not all participants
+          const [row] = await storeMatch(supabase, matchId, m, new Set([p.puuid]), new Date().toISOString());
+          if (row) {
+            await publish(supabase, "match_stored", p.puuid, { matchId, match: matchSummary(row) });
+            log.push(`✓ ${p.game_name} ${matchId} — ${row.champ} ${row.win ? "W" : "L"}`);
+            cp.stored++;
+            result.newMatches++;
+            budget.matchesLeft--;
+          }
+        } catch (e) {
+          if (isPermanent(e)) { log.push(`✗ ${matchId}: ${e.message} — skipped`); continue; }
+          log.push(`✗ ${matchId}: ${e.message}`);
+          finishedPage = false;
+        }
+      }
+      // A page cut short or with a match that may load later is read again next
+      // time; its stored matches then count as known, so only the rest is fetched
+      if (!finishedPage) break;
+
+      cp.seen       += ids.length;
+      cp.next_start += ids.length;
+      cp.done        = ids.length < PAGE_SIZE;
+    }
+  } catch (e) {
+    log.push(`✗ ${p.game_name}: failed to fetch match IDs — ${e.message}`);
+  }
+
+  cp.updated_at = new Date().toISOString();
+  const { error: saveError } = await supabase.from("backfill_progress").upsert(cp, { onConflict: "puuid" });
+  // Unsaved progress is redone from the last saved checkpoint, so the player isn't done yet
+  if (saveError) log.push(`✗ ${p.game_name}: failed to save the checkpoint — ${saveError.message}`);
+  else log.push(`${p.game_name}: ${cp.seen} ids, ${cp.stored} stored${cp.done ? " — done" : ` — resumes at ${cp.next_start}`}`);
+
+  return {
+    ...result,
+    done:      cp.done && !saveError,
+    seen:      cp.seen,
+    stored:    cp.stored,
+    nextStart: cp.done ? null : cp.next_start,
+  };
+}
+
+// A saved pass that already reaches back to `since` is resumed if unfinished;
+// if finished, the new pass only covers what came after it. Asking for an
+// earlier date starts over (already stored matches are skipped cheaply).
+function nextPass(puuid, saved, since) {
+  const now     = new Date();
+  const covered = saved && new Date(saved.target) <= since;
+  if (covered && !saved.done) return { ...saved };
+  const from = covered
+    ? new Date(Math.max(since.getTime(), new Date(saved.until).getTime() - OVERLAP_MS))
+    : since;
+  return {
+    puuid,
+    target:     covered ? saved.target : since.toISOString(),
+    since:      from.toISOString(),
+    until:      now.toISOString(),
+    next_start: 0,
+    seen:       0,
+    stored:     0,
+    done:       false,
+  };
+}
+
+// Riot answering 4xx (other than 429) won't change on a retry; 429s, 5xx,
+// timeouts, storage errors and anything unexpected might
+function isPermanent(e) {
+  return e.status >= 400 && e.status < 500 && e.status !== 429;
+}
+
+function outOfBudget(budget) {
+  return budget.matchesLeft <= 0 || Date.now() >= budget.deadline;
+}
+
+function toEpoch(iso) {
+  return Math.floor(new Date(iso).getTime() / 1000);
+}
@@ -1,5 +1,30 @@
 // api/data.js
-const { createClient } = require("@supabase/supabase-js");
+const { openStorage, selectAll }                         = require("../lib/storage");
+const { rankScore, lpValue, calcLpGain, divisionChange } = require("../lib/rank");
+const { periodRange, leaderboard, weeklyStandings }      = require("../lib/leaderboard");
+const { seasonAt, currentSeasonStart }                   = require("../lib/seasons");
+const { matchSummary }                                   = require("../lib/matches");
+const { TABLES, FORMATS, streamExport }                  = require("../lib/transfer");
+const { AWARDS, listAwards }                             = require("../lib/awards");
+const { loadGroup, scoped, within }                      = require("../lib/groups");
+const {
+  QUEUES, DEFAULT_QUEUE, RANKED_QUEUES, matchQueues, rankOf,
+} = require("../lib/queues");
+
+// Awards this recent show as badges next to the player's name
+const BADGE_MS = 14*24*60*60*1000;
+
+// Modes built on rank snapshots; their &queue must be a ranked one
+const RANK_MODES = ["weekly", "leaderboard", "history", "season", "seasons"];
+
+// Matches in each player's strip on the players mode
+const RECENT_MATCHES = 10;
+
+// Modes with an optional &from / &to window over their rows
+const DATED_MODES = ["history", "champions", "duos", "compare"];
+
+// Most players the compare mode puts side by side
+const COMPARE_MAX = 4;
 
 const CORS = {
   "Access-Control-Allow-Origin":  "*",
@@ -7,80 +32,106 @@ const CORS = {
   "Content-Type":                 "application/json",
 };
 
-const TIER_ORDER = { IRON:0,BRONZE:1,SILVER:2,GOLD:3,PLATINUM:4,EMERALD:5,DIAMOND:6,MASTER:7,GRANDMASTER:8,CHALLENGER:9 };
-const RANK_ORDER = { IV:0,III:1,II:2,I:3 };
-function rankScore(tier, rank, lp) {
-  if (!tier) return -1;
-  return (TIER_ORDER[tier]??-1)*10000 + (RANK_ORDER[rank]??0)*1000 + (lp||0);
-}
-function calcLpGain(tierNow, rankNow, lpNow, tierPrev, rankPrev, lpPrev) {
-  if (!tierPrev) return 0;
-  // Same tier and division — simple LP diff
-  if (tierNow === tierPrev && rankNow === rankPrev)
-    return (lpNow || 0) - (lpPrev || 0);
-  // Different tier or division — use full score diff but scaled back to LP
-  // Each division = 100LP, each tier = 400LP
-  const TIER = { IRON:0,BRONZE:1,SILVER:2,GOLD:3,PLATINUM:4,EMERALD:5,DIAMOND:6,MASTER:7,GRANDMASTER:8,CHALLENGER:9 };
-  const RANK = { IV:0,III:1,II:2,I:3 };
-  const scoreNow  = (TIER[tierNow]??0)*400 + (RANK[rankNow]??0)*100 + (lpNow||0);
-  const scorePrev = (TIER[tierPrev]??0)*400 + (RANK[rankPrev]??0)*100 + (lpPrev||0);
-  return scoreNow - scorePrev;
-}
-
 module.exports = async function handler(req, res) {
   if (req.method === "OPTIONS") { res.writeHead(200, CORS); return res.end(); }
   Object.entries(CORS).forEach(([k,v]) => res.setHeader(k,v));
 
-  const sbUrl = process.env.SUPABASE_URL;
-  const sbKey = process.env.SUPABASE_ANON_KEY;
-  if (!sbUrl || !sbKey) return res.status(500).json({ error: "Supabase not configured" });
+  const supabase = openStorage("anon");
+  if (!supabase) return res.status(500).json({ error: "Storage not configured" });
 
-  const supabase = createClient(sbUrl, sbKey);
   const type     = req.query.type || "players";
+  const platform = req.query.platform || null; // optional region filter, e.g. "eun1"
 
   try {
+    // &group=<slug> scopes every mode to that group's players; members = null means everyone
+    let group = null, members = null;
+    if (req.query.group) {
+      group = await loadGroup(supabase, req.query.group);
+      if (!group) return res.status(404).json({ error: `Unknown group: ${req.query.group}` });
+      members = group.puuids;
+    }
+
+    // &queue=solo|flex|… (lib/queues). Rank modes default to solo; match lists cover every stored queue.
+    const queueKey = req.query.queue || null;
+    if (queueKey && !QUEUES[queueKey]) return res.status(400).json({ error: `Unknown queue: ${queueKey}` });
+    const ranked = queueKey || DEFAULT_QUEUE;
+    if (RANK_MODES.includes(type) && !QUEUES[ranked].type)
+      return res.status(400).json({ error: `${queueKey} is not a ranked queue` });
+    const onQueue = (q) => queueKey ? q.eq("queue_id", QUEUES[queueKey].id) : q;
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to   = req.query.to   ? new Date(req.query.to)   : null;
+    if (DATED_MODES.includes(type) && (isNaN(from) || isNaN(to) || (from && to && from > to)))
+      return res.status(400).json({ error: "Invalid from/to" });
+
     switch (type) {
 
+      case "group": {
+        if (!group) return res.status(400).json({ error: "Missing group" });
+        return res.status(200).json({ slug: group.slug, name: group.name, icon: group.icon, members: members.length });
+      }
+
+      case "queues": {
+        // Catalogue for the queue selectors: every queue, and which ones have matches stored
+        const stored = matchQueues();
+        return res.status(200).json({
+          queues: Object.entries(QUEUES).map(([key, q]) => ({
+            key, id: q.id, type: q.type, label: q.label, ranked: !!q.type, matches: stored.includes(key),
+          })),
+          default: DEFAULT_QUEUE,
+        });
+      }
+
+      case "groups": {
+        const { data: groups, error } = await supabase
+          .from("groups").select("slug, name, icon").order("name", { ascending: true });
+        if (error) throw error;
+        return res.status(200).json({ groups });
+      }
+
       case "players": {
-        const { data: players, error } = await supabase.from("players").select("*");
+        let query = scoped(supabase.from("players").select("*"), members);
+        if (platform) query = query.eq("platform", platform);
+        const { data: players, error } = await query;
         if (error) throw error;
 
         const puuids = players.map(p => p.puuid);
-        const { data: pMatches } = await supabase
-          .from("player_matches")
-          .select("puuid, win, champ, kills, deaths, assists, played_at")
-          .in("puuid", puuids)
-          .order("played_at", { ascending: true });
-
-        const matchesByPuuid = {};
-        for (const m of pMatches || []) {
-          if (!matchesByPuuid[m.puuid]) matchesByPuuid[m.puuid] = [];
-          matchesByPuuid[m.puuid].push(m);
-        }
-        // Keep last 10
-        for (const puuid of Object.keys(matchesByPuuid)) {
-          const all = matchesByPuuid[puuid];
-          matchesByPuuid[puuid] = all.slice(Math.max(0, all.length - 10));
-        }
+        // Newest first per player: one query for everyone would stop at the 1000-row cap
+        const matchesByPuuid = Object.fromEntries(await Promise.all(puuids.map(async puuid => {
+          const { data, error } = await onQueue(supabase
+            .from("player_matches")
+            .select("puuid, match_id, win, champ, kills, deaths, assists, role, cs, gold, damage, vision, items, spells, runes, duration, patch, queue_id, played_at, lp_delta, lp_source, rank_before, rank_after")
+            .eq("puuid", puuid))
+            .order("played_at", { ascending: false })
+            .limit(RECENT_MATCHES);
+          if (error) throw error;
+          return [puuid, (data || []).reverse()];
+        })));
+
+        const badges = await listAwards(supabase, {
+          puuids, group: group?.slug, since: new Date(Date.now() - BADGE_MS).toISOString(), limit: 500,
+        });
 
         const result = players.map(p => ({
           puuid:         p.puuid,
           gameName:      p.game_name,
           tagLine:       p.tag_line,
+          platform:      p.platform,
           profileIconId: p.profile_icon_id,
           summonerLevel: p.summoner_level,
-          rankData: p.tier ? [{
-            queueType:    "RANKED_SOLO_5x5",
-            tier:         p.tier,
-            rank:         p.rank,
-            leaguePoints: p.lp,
-            wins:         p.wins,
-            losses:       p.losses,
-          }] : [],
-          inGame:        p.in_game,
-          recentMatches: (matchesByPuuid[p.puuid] || []).map(m => ({
-            win: m.win, champ: m.champ, k: m.kills, d: m.deaths, a: m.assists,
+          // One entry per ranked queue the player is ranked in, league-v4 style
+          rankData: RANKED_QUEUES.map(key => [key, rankOf(p, key)]).filter(([, r]) => r?.tier).map(([key, r]) => ({
+            queueType:    QUEUES[key].type,
+            tier:         r.tier,
+            rank:         r.rank,
+            leaguePoints: r.lp,
+            wins:         r.wins,
+            losses:       r.losses,
           })),
+          inGame:        p.in_game,
+          liveGame:      p.in_game ? p.live_game : null,
+          recentMatches: (matchesByPuuid[p.puuid] || []).map(matchSummary),
+          badges:        badges.filter(b => b.puuid === p.puuid),
         }));
 
         const updatedAt = players[0]?.updated_at
@@ -89,54 +140,391 @@ module.exports = async function handler(req, res) {
       }
 
       case "weekly": {
-        const weekAgo = new Date(Date.now() - 7*24*60*60*1000).toISOString();
-
-        const { data: current } = await supabase
-          .from("players")
-          .select("puuid, game_name, tag_line, tier, rank, lp, wins, losses");
-
-        const { data: histRows } = await supabase
-          .from("rank_history")
-          .select("puuid, lp, tier, rank, recorded_at")
-          .gte("recorded_at", weekAgo)
-          .order("recorded_at", { ascending: true });
-        const oldByPuuid = {};
-        for (const row of histRows||[]) {
-          if (!oldByPuuid[row.puuid]) oldByPuuid[row.puuid] = row;
-        }
+        const weekly = await weeklyStandings(supabase, { platform, puuids: members, queue: ranked });
+        return res.status(200).json(weekly);
+      }
 
-        const { data: recentMatches } = await supabase
-          .from("player_matches")
-          .select("puuid, win")
-          .gte("played_at", weekAgo);
-        const matchStats = {};
-        for (const m of recentMatches||[]) {
-          if (!matchStats[m.puuid]) matchStats[m.puuid] = { wins:0, losses:0 };
-          if (m.win) matchStats[m.puuid].wins++; else matchStats[m.puuid].losses++;
+      case "leaderboard": {
+        // &period=today|week|month|7d|30d  or  &from=ISO[&to=ISO]  [&sort=lp|games|wr|kda]
+        let range;
+        if (req.query.from) {
+          range = { from: new Date(req.query.from), to: req.query.to ? new Date(req.query.to) : new Date() };
+        } else {
+          range = periodRange(req.query.period || "week");
+          if (!range) return res.status(400).json({ error: `Unknown period: ${req.query.period}` });
         }
+        if (isNaN(range.from) || isNaN(range.to) || range.from > range.to)
+          return res.status(400).json({ error: "Invalid from/to" });
+
+        const rows = await leaderboard(supabase, { ...range, platform, puuids: members, queue: ranked, sort: req.query.sort });
+        return res.status(200).json({
+          queue:   ranked,
+          from:    range.from.toISOString(),
+          to:      range.to.toISOString(),
+          players: rows,
+        });
+      }
+
+      case "history": {
+        // ?puuid=a,b,c [&from=ISO] [&to=ISO] — one timeline per player, overlayable
+        const requested = String(req.query.puuid || "").split(",").filter(Boolean);
+        if (!requested.length) return res.status(400).json({ error: "Missing puuid" });
+        const puuids = within(requested, members);
+
+        const { data: who, error } = await supabase
+          .from("players").select("puuid, game_name, tag_line, platform")
+          .in("puuid", puuids);
+        if (error) throw error;
 
-        const weekly = (current||[]).map(p => {
-          const prev      = oldByPuuid[p.puuid];
-          const nowScore  = rankScore(p.tier, p.rank, p.lp);
-          const prevScore = prev ? rankScore(prev.tier, prev.rank, prev.lp) : nowScore;
-          const lpGain    = calcLpGain(
-            p.tier, p.rank, p.lp,
-            prev?.tier, prev?.rank, prev?.lp
-          );
-          const ms        = matchStats[p.puuid] || { wins:0, losses:0 };
-          const wPlayed   = ms.wins + ms.losses;
+        const rows = await selectAll(() => {
+          let q = supabase
+            .from("rank_history")
+            .select("puuid, tier, rank, lp, wins, losses, recorded_at")
+            .in("puuid", puuids)
+            .eq("queue", QUEUES[ranked].type)
+            .order("recorded_at", { ascending: true });
+          if (from) q = q.gte("recorded_at", from.toISOString());
+          if (to)   q = q.lt("recorded_at", to.toISOString());
+          return q;
+        });
+
+        const seasonStart = await currentSeasonStart(supabase);
+        const history = (who || []).map(p => {
+          const timeline = rows.filter(r => r.puuid === p.puuid);
+          const points   = timeline.map((r, i) => {
+            const prev = timeline[i - 1];
+            return {
+              at:     r.recorded_at,
+              tier:   r.tier,
+              rank:   r.rank,
+              lp:     r.lp,
+              wins:   r.wins,
+              losses: r.losses,
+              value:  lpValue(r.tier, r.rank, r.lp),
+              delta:  prev ? calcLpGain(r.tier, r.rank, r.lp, prev.tier, prev.rank, prev.lp) : 0,
+              change: prev ? divisionChange(r.tier, r.rank, prev.tier, prev.rank) : null,
+            };
+          });
+          const byScore = [...points].sort((a, b) =>
+            rankScore(a.tier, a.rank, a.lp) - rankScore(b.tier, b.rank, b.lp));
           return {
             puuid:       p.puuid,
             gameName:    p.game_name,
             tagLine:     p.tag_line,
-            lpGain,
-            gamesPlayed: wPlayed,
-            weekWins:    ms.wins,
-            weekLosses:  ms.losses,
-            weekWr:      wPlayed > 0 ? Math.round(ms.wins/wPlayed*100) : null,
+            platform:    p.platform,
+            points,
+            peak:        byScore[byScore.length - 1] || null,
+            lowest:      byScore[0] || null,
+            seasonStart: points.find(pt => new Date(pt.at) >= new Date(seasonStart)) || null,
           };
         });
-        return res.status(200).json(weekly);
+        return res.status(200).json({ seasonStart, queue: ranked, players: history });
+      }
+
+      case "champions": {
+        // [&puuid=a,b] [&from=ISO] [&to=ISO] [&minGames=N] [&trend=N]
+        const puuids   = String(req.query.puuid || "").split(",").filter(Boolean);
+        const minGames = Math.max(1, parseInt(req.query.minGames, 10) || 1);
+        const trendN   = Math.max(1, parseInt(req.query.trend, 10) || 5);
+
+        let playersQuery = scoped(supabase.from("players").select("puuid, game_name, tag_line, platform"), members);
+        if (puuids.length) playersQuery = playersQuery.in("puuid", puuids);
+        if (platform)      playersQuery = playersQuery.eq("platform", platform);
+        const { data: who, error } = await playersQuery;
+        if (error) throw error;
+
+        const rows = await selectAll(() => {
+          let q = supabase
+            .from("player_matches")
+            .select("puuid, champ, win, kills, deaths, assists, played_at")
+            .in("puuid", who.map(p => p.puuid))
+            .order("played_at", { ascending: true });
+          q = onQueue(q);
+          if (from) q = q.gte("played_at", from.toISOString());
+          if (to)   q = q.lt("played_at", to.toISOString());
+          return q;
+        });
+
+        const byPlayer = who.map(p => ({
+          puuid:     p.puuid,
+          gameName:  p.game_name,
+          tagLine:   p.tag_line,
+          platform:  p.platform,
+          champions: aggregateChampions(rows.filter(r => r.puuid === p.puuid), trendN)
+            .filter(c => c.games >= minGames),
+        }));
+
+        // Group-wide: same aggregation over everyone, plus who plays it
+        const group = aggregateChampions(rows, trendN)
+          .filter(c => c.games >= minGames)
+          .map(c => ({
+            ...c,
+            players: [...new Set(rows.filter(r => r.champ === c.champ).map(r => r.puuid))].length,
+          }));
+
+        return res.status(200).json({ players: byPlayer, group });
+      }
+
+      case "duos": {
+        // [&from=ISO] [&to=ISO] [&minGames=N] [&recent=N]
+        const minGames = Math.max(1, parseInt(req.query.minGames, 10) || 3);
+        const recentN  = Math.max(1, parseInt(req.query.recent, 10) || 5);
+
+        let playersQuery = scoped(supabase.from("players").select("puuid, game_name, tag_line"), members);
+        if (platform) playersQuery = playersQuery.eq("platform", platform);
+        const { data: who, error } = await playersQuery;
+        if (error) throw error;
+
+        const rows = await selectAll(() => {
+          let q = supabase
+            .from("player_matches")
+            .select("puuid, match_id, team_id, win, champ, played_at")
+            .in("puuid", who.map(p => p.puuid))
+            .order("played_at", { ascending: true });
+          q = onQueue(q);
+          if (from) q = q.gte("played_at", from.toISOString());
+          if (to)   q = q.lt("played_at", to.toISOString());
+          return q;
+        });
+
+        const duos = aggregateDuos(rows, who, recentN);
+        const bestDuos = duos
+          .filter(d => d.together.games >= minGames)
+          .sort((a, b) => b.together.wr - a.together.wr || b.together.games - a.together.games);
+
+        return res.status(200).json({ duos, bestDuos });
+      }
+
+      case "compare": {
+        // ?puuids=a,b[,c,d] [&from=ISO] [&to=ISO] [&recent=N] [&champs=N] — 2–4 players side by side.
+        // from/to bound both the LP graph and the games behind every stat.
+        // Rank, peak and LP graph come from the ranked queue (solo unless &queue is a ranked
+        // one); records, KDA, champions and shared games from &queue's matches, or all of them.
+        const requested = String(req.query.puuids || "").split(",").filter(Boolean);
+        if (requested.length < 2 || requested.length > COMPARE_MAX)
+          return res.status(400).json({ error: `Pick 2 to ${COMPARE_MAX} players` });
+        const recentN = Math.max(1, parseInt(req.query.recent, 10) || 10);
+        const champsN = Math.max(1, parseInt(req.query.champs, 10) || 5);
+        const rankKey = QUEUES[ranked].type ? ranked : DEFAULT_QUEUE;
+
+        const { data: found, error } = await supabase
+          .from("players").select("*").in("puuid", within(requested, members));
+        if (error) throw error;
+        if ((found || []).length < 2)
+          return res.status(404).json({ error: "Fewer than 2 of those players are tracked" });
+        // Keep the order they were asked in, which is the order they are drawn in
+        const who    = requested.map(puuid => found.find(p => p.puuid === puuid)).filter(Boolean);
+        const puuids = who.map(p => p.puuid);
+
+        const snapshots = await selectAll(() => {
+          let q = supabase
+            .from("rank_history")
+            .select("puuid, tier, rank, lp, recorded_at")
+            .in("puuid", puuids)
+            .eq("queue", QUEUES[rankKey].type)
+            .order("recorded_at", { ascending: true });
+          if (from) q = q.gte("recorded_at", from.toISOString());
+          if (to)   q = q.lt("recorded_at", to.toISOString());
+          return q;
+        });
+        const rows = await selectAll(() => {
+          let q = onQueue(supabase
+            .from("player_matches")
+            .select("puuid, match_id, team_id, win, champ, kills, deaths, assists, played_at")
+            .in("puuid", puuids))
+            .order("played_at", { ascending: true });
+          if (from) q = q.gte("played_at", from.toISOString());
+          if (to)   q = q.lt("played_at", to.toISOString());
+          return q;
+        });
+
+        const players = who.map(p => {
+          const current = rankOf(p, rankKey);
+          const points  = snapshots.filter(r => r.puuid === p.puuid).map(r => ({
+            at: r.recorded_at, tier: r.tier, rank: r.rank, lp: r.lp, value: lpValue(r.tier, r.rank, r.lp),
+          }));
+          const peak = [...points, ...(current?.tier ? [current] : [])].reduce((best, r) =>
+            !best || rankScore(r.tier, r.rank, r.lp) > rankScore(best.tier, best.rank, best.lp) ? r : best, null);
+          const mine = rows.filter(r => r.puuid === p.puuid);
+          return {
+            puuid:         p.puuid,
+            gameName:      p.game_name,
+            tagLine:       p.tag_line,
+            platform:      p.platform,
+            profileIconId: p.profile_icon_id,
+            current:       current?.tier ? current : null,
+            peak:          peak ? { tier: peak.tier, rank: peak.rank, lp: peak.lp, at: peak.at ?? null } : null,
+            points,
+            overall:       aggregateRecord(mine),
+            recent:        aggregateRecord(mine.slice(-recentN)),
+            champions:     aggregateChampions(mine, recentN).slice(0, champsN),
+          };
+        });
+
+        return res.status(200).json({
+          queue:   queueKey,
+          ranked:  rankKey,
+          players,
+          shared:  aggregateDuos(rows, who, recentN),
+        });
+      }
+
+      case "season": {
+        // [&season=id] — season-to-date stats, defaults to the running season
+        let season;
+        if (req.query.season) {
+          const { data, error } = await supabase
+            .from("seasons").select("*").eq("id", req.query.season).maybeSingle();
+          if (error) throw error;
+          season = data;
+        } else {
+          season = await seasonAt(supabase);
+        }
+        if (!season) return res.status(404).json({ error: "No season configured" });
+
+        const start = new Date(season.starts_at).toISOString();
+        const ended = season.ends_at && new Date(season.ends_at) <= new Date();
+        const end   = ended ? new Date(season.ends_at).toISOString() : new Date().toISOString();
+
+        let playersQuery = scoped(supabase.from("players").select("puuid, game_name, tag_line, platform, tier, rank, lp, wins, losses, ranks"), members);
+        if (platform) playersQuery = playersQuery.eq("platform", platform);
+        const { data: who, error } = await playersQuery;
+        if (error) throw error;
+        const puuids = who.map(p => p.puuid);
+
+        const hist = await selectAll(() => supabase
+          .from("rank_history").select("puuid, tier, rank, lp, recorded_at")
+          .in("puuid", puuids).eq("queue", QUEUES[ranked].type)
+          .gte("recorded_at", start).lte("recorded_at", end)
+          .order("recorded_at", { ascending: true }));
+        const { data: archived, error: archivedError } = await supabase
+          .from("season_results").select("puuid, tier, rank, lp")
+          .eq("season_id", season.id).eq("queue", QUEUES[ranked].type).in("puuid", puuids);
+        if (archivedError) throw archivedError;
+        const games = await selectAll(() => supabase
+          .from("player_matches").select("puuid, win")
+          .in("puuid", puuids).eq("queue_id", QUEUES[ranked].id).gte("played_at", start).lte("played_at", end));
+
+        const result = who.map(p => {
+          const rows = hist.filter(h => h.puuid === p.puuid);
+          // Baseline: the first snapshot inside the season. The one before it is the
+          // previous split's final rank, above the placement a reset drops players to
+          const baseline = rows[0] || null;
+          const final    = archived?.find(a => a.puuid === p.puuid)
+            || (ended ? rows[rows.length - 1] : rankOf(p, ranked)) || null;
+          const ms   = games.filter(g => g.puuid === p.puuid);
+          const wins = ms.filter(g => g.win).length;
+          return {
+            puuid:    p.puuid,
+            gameName: p.game_name,
+            tagLine:  p.tag_line,
+            platform: p.platform,
+            start:    baseline ? { tier: baseline.tier, rank: baseline.rank, lp: baseline.lp } : null,
+            end:      final?.tier ? { tier: final.tier, rank: final.rank, lp: final.lp } : null,
+            lpGain:   baseline && final?.tier
+              ? calcLpGain(final.tier, final.rank, final.lp, baseline.tier, baseline.rank, baseline.lp) : 0,
+            games:    ms.length,
+            wins,
+            losses:   ms.length - wins,
+            wr:       ms.length ? Math.round(wins / ms.length * 100) : null,
+          };
+        });
+
+        return res.status(200).json({
+          season: { id: season.id, name: season.name, startsAt: season.starts_at, endsAt: season.ends_at, ended: !!ended },
+          queue:  ranked,
+          players: result,
+        });
+      }
+
+      case "seasons": {
+        // Every season with the archived end-of-split rank of each player
+        const { data: seasons, error } = await supabase
+          .from("seasons").select("*").order("starts_at", { ascending: false });
+        if (error) throw error;
+        const { data: results, error: resultsError } = await supabase
+          .from("season_results").select("season_id, puuid, tier, rank, lp, wins, losses")
+          .eq("queue", QUEUES[ranked].type);
+        if (resultsError) throw resultsError;
+        const { data: who, error: whoError } = await scoped(supabase
+          .from("players").select("puuid, game_name, tag_line, profile_icon_id"), members);
+        if (whoError) throw whoError;
+        const names = Object.fromEntries((who || []).map(p => [p.puuid, p]));
+
+        return res.status(200).json({
+          seasons: seasons.map(se => ({
+            id:       se.id,
+            name:     se.name,
+            startsAt: se.starts_at,
+            endsAt:   se.ends_at,
+            archived: !!se.archived_at,
+            results:  (results || [])
+              .filter(r => r.season_id === se.id && names[r.puuid])
+              .map(r => ({
+                puuid:         r.puuid,
+                gameName:      names[r.puuid].game_name,
+                tagLine:       names[r.puuid].tag_line,
+                profileIconId: names[r.puuid].profile_icon_id,
+                tier: r.tier, rank: r.rank, lp: r.lp, wins: r.wins, losses: r.losses,
+              }))
+              .sort((a, b) => rankScore(b.tier, b.rank, b.lp) - rankScore(a.tier, a.rank, a.lp)),
+          })),
+        });
+      }
+
+      case "awards": {
+        // [&puuid=a,b] [&since=ISO] [&limit=N] — newest first, plus the catalogue
+        const requested = String(req.query.puuid || "").split(",").filter(Boolean);
+        const puuids    = requested.length ? within(requested, members) : members;
+        const since     = req.query.since ? new Date(req.query.since) : null;
+        if (since && isNaN(since)) return res.status(400).json({ error: "Invalid since" });
+        const limit     = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+
+        const awards = await listAwards(supabase, { puuids, group: group?.slug, since: since?.toISOString(), limit });
+        const { data: who } = await scoped(supabase.from("players").select("puuid, game_name, tag_line"), members);
+        const names = Object.fromEntries((who || []).map(p => [p.puuid, p]));
+        return res.status(200).json({
+          catalog: AWARDS,
+          awards:  awards.filter(a => names[a.puuid]).map(a => ({
+            ...a, gameName: names[a.puuid].game_name, tagLine: names[a.puuid].tag_line,
+          })),
+        });
+      }
+
+      case "export": {
+        // &table=players|rank_history|player_matches|matches [&format=csv|json] [&puuid=a,b]
+        // [&period=…  or  &from=ISO[&to=ISO]] — streamed as a file download
+        const table     = req.query.table;
+        const format    = req.query.format || "csv";
+        const requested = String(req.query.puuid || "").split(",").filter(Boolean);
+        if (!TABLES[table]) return res.status(400).json({ error: `Unknown table: ${table}` });
+        if (!FORMATS.includes(format)) return res.status(400).json({ error: `Unknown format: ${format}` });
+
+        let range = { from: null, to: null };
+        if (req.query.period) {
+          range = periodRange(req.query.period);
+          if (!range) return res.status(400).json({ error: `Unknown period: ${req.query.period}` });
+        } else if (req.query.from || req.query.to) {
+          range = { from: req.query.from ? new Date(req.query.from) : null, to: req.query.to ? new Date(req.query.to) : null };
+          if ((range.from && isNaN(range.from)) || (range.to && isNaN(range.to)))
+            return res.status(400).json({ error: "Invalid from/to" });
+        }
+
+        res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/json");
+        res.setHeader("Content-Disposition", `attachment; filename="${table}.${format}"`);
+        res.status(200);
+        try {
+          await streamExport(supabase, res, {
+            table, format,
+            puuids: requested.length ? within(requested, members) : members,
+            from:   range.from?.toISOString() ?? null,
+            to:     range.to?.toISOString() ?? null,
+          });
+        } catch (e) {
+          // Headers are gone by now; a cut-off file is the only signal left
+          console.error("[data] export", table, e.message);
+        }
+        return res.end();
       }
 
       default:
@@ -146,4 +534,103 @@ module.exports = async function handler(req, res) {
     console.error("[data]", e.message);
     return res.status(500).json({ error: e.message });
   }
-};
\ No newline at end of file
+};
+
+// Win/loss record and average KDA over player_matches rows; results oldest → newest
+function aggregateRecord(rows) {
+  const wins = rows.filter(r => r.win).length;
+  const sum  = (f) => rows.reduce((n, r) => n + (r[f] || 0), 0);
+  const k = sum("kills"), d = sum("deaths"), a = sum("assists");
+  return {
+    games:   rows.length,
+    wins,
+    losses:  rows.length - wins,
+    wr:      rows.length ? Math.round(wins / rows.length * 100) : null,
+    kda:     rows.length ? {
+      k:     +(k / rows.length).toFixed(1),
+      d:     +(d / rows.length).toFixed(1),
+      a:     +(a / rows.length).toFixed(1),
+      ratio: +((k + a) / Math.max(1, d)).toFixed(2),
+    } : null,
+    results: rows.map(r => !!r.win),
+  };
+}
+
+// rows sorted oldest → newest; returns one entry per champion, most played first
+function aggregateChampions(rows, trendN) {
+  const byChamp = {};
+  for (const r of rows) {
+    const c = byChamp[r.champ] ||= { champ: r.champ, games: 0, wins: 0, k: 0, d: 0, a: 0, results: [], lastPlayed: null };
+    c.games++;
+    if (r.win) c.wins++;
+    c.k += r.kills || 0; c.d += r.deaths || 0; c.a += r.assists || 0;
+    c.results.push(!!r.win);
+    c.lastPlayed = r.played_at;
+  }
+  return Object.values(byChamp).map(c => {
+    const recent = c.results.slice(-trendN);
+    const recentWins = recent.filter(Boolean).length;
+    return {
+      champ:      c.champ,
+      games:      c.games,
+      wins:       c.wins,
+      losses:     c.games - c.wins,
+      wr:         Math.round(c.wins / c.games * 100),
+      kda: {
+        k:     +(c.k / c.games).toFixed(1),
+        d:     +(c.d / c.games).toFixed(1),
+        a:     +(c.a / c.games).toFixed(1),
+        ratio: +((c.k + c.a) / Math.max(1, c.d)).toFixed(2),
+      },
+      lastPlayed: c.lastPlayed,
+      trend: {
+        games:   recent.length,
+        wins:    recentWins,
+        wr:      Math.round(recentWins / recent.length * 100),
+        results: recent,
+      },
+    };
+  }).sort((a, b) => b.games - a.games || b.wr - a.wr);
+}
+
+// Every pair of tracked players that shared a game, on the same team or facing each other.
+// Rows stored before team_id existed fall back to the result: teammates share it, opponents don't.
+function aggregateDuos(rows, players, recentN) {
+  const names   = Object.fromEntries(players.map(p => [p.puuid, { puuid: p.puuid, gameName: p.game_name, tagLine: p.tag_line }]));
+  const byMatch = {};
+  for (const r of rows) (byMatch[r.match_id] ||= []).push(r);
+
+  const pairs = {};
+  for (const [matchId, ms] of Object.entries(byMatch)) {
+    if (ms.length < 2) continue;
+    ms.sort((x, y) => x.puuid < y.puuid ? -1 : 1);
+    for (let i = 0; i < ms.length; i++) for (let j = i + 1; j < ms.length; j++) {
+      const a = ms[i], b = ms[j];
+      const key  = `${a.puuid}|${b.puuid}`;
+      const pair = pairs[key] ||= {
+        a: names[a.puuid], b: names[b.puuid],
+        together: { games: 0, wins: 0, wr: null },
+        against:  { games: 0, aWins: 0, bWins: 0 },
+        results:  [],
+      };
+      const sameTeam = a.team_id != null && b.team_id != null ? a.team_id === b.team_id : a.win === b.win;
+      if (sameTeam) {
+        pair.together.games++;
+        if (a.win) pair.together.wins++;
+        pair.results.push({ matchId, playedAt: a.played_at, together: true, win: a.win, champs: [a.champ, b.champ] });
+      } else {
+        pair.against.games++;
+        if (a.win) pair.against.aWins++; else pair.against.bWins++;
+        pair.results.push({ matchId, playedAt: a.played_at, together: false, winner: a.win ? a.puuid : b.puuid, champs: [a.champ, b.champ] });
+      }
+    }
+  }
+
+  return Object.values(pairs).map(p => ({
+    a:        p.a,
+    b:        p.b,
+    together: { ...p.together, wr: p.together.games ? Math.round(p.together.wins / p.together.games * 100) : null },
+    against:  p.against,
+    recent:   p.results.slice(-recentN),
+  })).sort((x, y) => (y.together.games + y.against.games) - (x.together.games + x.against.games));
+}
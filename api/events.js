@@ -0,0 +1,69 @@
+// api/events.js
+// Server-Sent Events stream of game_started, game_ended, match_stored and
+// rank_changed. Each connection tails the `events` table for ~50s (under the
+// function time limit) and then closes; EventSource reconnects on its own and
+// sends Last-Event-ID, so nothing published in between is missed.
+
+const { openStorage }                = require("../lib/storage");
+const { eventsAfter, latestEventId } = require("../lib/events");
+
+const CORS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+};
+
+const STREAM_MS = 50*1000;
+const POLL_MS   = 2000;
+const PING_MS   = 15*1000; // keeps proxies from closing an idle stream
+
+module.exports = async function handler(req, res) {
+  if (req.method === "OPTIONS") { res.writeHead(200, CORS); return res.end(); }
+
+  const supabase = openStorage("anon");
+  if (!supabase) {
+    res.writeHead(500, { ...CORS, "Content-Type": "application/json" });
+    return res.end(JSON.stringify({ error: "Storage not configured" }));
+  }
+
+  const streamMs = Number(process.env.EVENTS_STREAM_MS) || STREAM_MS;
+  const pollMs   = Number(process.env.EVENTS_POLL_MS)   || POLL_MS;
+
+  // Resume after the last event the client saw; a new client starts from now
+  let lastId = parseInt(req.headers["last-event-id"] ?? req.query.after, 10);
+  if (!Number.isFinite(lastId)) {
+    try { lastId = await latestEventId(supabase); }
+    catch (e) { lastId = 0; console.error("[events]", e.message); }
+  }
+
+  res.writeHead(200, {
+    ...CORS,
+    "Content-Type":      "text/event-stream",
+    "Cache-Control":     "no-cache, no-transform",
+    "Connection":        "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 2000\n\n");
+
+  let open = true;
+  req.on("close", () => { open = false; });
+
+  const until  = Date.now() + streamMs;
+  let lastSent = Date.now();
+  while (open && Date.now() < until) {
+    try {
+      for (const e of await eventsAfter(supabase, lastId)) {
+        const data = { ...e.payload, puuid: e.puuid, at: e.created_at };
+        res.write(`id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(data)}\n\n`);
+        lastId   = e.id;
+        lastSent = Date.now();
+      }
+    } catch (e) {
+      console.error("[events]", e.message);
+    }
+    if (Date.now() - lastSent >= PING_MS) { res.write(": ping\n\n"); lastSent = Date.now(); }
+    await sleep(Math.min(pollMs, Math.max(0, until - Date.now())));
+  }
+  res.end();
+};
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
@@ -0,0 +1,80 @@
+// api/groups.js
+// Admin endpoint to manage groups (independent boards served at /g/<slug>).
+//   GET                         → list groups with their member count
+//   POST   { slug, name, icon } → create a group, or rename / re-icon an existing one
+//   DELETE ?slug=...            → drop the group; its players stay tracked
+// Members are added and removed through /api/players with a group.
+// Every method requires ADMIN_KEY as a bearer token or x-admin-key header.
+
+const { checkSecret } = require("../lib/auth");
+const { openStorage } = require("../lib/storage");
+const { isSlug }      = require("../lib/groups");
+
+const CORS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, X-Admin-Key",
+  "Content-Type":                 "application/json",
+};
+
+module.exports = async function handler(req, res) {
+  if (req.method === "OPTIONS") { res.writeHead(200, CORS); return res.end(); }
+  Object.entries(CORS).forEach(([k,v]) => res.setHeader(k,v));
+
+  const supabase = openStorage("service");
+  const adminKey = process.env.ADMIN_KEY;
+  if (!supabase || !adminKey)
+    return res.status(500).json({ error: "Missing env vars" });
+
+  if (!checkSecret(req, adminKey, "x-admin-key"))
+    return res.status(401).json({ error: "Unauthorized" });
+
+  try {
+    switch (req.method) {
+
+      case "GET": {
+        const { data: groups, error } = await supabase
+          .from("groups").select("slug, name, icon, created_at").order("name", { ascending: true });
+        if (error) throw error;
+        const { data: members, error: mError } = await supabase.from("group_members").select("group_slug");
+        if (mError) throw mError;
+        return res.status(200).json({
+          groups: groups.map(g => ({ ...g, members: (members || []).filter(m => m.group_slug === g.slug).length })),
+        });
+      }
+
+      case "POST": {
+        const { slug, name, icon } = req.body || {};
+        if (!isSlug(slug))
+          return res.status(400).json({ error: "slug must be lowercase letters, digits and dashes" });
+        if (typeof name !== "string" || !name.trim())
+          return res.status(400).json({ error: "Missing name" });
+
+        const { data, error } = await supabase
+          .from("groups").upsert({ slug, name: name.trim(), icon: icon || null }, { onConflict: "slug" })
+          .select("slug, name, icon");
+        if (error) throw error;
+        return res.status(200).json({ group: data[0] });
+      }
+
+      case "DELETE": {
+        const slug = req.query.slug;
+        if (!slug) return res.status(400).json({ error: "Missing slug" });
+
+        const { data: removed, error } = await supabase
+          .from("groups").delete().eq("slug", slug).select("slug");
+        if (error) throw error;
+        if (!removed?.length) return res.status(404).json({ error: "Unknown group" });
+        await supabase.from("group_members").delete().eq("group_slug", slug);
+        await supabase.from("awards").delete().eq("group_slug", slug);
+        return res.status(200).json({ removed: slug });
+      }
+
+      default:
+        return res.status(405).json({ error: `Method not allowed: ${req.method}` });
+    }
+  } catch (e) {
+    console.error("[groups]", e.message);
+    return res.status(500).json({ error: e.message });
+  }
+};
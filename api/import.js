@@ -0,0 +1,65 @@
+// api/import.js
+// Admin endpoint that loads a file written by /api/data?type=export back in.
+//   POST ?table=players|rank_history|player_matches|matches [&format=csv|json]
+// The body is the file itself (format defaults from Content-Type). Every row is
+// validated first; any bad row rejects the whole file, otherwise the rows are
+// upserted on the keys ingestion uses, so importing the same file twice is a no-op.
+// Import players before the tables that reference them.
+// Requires ADMIN_KEY as a bearer token or x-admin-key header.
+
+const { checkSecret } = require("../lib/auth");
+const { openStorage } = require("../lib/storage");
+const {
+  TABLES, FORMATS, validateRows, parseBody,
+} = require("../lib/transfer");
+
+const CHUNK      = 500;
+const MAX_ERRORS = 50;
+
+const CORS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, X-Admin-Key",
+  "Content-Type":                 "application/json",
+};
+
+module.exports = async function handler(req, res) {
+  if (req.method === "OPTIONS") { res.writeHead(200, CORS); return res.end(); }
+  Object.entries(CORS).forEach(([k,v]) => res.setHeader(k,v));
+
+  const supabase = openStorage("service");
+  const adminKey = process.env.ADMIN_KEY;
+  if (!supabase || !adminKey)
+    return res.status(500).json({ error: "Missing env vars" });
+
+  if (!checkSecret(req, adminKey, "x-admin-key"))
+    return res.status(401).json({ error: "Unauthorized" });
+  if (req.method !== "POST")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  const table  = req.query?.table;
+  const format = req.query?.format
+    || (String(req.headers["content-type"] || "").includes("csv") ? "csv" : "json");
+  if (!TABLES[table]) return res.status(400).json({ error: `Unknown table: ${table}` });
+  if (!FORMATS.includes(format)) return res.status(400).json({ error: `Unknown format: ${format}` });
+
+  let input;
+  try { input = parseBody(format, req.body); }
+  catch (e) { return res.status(400).json({ error: `Could not parse ${format}: ${e.message}` }); }
+
+  const { rows, errors } = validateRows(table, input);
+  if (errors.length)
+    return res.status(400).json({ error: `${errors.length} invalid row(s), nothing imported`, errors: errors.slice(0, MAX_ERRORS) });
+
+  let imported = 0;
+  for (let i = 0; i < rows.length; i += CHUNK) {
+    const { error } = await supabase
+      .from(table).upsert(rows.slice(i, i + CHUNK), { onConflict: TABLES[table].key });
+    if (error) {
+      console.error("[import]", table, error.message);
+      return res.status(500).json({ error: error.message, imported });
+    }
+    imported += Math.min(CHUNK, rows.length - i);
+  }
+  return res.status(200).json({ table, imported });
+};
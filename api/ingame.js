@@ -1,206 +1,170 @@
 // api/ingame.js
-// Called by cron-job.org every 30s (or 1min).
-// Checks all players in parallel. When someone leaves a game,
-// updates their rank and stores the new match directly here (server-side).
-
-const https = require("https");
-const { createClient } = require("@supabase/supabase-js");
-
-const ROUTING = "europe.api.riotgames.com";
-const EUW     = "euw1.api.riotgames.com";
-const CORS = {
-  "Access-Control-Allow-Origin":  "*",
-  "Access-Control-Allow-Methods": "GET, OPTIONS",
-  "Content-Type":                 "application/json",
-};
-
-const TIER_ORDER = { IRON:0,BRONZE:1,SILVER:2,GOLD:3,PLATINUM:4,EMERALD:5,DIAMOND:6,MASTER:7,GRANDMASTER:8,CHALLENGER:9 };
-const RANK_ORDER = { IV:0,III:1,II:2,I:3 };
-function rankScore(tier, rank, lp) {
-  if (!tier) return -1;
-  return (TIER_ORDER[tier]??-1)*10000 + (RANK_ORDER[rank]??0)*1000 + (lp||0);
-}
-
+// Called by cron-job.org every 30s (or 1min) with CRON_SECRET.
+// Checks all players in parallel. When someone leaves a game, a postgame
+// job is queued (rank update + match ingestion, run by /api/postgame) unless
+// the game was in a queue whose matches are not kept (MATCH_QUEUES).
+// The spectator payload of a running game is kept in players.live_game.
+
+const { isCron }                 = require("../lib/auth");
+const { startRun, finishRun }    = require("../lib/runs");
+const { openStorage }            = require("../lib/storage");
+const { createRiotClient }       = require("../lib/riot");
+const { platformHost }           = require("../lib/regions");
+const { publish }                = require("../lib/events");
+const { enqueuePostgame }        = require("../lib/postgame");
+const { notify, messages, keys } = require("../lib/notify");
+const {
+  QUEUES, DEFAULT_QUEUE, queueById, isTrackedQueue, rankOf,
+} = require("../lib/queues");
+
+// Cron-only: no CORS, every call needs CRON_SECRET
 module.exports = async function handler(req, res) {
-  if (req.method === "OPTIONS") { res.writeHead(200, CORS); return res.end(); }
-  Object.entries(CORS).forEach(([k,v]) => res.setHeader(k,v));
+  res.setHeader("Content-Type", "application/json");
 
-  const apiKey = process.env.RIOT_API_KEY;
-  const sbUrl  = process.env.SUPABASE_URL;
-  const sbKey  = process.env.SUPABASE_SERVICE_KEY;
-  if (!apiKey || !sbUrl || !sbKey)
+  const apiKey   = process.env.RIOT_API_KEY;
+  const supabase = openStorage("service");
+  if (!apiKey || !supabase || !process.env.CRON_SECRET)
     return res.status(500).json({ error: "Missing env vars" });
+  if (!isCron(req))
+    return res.status(401).json({ error: "Unauthorized" });
 
-  const supabase = createClient(sbUrl, sbKey);
-
-  const { data: players, error } = await supabase
-    .from("players").select("puuid, game_name, in_game");
-  if (error || !players?.length)
-    return res.status(500).json({ error: "Could not load players" });
-
-  // Check all players in parallel — 13 calls, well within 20 req/s
-  const results = await Promise.all(players.map(async (p) => {
-    const live = await riotGetOpt(EUW,
-      `/lol/spectator/v5/active-games/by-summoner/${p.puuid}`, apiKey);
-    return { puuid: p.puuid, gameName: p.game_name, wasInGame: p.in_game, nowInGame: !!(live?.gameId) };
-  }));
-
-  const justLeft  = results.filter(p => p.wasInGame && !p.nowInGame);
-  const changed   = results.filter(p => p.wasInGame !== p.nowInGame);
-
-  if (changed.length > 0) {
-    await Promise.all(changed.map(p =>
-      supabase.from("players").update({ in_game: p.nowInGame }).eq("puuid", p.puuid)
-    ));
-  }
+  const riot = createRiotClient(apiKey);
 
-  // Respond immediately — postgame runs async so cron doesn't timeout
-  res.status(200).json({
-    checked:    results.length,
-    inGame:     results.filter(p => p.nowInGame).map(p => p.gameName),
-    justLeft:   justLeft.map(p => p.gameName),
-    justJoined: results.filter(p => !p.wasInGame && p.nowInGame).map(p => p.gameName),
-  });
-
-  // Run postgame for each player who just left (after response is sent)
-  for (const p of justLeft) {
-    runPostgame(p.puuid, apiKey, supabase).catch(e =>
-      console.error(`[postgame] ${p.gameName}: ${e.message}`)
-    );
-  }
-};
+  // Polls come every 30-60s; a lock older than that belongs to a dead run
+  const run = await startRun(supabase, "ingame", { ttlMs: 2*60*1000 });
+  if (!run) return res.status(409).json({ error: "ingame is already running" });
 
-async function runPostgame(puuid, apiKey, supabase) {
-  const now = new Date().toISOString();
-
-  // Actualizar rango primero (esto sí está disponible inmediatamente)
-  const rankData = await riotGet(EUW,
-    `/lol/league/v4/entries/by-puuid/${puuid}`, apiKey).catch(() => null);
-
-  const solo = (rankData || []).find(r => r.queueType === "RANKED_SOLO_5x5");
-  if (solo) {
-    const { data: prev } = await supabase
-      .from("players").select("tier,rank,lp").eq("puuid", puuid).single();
-
-    await supabase.from("players").update({
-      tier: solo.tier, rank: solo.rank, lp: solo.leaguePoints,
-      wins: solo.wins, losses: solo.losses, updated_at: now,
-    }).eq("puuid", puuid);
-
-    const newScore  = rankScore(solo.tier, solo.rank, solo.leaguePoints);
-    const prevScore = prev ? rankScore(prev.tier, prev.rank, prev.lp) : -2;
-    if (newScore !== prevScore) {
-      await supabase.from("rank_history").insert({
-        puuid, tier: solo.tier, rank: solo.rank, lp: solo.leaguePoints,
-        wins: solo.wins, losses: solo.losses, score: newScore, recorded_at: now,
-      });
+  try {
+    const { data: players, error } = await supabase
+      .from("players").select("puuid, game_name, platform, tier, rank, lp, wins, losses, ranks, in_game, live_game");
+    if (error || !players?.length) {
+      await finishRun(supabase, run, "error", { error: "Could not load players" });
+      return res.status(500).json({ error: "Could not load players" });
     }
-  }
 
-  // Buscar la partida nueva con reintentos
-  // Riot puede tardar hasta 5 min en indexar el match
-  const ATTEMPTS   = 8;
-  const DELAYS_SEC = [30, 45, 60, 90, 120, 150, 180, 240]; // esperas entre intentos
-
-  const { data: allPlayers } = await supabase.from("players").select("puuid");
-  const tracked = new Set((allPlayers || []).map(p => p.puuid));
-
-  for (let attempt = 0; attempt < ATTEMPTS; attempt++) {
-    const waitMs = DELAYS_SEC[attempt] * 1000;
-    console.log(`[postgame] ${puuid}: attempt ${attempt + 1}/${ATTEMPTS}, waiting ${DELAYS_SEC[attempt]}s...`);
-    await sleep(waitMs);
+    // Check all players in parallel — the client queues them under the rate limits
+    const results = await Promise.all(players.map(async (p) => {
+      const player = { puuid: p.puuid, gameName: p.game_name, platform: p.platform, wasInGame: p.in_game, stored: p.live_game };
+      let live;
+      try {
+        live = await riot.get(platformHost(p.platform),
+          `/lol/spectator/v5/active-games/by-summoner/${p.puuid}`, { timeoutMs: 8000 });
+      } catch (e) {
+        // Only a 404 means "not in game"; after a 5xx, 429 or timeout we know nothing, so nothing changes
+        if (e.status !== 404) {
+          console.error(`[ingame] ${p.game_name}: ${e.message}`);
+          return { ...player, unknown: true, nowInGame: p.in_game, gameId: p.live_game?.gameId ?? null, live: null, newGame: false };
+        }
+        live = null;
+      }
+      const gameId = live?.gameId || null;
+      return {
+        ...player, nowInGame: !!gameId, gameId, live,
+        // A different game than the stored one means the last one ended between two polls
+        newGame: !!gameId && gameId !== (p.live_game?.gameId ?? null),
+      };
+    }));
+
+    const justLeft   = results.filter(p => p.wasInGame && (!p.nowInGame || p.newGame));
+    const justJoined = results.filter(p => p.nowInGame && (!p.wasInGame || p.newGame));
+    const changed    = results.filter(p => p.wasInGame !== p.nowInGame || p.newGame);
+
+    // Resolve each new game once, even when several of our players are in it
+    const liveGames = {};
+    for (const p of justJoined) {
+      liveGames[p.gameId] ||= liveGameOf(p.live, p.platform, players, riot);
+    }
 
-    try {
-      const matchIds = await riotGet(ROUTING,
-        `/lol/match/v5/matches/by-puuid/${puuid}/ids?start=0&count=10&queue=420`, apiKey);
+    if (changed.length > 0) {
+      await Promise.all(changed.map(async p => {
+        const live_game = p.nowInGame ? await liveGames[p.gameId] : null;
+        return supabase.from("players")
+          .update({ in_game: p.nowInGame, live_game: live_game ? { ...live_game, puuid: p.puuid } : null })
+          .eq("puuid", p.puuid);
+      }));
+    }
 
-      const { data: known } = await supabase
-        .from("player_matches").select("match_id")
-        .eq("puuid", puuid).in("match_id", matchIds);
+    // Games first seen in loading screen get their start time once it is known
+    const started = results.filter(p =>
+      p.nowInGame && !p.newGame && p.stored && !p.stored.startedAt && p.live?.gameStartTime);
+    await Promise.all(started.map(p =>
+      supabase.from("players")
+        .update({ live_game: { ...p.stored, startedAt: p.live.gameStartTime } })
+        .eq("puuid", p.puuid)
+    ));
 
-      const knownSet   = new Set((known || []).map(m => m.match_id));
-      const newMatchId = matchIds.find(id => !knownSet.has(id));
+    // Queued before responding: the process may be frozen as soon as we do
+    const kept   = justLeft.filter(p => p.stored?.queueId == null || isTrackedQueue(p.stored.queueId));
+    const queued = await Promise.all(kept.map(p =>
+      enqueuePostgame(supabase, { puuid: p.puuid, platform: p.platform, gameId: p.stored?.gameId, queueId: p.stored?.queueId })
+        .then(() => true, e => { console.error(`[postgame] ${p.gameName}: ${e.message}`); return false; })
+    ));
 
-      if (!newMatchId) {
-        console.log(`[postgame] ${puuid}: no new match yet (attempt ${attempt + 1})`);
-        continue; // reintenta
-      }
+    // Live channel: ended games first, so a back-to-back game reads ended → started
+    await Promise.all(justLeft.map(p =>
+      publish(supabase, "game_ended", p.puuid, { gameId: p.stored?.gameId ?? null })));
+    await Promise.all(justJoined.map(async p =>
+      publish(supabase, "game_started", p.puuid, { gameId: p.gameId, liveGame: await liveGames[p.gameId] })));
 
-      const m = await riotGet(ROUTING, `/lol/match/v5/matches/${newMatchId}`, apiKey);
-
-      const participantMap = m.info.participants.reduce((obj, part) => {
-        obj[part.puuid] = {
-          win: part.win, champ: part.championName,
-          k: part.kills, d: part.deaths, a: part.assists,
-        };
-        return obj;
-      }, {});
-
-      await supabase.from("matches").upsert(
-        { match_id: newMatchId, fetched_at: now, data: participantMap },
-        { onConflict: "match_id" }
-      );
-
-      const upserts = m.info.participants
-        .filter(p => tracked.has(p.puuid))
-        .map(p => ({
-          puuid: p.puuid, match_id: newMatchId, win: p.win, champ: p.championName,
-          kills: p.kills, deaths: p.deaths, assists: p.assists,
-          played_at: new Date(m.info.gameStartTimestamp).toISOString(),
-        }));
-
-      if (upserts.length) {
-        await supabase.from("player_matches")
-          .upsert(upserts, { onConflict: "puuid,match_id" });
-      }
+    await Promise.all(justJoined.map(p =>
+      notify(supabase, "game_start", keys.gameStart(p.puuid, p.gameId), messages.gameStart(p.gameName))
+        .catch(e => console.error(`[notify] ${p.gameName}: ${e.message}`))
+    ));
 
-      console.log(`[postgame] ${puuid}: stored ${newMatchId} on attempt ${attempt + 1}`);
-      return; // ✓ éxito, salimos
-    } catch (e) {
-      console.error(`[postgame] ${puuid} attempt ${attempt + 1} error: ${e.message}`);
-    }
+    await finishRun(supabase, run, "ok", {
+      inGame: results.filter(p => p.nowInGame).length, justLeft: justLeft.length, justJoined: justJoined.length,
+      queued: queued.filter(Boolean).length, unknown: results.filter(p => p.unknown).length,
+    });
+
+    return res.status(200).json({
+      checked:    results.length,
+      inGame:     results.filter(p => p.nowInGame).map(p => p.gameName),
+      justLeft:   justLeft.map(p => p.gameName),
+      justJoined: justJoined.map(p => p.gameName),
+      riot:       riot.stats(),
+    });
+  } catch (e) {
+    console.error("[ingame]", e.message);
+    await finishRun(supabase, run, "error", { error: e.message });
+    return res.status(500).json({ error: e.message });
   }
+};
 
-  console.error(`[postgame] ${puuid}: failed to find new match after ${ATTEMPTS} attempts`);
-}
-
-function riotGet(hostname, path, apiKey) {
-  return new Promise((resolve, reject) => {
-    const req = https.request(
-      { hostname, path, method: "GET", headers: { "X-Riot-Token": apiKey, "Accept": "application/json" } },
-      (res) => {
-        let raw = "";
-        res.on("data", c => raw += c);
-        res.on("end", () => {
-          if (res.statusCode < 200 || res.statusCode >= 300)
-            return reject(new Error(`HTTP ${res.statusCode} — ${hostname}${path}`));
-          try { resolve(JSON.parse(raw)); } catch { reject(new Error("JSON parse error")); }
-        });
-      }
-    );
-    req.on("error", reject);
-    req.setTimeout(30000, () => { req.destroy(); reject(new Error("Timeout")); });
-    req.end();
-  });
-}
-
-function riotGetOpt(hostname, path, apiKey) {
-  return new Promise((resolve) => {
-    const req = https.request(
-      { hostname, path, method: "GET", headers: { "X-Riot-Token": apiKey, "Accept": "application/json" } },
-      (res) => {
-        let raw = "";
-        res.on("data", c => raw += c);
-        res.on("end", () => {
-          if (res.statusCode >= 400) return resolve(null);
-          try { resolve(JSON.parse(raw)); } catch { resolve(null); }
-        });
-      }
-    );
-    req.on("error", () => resolve(null));
-    req.setTimeout(8000, () => { req.destroy(); resolve(null); });
-    req.end();
-  });
+// Compact spectator-v5 snapshot: queue, start time and both teams with ranks
+// (in the game's own queue for Flex, solo otherwise). Tracked players use
+// their stored rank; everyone else costs one league call.
+async function liveGameOf(live, platform, players, riot) {
+  const tracked = Object.fromEntries(players.map(p => [p.puuid, p]));
+  const key     = queueById(live.gameQueueConfigId);
+  const queue   = key && QUEUES[key].type ? key : DEFAULT_QUEUE;
+  const participants = await Promise.all((live.participants || []).map(async part => {
+    const own  = tracked[part.puuid];
+    const mine = own && rankOf(own, queue);
+    let rank = mine?.tier ? { tier: mine.tier, rank: mine.rank, lp: mine.lp } : null;
+    if (!own && part.puuid) {
+      const entries = await riot.getOpt(platformHost(platform), `/lol/league/v4/entries/by-puuid/${part.puuid}`);
+      const entry = (entries || []).find(r => r.queueType === QUEUES[queue].type);
+      if (entry) rank = { tier: entry.tier, rank: entry.rank, lp: entry.leaguePoints };
+    }
+    return {
+      puuid:      part.puuid || null,
+      riotId:     part.riotId || null,
+      teamId:     part.teamId,
+      championId: part.championId,
+      spells:     [part.spell1Id, part.spell2Id],
+      tracked:    !!own,
+      rank,
+    };
+  }));
+  return {
+    gameId:    live.gameId,
+    queueId:   live.gameQueueConfigId ?? null,
+    gameMode:  live.gameMode || null,
+    // gameStartTime is 0 while the game is still loading
+    startedAt: live.gameStartTime || null,
+    teams: [100, 200].map(teamId => ({
+      teamId,
+      participants: participants.filter(part => part.teamId === teamId),
+    })),
+  };
 }
-
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
\ No newline at end of file
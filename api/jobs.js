@@ -0,0 +1,91 @@
+// api/jobs.js
+// Admin view of the postgame queue.
+//   GET  [?state=dead|pending|running|done] → jobs in that state (default: dead)
+//   POST ?id=...                            → requeue a dead job for an immediate retry
+// Every method requires ADMIN_KEY as a bearer token or x-admin-key header.
+
+const { checkSecret } = require("../lib/auth");
+const { openStorage } = require("../lib/storage");
+
+const CORS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, X-Admin-Key",
+  "Content-Type":                 "application/json",
+};
+
+const STATES = ["pending", "running", "done", "dead"];
+
+module.exports = async function handler(req, res) {
+  if (req.method === "OPTIONS") { res.writeHead(200, CORS); return res.end(); }
+  Object.entries(CORS).forEach(([k,v]) => res.setHeader(k,v));
+
+  const supabase = openStorage("service");
+  const adminKey = process.env.ADMIN_KEY;
+  if (!supabase || !adminKey)
+    return res.status(500).json({ error: "Missing env vars" });
+
+  if (!checkSecret(req, adminKey, "x-admin-key"))
+    return res.status(401).json({ error: "Unauthorized" });
+
+  try {
+    switch (req.method) {
+
+      case "GET": {
+        const state = req.query.state || "dead";
+        if (!STATES.includes(state))
+          return res.status(400).json({ error: `Unknown state: ${state}` });
+
+        const { data: jobs, error } = await supabase
+          .from("postgame_jobs").select("*")
+          .eq("state", state)
+          .order("updated_at", { ascending: false })
+          .limit(200);
+        if (error) throw error;
+        const { data: who } = await supabase
+          .from("players").select("puuid, game_name, tag_line")
+          .in("puuid", [...new Set(jobs.map(j => j.puuid))]);
+        const names = Object.fromEntries((who || []).map(p => [p.puuid, `${p.game_name}#${p.tag_line}`]));
+
+        return res.status(200).json({
+          state,
+          jobs: jobs.map(j => ({
+            id:        j.id,
+            puuid:     j.puuid,
+            riotId:    names[j.puuid] || null,
+            platform:  j.platform,
+            gameId:    j.game_id,
+            attempts:  j.attempts,
+            nextRunAt: j.next_run_at,
+            matchId:   j.match_id,
+            lastError: j.last_error,
+            createdAt: j.created_at,
+            updatedAt: j.updated_at,
+          })),
+        });
+      }
+
+      case "POST": {
+        const id = req.query.id;
+        if (!id) return res.status(400).json({ error: "Missing id" });
+
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+          .from("postgame_jobs")
+          .update({ state: "pending", attempts: 0, next_run_at: now, last_error: null, updated_at: now })
+          .eq("id", id)
+          .eq("state", "dead")
+          .select("id");
+        if (error) throw error;
+        if (!data?.length) return res.status(404).json({ error: "No dead job with that id" });
+        return res.status(200).json({ requeued: data[0].id });
+      }
+
+      default:
+        return res.status(405).json({ error: `Method not allowed: ${req.method}` });
+    }
+  } catch (e) {
+    console.error("[jobs]", e.message);
+    return res.status(500).json({ error: e.message });
+  }
+};
@@ -0,0 +1,242 @@
+// api/players.js
+// Admin endpoint to manage the tracked player list.
+//   GET                                 → list tracked players and their groups
+//   POST   { riotId, platform, group }  → add "gameName#tagLine" (platform defaults to euw1);
+//                                         with a group, an already tracked player just joins it
+//   PATCH  ?puuid=...                   → refresh icon/level and pick up Riot ID renames
+//   DELETE ?puuid=...[&group=slug]      → stop tracking a player (drops their history too),
+//                                         or with a group only take them out of it
+// Every method requires ADMIN_KEY as a bearer token or x-admin-key header.
+
+const { checkSecret }      = require("../lib/auth");
+const { openStorage }      = require("../lib/storage");
+const { rankScore }        = require("../lib/rank");
+const { createRiotClient } = require("../lib/riot");
+const { loadGroup }        = require("../lib/groups");
+const { ranksOf }          = require("../lib/queues");
+const {
+  DEFAULT_PLATFORM, isPlatform, platformHost, accountHost,
+} = require("../lib/regions");
+
+// Everything stored per player, dropped with them
+const PLAYER_TABLES = [
+  "rank_history", "player_matches", "group_members", "backfill_progress",
+  "postgame_jobs", "awards", "season_results", "events",
+];
+
+const CORS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, X-Admin-Key",
+  "Content-Type":                 "application/json",
+};
+
+module.exports = async function handler(req, res) {
+  if (req.method === "OPTIONS") { res.writeHead(200, CORS); return res.end(); }
+  Object.entries(CORS).forEach(([k,v]) => res.setHeader(k,v));
+
+  const apiKey   = process.env.RIOT_API_KEY;
+  const supabase = openStorage("service");
+  const adminKey = process.env.ADMIN_KEY;
+  if (!apiKey || !supabase || !adminKey)
+    return res.status(500).json({ error: "Missing env vars" });
+
+  if (!checkSecret(req, adminKey, "x-admin-key"))
+    return res.status(401).json({ error: "Unauthorized" });
+
+  const riot = createRiotClient(apiKey);
+
+  try {
+    switch (req.method) {
+
+      case "GET": {
+        const { data, error } = await supabase
+          .from("players").select("puuid, game_name, tag_line, platform")
+          .order("game_name", { ascending: true });
+        if (error) throw error;
+        const { data: memberships, error: mError } = await supabase
+          .from("group_members").select("group_slug, puuid");
+        if (mError) throw mError;
+        return res.status(200).json({
+          players: data.map(p => ({
+            ...p,
+            groups: (memberships || []).filter(m => m.puuid === p.puuid).map(m => m.group_slug),
+          })),
+        });
+      }
+
+      case "POST": {
+        const riotId = parseRiotId(req.body?.riotId);
+        if (!riotId)
+          return res.status(400).json({ error: "riotId must look like gameName#tagLine" });
+        const platform = req.body?.platform || DEFAULT_PLATFORM;
+        if (!isPlatform(platform))
+          return res.status(400).json({ error: `Unknown platform: ${platform}` });
+        const group = req.body?.group ? await loadGroup(supabase, req.body.group) : null;
+        if (req.body?.group && !group)
+          return res.status(404).json({ error: `Unknown group: ${req.body.group}` });
+
+        const account = await riot.get(accountHost(platform),
+          `/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(riotId.gameName)}/${encodeURIComponent(riotId.tagLine)}`
+        ).catch(e => { if (e.status === 404) return null; throw e; });
+        if (!account)
+          return res.status(404).json({ error: `Riot ID not found: ${riotId.gameName}#${riotId.tagLine}` });
+
+        const { data: existing, error: existingError } = await supabase
+          .from("players").select("puuid, game_name, tag_line")
+          .eq("puuid", account.puuid).maybeSingle();
+        if (existingError) throw existingError;
+        // One players row per account: joining another group never adds a second one
+        if (existing && (!group || group.puuids.includes(existing.puuid)))
+          return res.status(409).json({
+            error: `Already tracked as ${existing.game_name}#${existing.tag_line}`,
+          });
+        if (existing) {
+          await joinGroup(supabase, group.slug, existing.puuid);
+          return res.status(200).json({
+            joined: { puuid: existing.puuid, gameName: existing.game_name, tagLine: existing.tag_line, group: group.slug },
+          });
+        }
+
+        const summoner = await riot.get(platformHost(platform),
+          `/lol/summoner/v4/summoners/by-puuid/${account.puuid}`);
+        const rankData = await riot.get(platformHost(platform),
+          `/lol/league/v4/entries/by-puuid/${account.puuid}`);
+        const solo  = (rankData || []).find(r => r.queueType === "RANKED_SOLO_5x5");
+        const ranks = ranksOf(rankData);
+        const now   = new Date().toISOString();
+
+        const { error: insertError } = await supabase.from("players").insert({
+          puuid:           account.puuid,
+          game_name:       account.gameName,
+          tag_line:        account.tagLine,
+          platform,
+          profile_icon_id: summoner.profileIconId,
+          summoner_level:  summoner.summonerLevel,
+          tier:            solo?.tier ?? null,
+          rank:            solo?.rank ?? null,
+          lp:              solo?.leaguePoints ?? null,
+          wins:            solo?.wins ?? null,
+          losses:          solo?.losses ?? null,
+          ranks,
+          in_game:         false,
+          updated_at:      now,
+        });
+        // Unique violation: someone added the same account in the meantime
+        if (insertError?.code === "23505")
+          return res.status(409).json({ error: "Already tracked" });
+        if (insertError) throw insertError;
+
+        // First snapshot in every ranked queue
+        const snapshots = (rankData || []).filter(r => ranks[r.queueType]).map(r => ({
+          puuid: account.puuid, queue: r.queueType, tier: r.tier, rank: r.rank,
+          lp: r.leaguePoints, wins: r.wins, losses: r.losses,
+          score: rankScore(r.tier, r.rank, r.leaguePoints), recorded_at: now,
+        }));
+        if (snapshots.length) await supabase.from("rank_history").insert(snapshots);
+        if (group) await joinGroup(supabase, group.slug, account.puuid);
+
+        return res.status(201).json({
+          added: {
+            puuid:    account.puuid,
+            gameName: account.gameName,
+            tagLine:  account.tagLine,
+            platform,
+            tier:     solo?.tier ?? null,
+            rank:     solo?.rank ?? null,
+            lp:       solo?.leaguePoints ?? null,
+            groups:   group ? [group.slug] : [],
+          },
+        });
+      }
+
+      case "PATCH": {
+        const puuid = req.query.puuid;
+        if (!puuid) return res.status(400).json({ error: "Missing puuid" });
+
+        const { data: p, error: readError } = await supabase
+          .from("players").select("puuid, game_name, tag_line, platform")
+          .eq("puuid", puuid).maybeSingle();
+        if (readError) throw readError;
+        if (!p) return res.status(404).json({ error: "Player not tracked" });
+
+        const account  = await riot.get(accountHost(p.platform),
+          `/riot/account/v1/accounts/by-puuid/${puuid}`);
+        const summoner = await riot.get(platformHost(p.platform),
+          `/lol/summoner/v4/summoners/by-puuid/${puuid}`);
+
+        const renamed = account.gameName !== p.game_name || account.tagLine !== p.tag_line;
+        const { error } = await supabase.from("players").update({
+          game_name:       account.gameName,
+          tag_line:        account.tagLine,
+          profile_icon_id: summoner.profileIconId,
+          summoner_level:  summoner.summonerLevel,
+        }).eq("puuid", puuid);
+        if (error) throw error;
+
+        return res.status(200).json({
+          puuid,
+          gameName: account.gameName,
+          tagLine:  account.tagLine,
+          renamed:  renamed ? { from: `${p.game_name}#${p.tag_line}`, to: `${account.gameName}#${account.tagLine}` } : null,
+        });
+      }
+
+      case "DELETE": {
+        const puuid = req.query.puuid;
+        if (!puuid) return res.status(400).json({ error: "Missing puuid" });
+
+        if (req.query.group) {
+          const { data: left, error } = await supabase
+            .from("group_members").delete()
+            .eq("group_slug", req.query.group).eq("puuid", puuid).select("puuid");
+          if (error) throw error;
+          if (!left?.length) return res.status(404).json({ error: "Player not in group" });
+          const { data: p } = await supabase
+            .from("players").select("game_name, tag_line").eq("puuid", puuid).maybeSingle();
+          return res.status(200).json({ removed: p ? `${p.game_name}#${p.tag_line}` : puuid, group: req.query.group });
+        }
+
+        const { data: p, error } = await supabase
+          .from("players").select("game_name, tag_line").eq("puuid", puuid).maybeSingle();
+        if (error) throw error;
+        if (!p) return res.status(404).json({ error: "Player not tracked" });
+
+        // Their rows go first, so a failure leaves the player listed and the DELETE can be retried.
+        // matches.data is keyed by every participant, so it stays as-is; a stale
+        // backfill_progress checkpoint would make a re-added player skip the history dropped here.
+        for (const table of PLAYER_TABLES) {
+          const { error: dError } = await supabase.from(table).delete().eq("puuid", puuid);
+          if (dError) throw dError;
+        }
+        const { error: pError } = await supabase.from("players").delete().eq("puuid", puuid);
+        if (pError) throw pError;
+
+        return res.status(200).json({ removed: `${p.game_name}#${p.tag_line}` });
+      }
+
+      default:
+        return res.status(405).json({ error: `Method not allowed: ${req.method}` });
+    }
+  } catch (e) {
+    console.error("[players]", e.message);
+    // Riot errors carry their HTTP status; anything else is ours (storage, bugs)
+    return res.status(e.status === 404 ? 404 : e.status ? 502 : 500).json({ error: e.message });
+  }
+};
+
+async function joinGroup(supabase, slug, puuid) {
+  const { error } = await supabase.from("group_members")
+    .upsert({ group_slug: slug, puuid, added_at: new Date().toISOString() }, { onConflict: "group_slug,puuid" });
+  if (error) throw error;
+}
+
+function parseRiotId(raw) {
+  if (typeof raw !== "string") return null;
+  const i = raw.lastIndexOf("#");
+  if (i <= 0 || i === raw.length - 1) return null;
+  const gameName = raw.slice(0, i).trim();
+  const tagLine  = raw.slice(i + 1).trim();
+  if (!gameName || !tagLine) return null;
+  return { gameName, tagLine };
+}
@@ -0,0 +1,40 @@
+// api/postgame.js
+// Postgame worker, called by cron every minute with CRON_SECRET.
+// Gives each due job in postgame_jobs one attempt (see lib/postgame.js);
+// misses are rescheduled with backoff, exhausted jobs end up dead.
+
+const { isCron }              = require("../lib/auth");
+const { startRun, finishRun } = require("../lib/runs");
+const { openStorage }         = require("../lib/storage");
+const { createRiotClient }    = require("../lib/riot");
+const { runDueJobs }          = require("../lib/postgame");
+
+// Cron-only: no CORS, every call needs CRON_SECRET
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json");
+
+  const apiKey   = process.env.RIOT_API_KEY;
+  const supabase = openStorage("service");
+  if (!apiKey || !supabase || !process.env.CRON_SECRET)
+    return res.status(500).json({ error: "Missing env vars" });
+  if (!isCron(req))
+    return res.status(401).json({ error: "Unauthorized" });
+
+  const riot = createRiotClient(apiKey);
+
+  const run = await startRun(supabase, "postgame", { ttlMs: 5*60*1000 });
+  if (!run) return res.status(409).json({ error: "postgame is already running" });
+
+  try {
+    const limit   = Math.max(1, parseInt(req.query?.limit, 10) || 10);
+    const results = await runDueJobs(supabase, riot, { limit });
+    const count   = (outcome) => results.filter(r => r.outcome === outcome).length;
+    const summary = { processed: results.length, done: count("done"), retry: count("retry"), dead: count("dead") };
+    await finishRun(supabase, run, "ok", summary);
+    return res.status(200).json({ ...summary, jobs: results, riot: riot.stats() });
+  } catch (e) {
+    console.error("[postgame]", e.message);
+    await finishRun(supabase, run, "error", { error: e.message });
+    return res.status(500).json({ error: e.message });
+  }
+};
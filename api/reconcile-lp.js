@@ -0,0 +1,49 @@
+// api/reconcile-lp.js
+// Full LP attribution pass (see lib/lp.js), called with CRON_SECRET.
+// The postgame worker and update-ranks already re-attribute the last couple
+// of days; this one is for after a backfill or a fix to the model.
+//   ?since=ISO  — only snapshots from the last one before this date (default: all)
+//   ?puuid=…    — a single player
+
+const { isCron }              = require("../lib/auth");
+const { startRun, finishRun } = require("../lib/runs");
+const { openStorage }         = require("../lib/storage");
+const { reconcilePlayer }     = require("../lib/lp");
+
+// Cron-only: no CORS, every call needs CRON_SECRET
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json");
+
+  const supabase = openStorage("service");
+  if (!supabase || !process.env.CRON_SECRET)
+    return res.status(500).json({ error: "Missing env vars" });
+  if (!isCron(req))
+    return res.status(401).json({ error: "Unauthorized" });
+
+  const since = req.query?.since ? new Date(req.query.since) : null;
+  if (since && isNaN(since)) return res.status(400).json({ error: "Invalid since" });
+
+  let query = supabase.from("players").select("puuid, game_name");
+  if (req.query?.puuid) query = query.eq("puuid", req.query.puuid);
+  const { data: players, error } = await query;
+  if (error) return res.status(500).json({ error: "Could not load players" });
+  if (req.query?.puuid && !players?.length) return res.status(404).json({ error: "Player not tracked" });
+
+  const run = await startRun(supabase, "reconcile-lp");
+  if (!run) return res.status(409).json({ error: "reconcile-lp is already running" });
+
+  const results = [];
+  for (const p of players || []) {
+    try {
+      const r = await reconcilePlayer(supabase, p.puuid, { since: since?.toISOString() });
+      results.push({ puuid: p.puuid, gameName: p.game_name, ...r });
+    } catch (e) {
+      results.push({ puuid: p.puuid, gameName: p.game_name, error: e.message });
+    }
+  }
+
+  const updated = results.reduce((n, r) => n + (r.updated || 0), 0);
+  const failed  = results.filter(r => r.error).length;
+  await finishRun(supabase, run, failed ? "error" : "ok", { updated, failed });
+  return res.status(200).json({ done: true, updated, players: results });
+};
@@ -0,0 +1,47 @@
+// api/status.js
+// Public, read-only status the frontend can poll: who is in game right now
+// and the last run of each scheduled job. Reads with the anon key and never
+// calls Riot — /api/ingame (cron-only) is what keeps in_game up to date.
+// ?group=<slug> limits the players to that group.
+
+const { openStorage }       = require("../lib/storage");
+const { lastRuns }          = require("../lib/runs");
+const { loadGroup, scoped } = require("../lib/groups");
+
+const CORS = {
+  "Access-Control-Allow-Origin":  "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Content-Type":                 "application/json",
+};
+
+module.exports = async function handler(req, res) {
+  if (req.method === "OPTIONS") { res.writeHead(200, CORS); return res.end(); }
+  Object.entries(CORS).forEach(([k,v]) => res.setHeader(k,v));
+
+  const supabase = openStorage("anon");
+  if (!supabase) return res.status(500).json({ error: "Storage not configured" });
+
+  try {
+    const group = req.query?.group ? await loadGroup(supabase, req.query.group) : null;
+    if (req.query?.group && !group) return res.status(404).json({ error: `Unknown group: ${req.query.group}` });
+
+    const { data: players, error } = await scoped(supabase
+      .from("players").select("puuid, game_name, tag_line, in_game, live_game, updated_at"), group?.puuids);
+    if (error) throw error;
+
+    return res.status(200).json({
+      players: players.map(p => ({
+        puuid:    p.puuid,
+        gameName: p.game_name,
+        tagLine:  p.tag_line,
+        inGame:   !!p.in_game,
+        liveGame: p.in_game ? p.live_game : null,
+      })),
+      updatedAt: Math.max(0, ...players.map(p => p.updated_at ? new Date(p.updated_at).getTime() : 0)) || null,
+      runs:      await lastRuns(supabase),
+    });
+  } catch (e) {
+    console.error("[status]", e.message);
+    return res.status(500).json({ error: e.message });
+  }
+};
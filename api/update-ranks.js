@@ -1,98 +1,110 @@
 // api/update-ranks.js
-const https = require("https");
-const { createClient } = require("@supabase/supabase-js");
+const { isCron }                            = require("../lib/auth");
+const { startRun, finishRun }               = require("../lib/runs");
+const { openStorage }                       = require("../lib/storage");
+const { rankScore }                         = require("../lib/rank");
+const { createRiotClient }                  = require("../lib/riot");
+const { platformHost }                      = require("../lib/regions");
+const { notify, messages, keys }            = require("../lib/notify");
+const { archiveEndedSeasons }               = require("../lib/seasons");
+const { publish, rankChanged, pruneEvents } = require("../lib/events");
+const { RECENT_MS, reconcilePlayer }        = require("../lib/lp");
+const { AWARDS, evaluateAwards }            = require("../lib/awards");
+const { QUEUES, saveRanks }                 = require("../lib/queues");
 
-const EUW      = "euw1.api.riotgames.com";
-const DELAY_MS = 1100;
-
-const TIER_ORDER = { IRON:0,BRONZE:1,SILVER:2,GOLD:3,PLATINUM:4,EMERALD:5,DIAMOND:6,MASTER:7,GRANDMASTER:8,CHALLENGER:9 };
-const RANK_ORDER = { IV:0,III:1,II:2,I:3 };
-function rankScore(tier, rank, lp) {
-  if (!tier) return -1;
-  return (TIER_ORDER[tier]??-1)*10000 + (RANK_ORDER[rank]??0)*1000 + (lp||0);
-}
-
-const CORS = {
-  "Access-Control-Allow-Origin":  "*",
-  "Access-Control-Allow-Methods": "GET, OPTIONS",
-  "Content-Type":                 "application/json",
-};
+// Awards older than this are stored but not announced (e.g. the first run over old history)
+const ANNOUNCE_MS = 24*60*60*1000;
 
+// Cron-only: no CORS, every call needs CRON_SECRET
 module.exports = async function handler(req, res) {
-  if (req.method === "OPTIONS") { res.writeHead(200, CORS); return res.end(); }
-  Object.entries(CORS).forEach(([k,v]) => res.setHeader(k,v));
+  res.setHeader("Content-Type", "application/json");
 
-  const apiKey = process.env.RIOT_API_KEY;
-  const sbUrl  = process.env.SUPABASE_URL;
-  const sbKey  = process.env.SUPABASE_SERVICE_KEY;
-  if (!apiKey || !sbUrl || !sbKey)
+  const apiKey   = process.env.RIOT_API_KEY;
+  const supabase = openStorage("service");
+  if (!apiKey || !supabase || !process.env.CRON_SECRET)
     return res.status(500).json({ error: "Missing env vars" });
+  if (!isCron(req))
+    return res.status(401).json({ error: "Unauthorized" });
+
+  const riot = createRiotClient(apiKey);
+  const now  = new Date().toISOString();
+  const log  = [];
 
-  const supabase = createClient(sbUrl, sbKey);
-  const now = new Date().toISOString();
-  const log = [];
+  const run = await startRun(supabase, "update-ranks");
+  if (!run) return res.status(409).json({ error: "update-ranks is already running" });
 
   const { data: players, error } = await supabase
-    .from("players").select("puuid, game_name, tier, rank, lp, wins, losses");
-  if (error || !players?.length)
+    .from("players").select("puuid, game_name, platform, tier, rank, lp, wins, losses, ranks");
+  if (error || !players?.length) {
+    await finishRun(supabase, run, "error", { error: "Could not load players" });
     return res.status(500).json({ error: "Could not load players" });
+  }
+
+  // Archive final ranks of seasons that have ended (from the snapshots up to each end)
+  try {
+    for (const name of await archiveEndedSeasons(supabase))
+      log.push(`Season ${name} archived`);
+  } catch(e) {
+    log.push(`✗ season archive: ${e.message}`);
+  }
 
   for (const p of players) {
     try {
-      await sleep(DELAY_MS);
-      const rankData = await riotGet(EUW,
-        `/lol/league/v4/entries/by-puuid/${p.puuid}`, apiKey);
-
-      const solo = (rankData || []).find(r => r.queueType === "RANKED_SOLO_5x5");
-      if (!solo) { log.push(`${p.game_name}: unranked — skipped`); continue; }
+      const rankData = await riot.get(platformHost(p.platform),
+        `/lol/league/v4/entries/by-puuid/${p.puuid}`);
 
-      const newScore  = rankScore(solo.tier, solo.rank, solo.leaguePoints);
-      const prevScore = rankScore(p.tier, p.rank, p.lp);
+      const queues = await saveRanks(supabase, p, rankData || [], now);
+      if (!queues.length) { log.push(`${p.game_name}: unranked — skipped`); continue; }
 
-      await supabase.from("players").update({
-        tier: solo.tier, rank: solo.rank, lp: solo.leaguePoints,
-        wins: solo.wins, losses: solo.losses, updated_at: now,
-      }).eq("puuid", p.puuid);
+      for (const { key, entry, prev, moved, change } of queues) {
+        const queue = key === "solo" ? null : QUEUES[key].label;
+        const label = queue ? ` [${queue}]` : "";
+        const rank  = `${entry.tier} ${entry.rank} ${entry.leaguePoints}LP`;
+        if (!moved) { log.push(`${p.game_name}${label}: sin cambio (${rank})`); continue; }
 
-      if (newScore !== prevScore) {
-        await supabase.from("rank_history").insert({
-          puuid: p.puuid, tier: solo.tier, rank: solo.rank,
-          lp: solo.leaguePoints, wins: solo.wins, losses: solo.losses,
-          score: newScore, recorded_at: now,
-        });
-        const diff = newScore - prevScore;
-        log.push(`${p.game_name}: ${p.tier} ${p.rank} ${p.lp}LP → ${solo.tier} ${solo.rank} ${solo.leaguePoints}LP (${diff>0?"+":""}${diff})`);
-      } else {
-        log.push(`${p.game_name}: sin cambio (${solo.tier} ${solo.rank} ${solo.leaguePoints}LP)`);
+        await publish(supabase, "rank_changed", p.puuid, rankChanged(entry, prev, change));
+        if (change) {
+          await notify(supabase, "rank_change", keys.rankChange(p.puuid, entry),
+            messages.rankChange(p.game_name, change, prev, { tier: entry.tier, rank: entry.rank, lp: entry.leaguePoints }, queue))
+            .catch(e => log.push(`✗ notify ${p.game_name}: ${e.message}`));
+        }
+        const diff = rankScore(entry.tier, entry.rank, entry.leaguePoints) - rankScore(prev?.tier, prev?.rank, prev?.lp);
+        log.push(`${p.game_name}${label}: ${prev?.tier ?? "—"} ${prev?.rank ?? ""} ${prev?.lp ?? 0}LP → ${rank} (${diff>0?"+":""}${diff})`);
+      }
+      if (queues.some(q => q.moved)) {
+        await reconcilePlayer(supabase, p.puuid, { since: new Date(Date.now() - RECENT_MS).toISOString() })
+          .catch(e => log.push(`✗ lp ${p.game_name}: ${e.message}`));
       }
     } catch(e) {
       log.push(`✗ ${p.game_name}: ${e.message}`);
     }
   }
 
-  return res.status(200).json({ done: true, updated: log.filter(l=>l.includes("→")).length, log });
-};
+  try {
+    const awards = await evaluateAwards(supabase);
+    // Group awards are announced with the group's name
+    const groupNames = {};
+    if (awards.some(a => a.group_slug)) {
+      const { data: groups, error } = await supabase.from("groups").select("slug, name");
+      if (error) throw error;
+      for (const g of groups || []) groupNames[g.slug] = g.name;
+    }
+    for (const a of awards) {
+      const name = players.find(p => p.puuid === a.puuid)?.game_name || a.puuid;
+      log.push(`Award ${a.award}${a.group_slug ? ` [${a.group_slug}]` : ""}: ${name}`);
+      if (Date.now() - new Date(a.awarded_at).getTime() > ANNOUNCE_MS) continue;
+      await notify(supabase, "award", keys.award(a.award_key),
+        messages.award(name, AWARDS[a.award], a, groupNames[a.group_slug] ?? a.group_slug))
+        .catch(e => log.push(`✗ notify ${name}: ${e.message}`));
+    }
+  } catch(e) {
+    log.push(`✗ awards: ${e.message}`);
+  }
 
-function riotGet(hostname, path, apiKey) {
-  return new Promise((resolve, reject) => {
-    const req = https.request(
-      { hostname, path, method: "GET",
-        headers: { "X-Riot-Token": apiKey, "Accept": "application/json" } },
-      (res) => {
-        let raw = "";
-        res.on("data", c => raw += c);
-        res.on("end", () => {
-          if (res.statusCode < 200 || res.statusCode >= 300)
-            return reject(new Error(`HTTP ${res.statusCode}`));
-          try { resolve(JSON.parse(raw)); }
-          catch { reject(new Error("JSON parse error")); }
-        });
-      }
-    );
-    req.on("error", reject);
-    req.setTimeout(30000, () => { req.destroy(); reject(new Error("Timeout")); });
-    req.end();
-  });
-}
+  await pruneEvents(supabase);
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
\ No newline at end of file
+  const updated = log.filter(l=>l.includes("→")).length;
+  const awarded = log.filter(l=>l.startsWith("Award ")).length;
+  await finishRun(supabase, run, "ok", { updated, awarded, failed: log.filter(l=>l.startsWith("✗")).length });
+  return res.status(200).json({ done: true, updated, riot: riot.stats(), log });
+};
@@ -0,0 +1,56 @@
+// api/weekly-report.js
+// Called by cron once a week. Posts the weekly leaderboard winner
+// (most LP gained over the last 7 days) to the weekly webhook, then the
+// winner among each group's members, named after the group.
+
+const { isCron }                 = require("../lib/auth");
+const { startRun, finishRun }    = require("../lib/runs");
+const { openStorage }            = require("../lib/storage");
+const { weeklyStandings }        = require("../lib/leaderboard");
+const { notify, messages, keys } = require("../lib/notify");
+
+// Cron-only: no CORS, every call needs CRON_SECRET
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json");
+
+  const supabase = openStorage("service");
+  if (!supabase || !process.env.CRON_SECRET)
+    return res.status(500).json({ error: "Missing env vars" });
+  if (!isCron(req))
+    return res.status(401).json({ error: "Unauthorized" });
+
+  const run = await startRun(supabase, "weekly-report");
+  if (!run) return res.status(409).json({ error: "weekly-report is already running" });
+
+  try {
+    const day = new Date().toISOString().slice(0, 10);
+    // puuids = null → every tracked player
+    const report = async (puuids, group = null) => {
+      const winner = (await weeklyStandings(supabase, { puuids }))
+        .filter(p => p.gamesPlayed > 0)
+        .sort((a, b) => b.lpGain - a.lpGain || b.weekWr - a.weekWr)[0];
+      if (!winner) return { winner: null, sent: false };
+      const sent = await notify(supabase, "weekly", keys.weekly(day, group?.slug), messages.weekly(winner, group?.name));
+      return { winner: winner.gameName, lpGain: winner.lpGain, sent };
+    };
+
+    const all = await report(null);
+
+    const { data: groups, error } = await supabase.from("groups").select("slug, name").order("name", { ascending: true });
+    if (error) throw error;
+    const { data: members, error: mError } = await supabase.from("group_members").select("group_slug, puuid");
+    if (mError) throw mError;
+    const perGroup = [];
+    for (const g of groups || []) {
+      const puuids = (members || []).filter(m => m.group_slug === g.slug).map(m => m.puuid);
+      if (puuids.length) perGroup.push({ slug: g.slug, ...await report(puuids, g) });
+    }
+
+    await finishRun(supabase, run, "ok", { winner: all.winner, sent: all.sent, groups: perGroup.length });
+    return res.status(200).json({ done: true, ...all, groups: perGroup });
+  } catch (e) {
+    console.error("[weekly-report]", e.message);
+    await finishRun(supabase, run, "error", { error: e.message });
+    return res.status(500).json({ error: e.message });
+  }
+};
@@ -0,0 +1,29 @@
+// lib/auth.js
+// Shared-secret checks. The cron/maintenance endpoints take CRON_SECRET
+// (Vercel Cron sends it as a bearer token; cron-job.org can send either form),
+// the admin endpoint takes ADMIN_KEY.
+
+const crypto = require("crypto");
+
+// Bearer token, else the given header
+function readToken(req, header) {
+  const auth = req.headers["authorization"] || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  return req.headers[header] || null;
+}
+
+// False when no secret is configured, so a missing env var never opens the endpoint
+function checkSecret(req, secret, header) {
+  const token = readToken(req, header);
+  if (!secret || !token) return false;
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(String(secret));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// For cron endpoints: CRON_SECRET as bearer token or x-cron-secret header
+function isCron(req) {
+  return checkSecret(req, process.env.CRON_SECRET, "x-cron-secret");
+}
+
+module.exports = { readToken, checkSecret, isCron };
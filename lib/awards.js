@@ -0,0 +1,267 @@
+// lib/awards.js
+// Awards engine. Rules run over player_matches, rank_history and matches.data
+// and hand out badges into `awards`. Every award has a unique award_key (like
+// notifications.event_key), so evaluating the same data again adds nothing.
+// Weekly awards are only given once the week is over; the others fire on the
+// match or snapshot that earned them.
+// Rules that rank players against each other (MVP, most deaths, first to a tier)
+// run once over everyone and once per group, among its members only; a group's
+// awards carry its slug in group_slug and in the key ("weekly_mvp:office:2026-10-12").
+// Rules about a player's own games (streaks, tilt, one-trick) are not per group.
+
+const { TIER_ORDER }            = require("./rank");
+const { localDay, periodRange } = require("./leaderboard");
+const { selectAll }             = require("./storage");
+const { QUEUES }                = require("./queues");
+
+// Catalogue the frontend renders (Spanish, like the rest of the UI)
+const AWARDS = {
+  weekly_mvp:  { icon: "👑", label: "MVP de la semana",   description: "Más partidas como mejor KDA de su equipo" },
+  most_deaths: { icon: "💀", label: "Saco de boxeo",      description: "La partida con más muertes de la semana" },
+  win_streak:  { icon: "🔥", label: "Racha de 5",         description: "5 victorias seguidas" },
+  first_tier:  { icon: "🚀", label: "Primero en llegar",  description: "El primero del grupo en subir a una liga" },
+  one_trick:   { icon: "🎯", label: "One-trick",          description: "80% o más de las partidas de la semana con un campeón" },
+  tilt:        { icon: "🌋", label: "Tilt",               description: "4 derrotas seguidas en una sesión" },
+};
+
+// Rules about a player's own games; the rest compare players, so each group gets its own winner
+const PLAYER_RULES = ["win_streak", "one_trick", "tilt"];
+
+const STREAK_LEN      = 5;
+const TILT_LEN        = 4;
+const ONE_TRICK_SHARE = 0.8;
+const ONE_TRICK_MIN   = 5;              // games in the week
+const SESSION_GAP_MS  = 60*60*1000;     // a longer break between games starts a new session
+const LOOKBACK_MS     = 8*7*24*60*60*1000;
+
+const time  = (iso) => new Date(iso).getTime();
+const endOf = (m) => time(m.played_at) + (m.duration || 0) * 1000;
+const kda   = (p) => ((p.k || 0) + (p.a || 0)) / Math.max(1, p.d || 0);
+
+function award(type, key, puuid, match, at, period, detail) {
+  return {
+    award_key:  `${type}:${key}`,
+    award:      type,
+    puuid,
+    match_id:   match?.match_id ?? null,
+    period:     period ?? null,
+    detail,
+    awarded_at: new Date(at).toISOString(),
+  };
+}
+
+// Finished weeks (Monday to Monday, group time zone) that start after `since`, oldest first
+function finishedWeeks(since, now) {
+  const weeks = [];
+  let to = periodRange("week", now).from;
+  for (;;) {
+    const from = periodRange("week", new Date(to.getTime() - 1)).from;
+    if (from < since) break;
+    weeks.unshift({ key: localDay(from), from, to });
+    to = from;
+  }
+  return weeks;
+}
+
+// ── Weekly rules ────────────────────────────────────────────────────────────
+
+// Most games as the best KDA of their own team (from matches.data); ties → higher total KDA
+function weeklyMvp(games, teams, week) {
+  const tally = {};
+  for (const m of games) {
+    const data = teams[m.match_id];
+    const me   = data?.[m.puuid];
+    if (!me) continue;
+    const best = Math.max(...Object.values(data).filter(p => p.team === me.team).map(kda));
+    if (kda(me) < best) continue;
+    const t = tally[m.puuid] ||= { count: 0, kda: 0, match: null };
+    t.count++;
+    t.kda += kda(me);
+    if (!t.match || kda(me) > kda(teams[t.match.match_id][m.puuid])) t.match = m;
+  }
+  const [puuid, t] = Object.entries(tally).sort(([, a], [, b]) => b.count - a.count || b.kda - a.kda)[0] || [];
+  if (!puuid) return [];
+  const played = games.filter(g => g.puuid === puuid).length;
+  return [award("weekly_mvp", week.key, puuid, t.match, week.to, week.key, { mvpGames: t.count, games: played })];
+}
+
+function mostDeaths(games, week) {
+  const worst = [...games].sort((a, b) => (b.deaths || 0) - (a.deaths || 0))[0];
+  if (!worst?.deaths) return [];
+  return [award("most_deaths", week.key, worst.puuid, worst, week.to, week.key,
+    { deaths: worst.deaths, champ: worst.champ })];
+}
+
+function oneTricks(games, week) {
+  const out = [];
+  for (const [puuid, ms] of Object.entries(groupBy(games, "puuid"))) {
+    if (ms.length < ONE_TRICK_MIN) continue;
+    const [champ, onChamp] = Object.entries(groupBy(ms, "champ")).sort(([, a], [, b]) => b.length - a.length)[0];
+    const share = onChamp.length / ms.length;
+    if (share < ONE_TRICK_SHARE) continue;
+    out.push(award("one_trick", `${puuid}:${week.key}`, puuid, onChamp[onChamp.length - 1], week.to, week.key,
+      { champ, games: ms.length, share: Math.round(share * 100) }));
+  }
+  return out;
+}
+
+// ── Match rules (per player, games oldest first) ────────────────────────────
+
+function winStreaks(puuid, games) {
+  const out = [];
+  let run = 0;
+  for (const m of games) {
+    run = m.win ? run + 1 : 0;
+    if (run === STREAK_LEN) out.push(award("win_streak", `${puuid}:${m.match_id}`, puuid, m, endOf(m), null, { wins: run }));
+  }
+  return out;
+}
+
+function tilts(puuid, games) {
+  const out = [];
+  let run = 0;
+  games.forEach((m, i) => {
+    const prev = games[i - 1];
+    if (prev && time(m.played_at) - endOf(prev) > SESSION_GAP_MS) run = 0;
+    run = m.win ? 0 : run + 1;
+    if (run === TILT_LEN) out.push(award("tilt", `${puuid}:${m.match_id}`, puuid, m, endOf(m), null, { losses: run }));
+  });
+  return out;
+}
+
+// First promotion into a tier nobody in the group had been in before.
+// The triggering match is the player's last one before the snapshot.
+function firstTiers(snapshots, byPlayer) {
+  const out  = [];
+  const seen = new Set();
+  const last = {};
+  for (const s of snapshots) {
+    const prev = last[s.puuid];
+    if (s.tier && !seen.has(s.tier) && prev?.tier && TIER_ORDER[s.tier] > TIER_ORDER[prev.tier]) {
+      const match = (byPlayer[s.puuid] || []).filter(m => endOf(m) <= time(s.recorded_at)).pop();
+      out.push(award("first_tier", s.tier, s.puuid, match, s.recorded_at, null, { tier: s.tier, from: prev.tier }));
+    }
+    if (s.tier) seen.add(s.tier);
+    last[s.puuid] = s;
+  }
+  return out;
+}
+
+// The same awards scoped to a group: its slug goes after the type in the key
+function inGroup(awards, slug) {
+  return awards.map(a => ({
+    ...a,
+    award_key:  slug ? `${a.award}:${slug}:${a.award_key.slice(a.award.length + 1)}` : a.award_key,
+    group_slug: slug,
+  }));
+}
+
+function groupBy(rows, col) {
+  const out = {};
+  for (const r of rows) (out[r[col]] ||= []).push(r);
+  return out;
+}
+
+// ── Engine ──────────────────────────────────────────────────────────────────
+
+// Runs every rule over the last LOOKBACK_MS and stores the awards not given yet.
+// Returns the new award rows.
+async function evaluateAwards(supabase, { now = new Date(), since = new Date(now.getTime() - LOOKBACK_MS) } = {}) {
+  const { data: players, error } = await supabase.from("players").select("puuid");
+  if (error) throw error;
+  const tracked = new Set((players || []).map(p => p.puuid));
+
+  const matches = (await selectAll(() => supabase
+    .from("player_matches")
+    .select("puuid, match_id, win, champ, kills, deaths, assists, duration, played_at")
+    .gte("played_at", since.toISOString())
+    .order("played_at", { ascending: true })))
+    .filter(m => tracked.has(m.puuid) && time(m.played_at) < now.getTime());
+
+  const teams = {};
+  const ids   = [...new Set(matches.map(m => m.match_id))];
+  for (let i = 0; i < ids.length; i += 200) {
+    const { data, error: mError } = await supabase
+      .from("matches").select("match_id, data").in("match_id", ids.slice(i, i + 200));
+    if (mError) throw mError;
+    for (const m of data || []) teams[m.match_id] = m.data;
+  }
+
+  // Every solo snapshot: "first to reach" depends on the group's whole history
+  const snapshots = (await selectAll(() => supabase
+    .from("rank_history").select("puuid, tier, recorded_at")
+    .eq("queue", QUEUES.solo.type)
+    .order("recorded_at", { ascending: true })))
+    .filter(s => tracked.has(s.puuid) && time(s.recorded_at) <= now.getTime());
+
+  // Everyone (slug null), then each group with its members
+  const { data: memberships, error: gError } = await supabase.from("group_members").select("group_slug, puuid");
+  if (gError) throw gError;
+  const scopes = [{ slug: null, puuids: tracked }];
+  for (const [slug, rows] of Object.entries(groupBy(memberships || [], "group_slug"))) {
+    scopes.push({ slug, puuids: new Set(rows.map(r => r.puuid)) });
+  }
+
+  const weeks      = finishedWeeks(since, now);
+  const inWeek     = (week) => matches.filter(m => time(m.played_at) >= week.from.getTime() && time(m.played_at) < week.to.getTime());
+  const byPlayer   = groupBy(matches, "puuid");
+  const candidates = [
+    ...inGroup([
+      ...weeks.flatMap(week => oneTricks(inWeek(week), week)),
+      ...Object.entries(byPlayer).flatMap(([puuid, games]) => [...winStreaks(puuid, games), ...tilts(puuid, games)]),
+    ], null),
+    ...scopes.flatMap(({ slug, puuids }) => inGroup([
+      ...weeks.flatMap(week => {
+        const games = inWeek(week).filter(m => puuids.has(m.puuid));
+        return [...weeklyMvp(games, teams, week), ...mostDeaths(games, week)];
+      }),
+      ...firstTiers(snapshots.filter(s => puuids.has(s.puuid)), byPlayer),
+    ], slug)),
+  ];
+  if (!candidates.length) return [];
+
+  const { data: inserted, error: iError } = await supabase
+    .from("awards")
+    .upsert(candidates, { onConflict: "award_key", ignoreDuplicates: true })
+    .select("award_key");
+  if (iError) throw iError;
+  const fresh = new Set((inserted || []).map(a => a.award_key));
+  return candidates.filter(a => fresh.has(a.award_key));
+}
+
+// Stored awards, newest first, with their catalogue entry. puuids = null → everyone.
+// With a group (slug), its own MVP / most deaths / first-to-tier awards replace
+// the ones decided among everyone; the per-player ones are shared.
+async function listAwards(supabase, { puuids = null, group = null, since = null, limit = 100 } = {}) {
+  const scopes = group
+    ? [q => q.is("group_slug", null).in("award", PLAYER_RULES), q => q.eq("group_slug", group)]
+    : [q => q.is("group_slug", null)];
+  const rows = [];
+  for (const scope of scopes) {
+    let query = scope(supabase
+      .from("awards").select("award_key, award, puuid, match_id, period, detail, awarded_at, group_slug"))
+      .order("awarded_at", { ascending: false })
+      .limit(limit);
+    if (puuids) query = query.in("puuid", puuids);
+    if (since)  query = query.gte("awarded_at", since);
+    const { data, error } = await query;
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return rows
+    .sort((a, b) => time(b.awarded_at) - time(a.awarded_at))
+    .slice(0, limit)
+    .map(a => ({
+      key:       a.award_key,
+      award:     a.award,
+      ...(AWARDS[a.award] || { icon: "🏅", label: a.award }),
+      puuid:     a.puuid,
+      matchId:   a.match_id,
+      period:    a.period,
+      group:     a.group_slug ?? null,
+      detail:    a.detail,
+      awardedAt: a.awarded_at,
+    }));
+}
+
+module.exports = { AWARDS, LOOKBACK_MS, finishedWeeks, evaluateAwards, listAwards };
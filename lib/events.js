@@ -0,0 +1,54 @@
+// lib/events.js
+// Live channel. Handlers append rows to the `events` table as things happen;
+// /api/events streams them to open pages as Server-Sent Events. Going through
+// the database is what lets a short-lived cron invocation reach every tab.
+
+const TYPES = ["game_started", "game_ended", "match_stored", "rank_changed"];
+
+// Events are kept a week, enough for any client to catch up after a reconnect
+const KEEP_MS = 7*24*60*60*1000;
+
+// Never throws — a lost live update must not fail the job that produced it
+async function publish(supabase, type, puuid, payload = {}) {
+  const { error } = await supabase.from("events").insert({
+    type, puuid, payload, created_at: new Date().toISOString(),
+  });
+  if (error) console.error(`[events] ${type}: ${error.message}`);
+}
+
+// rank_changed payload: the new league entry (any ranked queue) and the rank it replaced
+function rankChanged(entry, prev, change = null) {
+  return {
+    queue: entry.queueType || "RANKED_SOLO_5x5",
+    tier: entry.tier, rank: entry.rank, lp: entry.leaguePoints, wins: entry.wins, losses: entry.losses,
+    prev: prev?.tier ? { tier: prev.tier, rank: prev.rank, lp: prev.lp } : null,
+    change,
+  };
+}
+
+async function eventsAfter(supabase, afterId, limit = 100) {
+  const { data, error } = await supabase
+    .from("events").select("id, type, puuid, payload, created_at")
+    .gt("id", afterId)
+    .order("id", { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+// Id of the newest event (0 when there are none), where a fresh client starts
+async function latestEventId(supabase) {
+  const { data, error } = await supabase
+    .from("events").select("id")
+    .order("id", { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0]?.id ?? 0;
+}
+
+async function pruneEvents(supabase, now = new Date()) {
+  await supabase.from("events").delete()
+    .lt("created_at", new Date(now.getTime() - KEEP_MS).toISOString());
+}
+
+module.exports = { TYPES, publish, rankChanged, eventsAfter, latestEventId, pruneEvents };
@@ -0,0 +1,38 @@
+// lib/groups.js
+// Groups: independent boards in one deployment. Membership lives in
+// group_members, so a player in several groups is still a single `players`
+// row — the cron handlers walk `players` and call Riot once per account no
+// matter how many groups list it. Reads take ?group=<slug>; without it they
+// cover every tracked player, as before groups existed.
+
+// "office", "uni-club" — lowercase, digits and dashes, used in /g/<slug>
+const SLUG_RE = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+
+function isSlug(slug) {
+  return typeof slug === "string" && SLUG_RE.test(slug);
+}
+
+// { slug, name, icon, puuids } or null when there is no such group
+async function loadGroup(supabase, slug) {
+  if (!isSlug(slug)) return null;
+  const { data: group, error } = await supabase
+    .from("groups").select("slug, name, icon").eq("slug", slug).maybeSingle();
+  if (error) throw error;
+  if (!group) return null;
+  const { data: members, error: mError } = await supabase
+    .from("group_members").select("puuid").eq("group_slug", slug);
+  if (mError) throw mError;
+  return { ...group, puuids: (members || []).map(m => m.puuid) };
+}
+
+// Restricts a query on a table with a puuid column to the group; null = everyone
+function scoped(query, puuids) {
+  return puuids ? query.in("puuid", puuids) : query;
+}
+
+// Keeps the requested puuids that are in the group (all of them without a group)
+function within(requested, puuids) {
+  return puuids ? requested.filter(p => puuids.includes(p)) : requested;
+}
+
+module.exports = { isSlug, loadGroup, scoped, within };
@@ -0,0 +1,175 @@
+// lib/leaderboard.js
+// Standings computed from players, rank_history and player_matches.
+const { calcLpGain }                    = require("./rank");
+const { selectAll }                     = require("./storage");
+const { QUEUES, DEFAULT_QUEUE, rankOf } = require("./queues");
+
+const DAY_MS     = 24*60*60*1000;
+const DEFAULT_TZ = "Europe/Madrid";
+const SORTS      = ["lp", "games", "wr", "kda"];
+
+// Offset of `tz` from UTC at `date`, in ms (positive east of Greenwich)
+function tzOffsetMs(date, tz) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone: tz, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// "2026-10-12" — the calendar day `date` falls on in the group's time zone
+function localDay(date, tz = process.env.LEADERBOARD_TZ || DEFAULT_TZ) {
+  return new Date(date.getTime() + tzOffsetMs(date, tz)).toISOString().slice(0, 10);
+}
+
+// Instant of local midnight on y-m-d (month 0-based; days may overflow, like Date.UTC).
+// The offset is read at that instant, not now: a DST change may lie in between.
+function localMidnight(y, m, d, tz) {
+  const wall = Date.UTC(y, m, d);
+  let t = wall - tzOffsetMs(new Date(wall), tz);
+  t = wall - tzOffsetMs(new Date(t), tz); // refine once: the first guess can land across the change
+  return new Date(t);
+}
+
+// Preset → { from, to } in the group's local time: today, week (from Monday), month, 7d, 30d
+// Ranges are half-open, [from, to), in every mode that takes one
+function periodRange(period, now = new Date(), tz = process.env.LEADERBOARD_TZ || DEFAULT_TZ) {
+  const local = new Date(now.getTime() + tzOffsetMs(now, tz)); // wall-clock time read through UTC getters
+  const [y, m, d] = [local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()];
+  switch (period) {
+    case "today": return { from: localMidnight(y, m, d, tz), to: now };
+    case "week":  return { from: localMidnight(y, m, d - (local.getUTCDay() + 6) % 7, tz), to: now };
+    case "month": return { from: localMidnight(y, m, 1, tz), to: now };
+    case "7d":    return { from: new Date(now.getTime() - 7*DAY_MS), to: now };
+    case "30d":   return { from: new Date(now.getTime() - 30*DAY_MS), to: now };
+    default:      return null;
+  }
+}
+
+// LP, games, win rate and KDA per player in [from, to).
+// Baseline is the last rank snapshot before `from` (first one inside the window if
+// there is none); the end rank is the current one, or the last snapshot before `to`.
+// puuids restricts it to those players (a group); null = everyone. Ranks, snapshots
+// and games all come from one ranked queue (lib/queues key, solo by default).
+async function leaderboard(supabase, {
+  from, to = new Date(), platform = null, puuids: only = null, queue = DEFAULT_QUEUE, sort = "lp",
+} = {}) {
+  const { id: queueId, type: queueType } = QUEUES[queue];
+  const fromIso = from.toISOString();
+  const toIso   = to.toISOString();
+  const isLive  = to.getTime() >= Date.now() - 60*1000;
+
+  let currentQuery = supabase
+    .from("players")
+    .select("puuid, game_name, tag_line, platform, tier, rank, lp, wins, losses, ranks");
+  if (platform) currentQuery = currentQuery.eq("platform", platform);
+  if (only)     currentQuery = currentQuery.in("puuid", only);
+  const { data: current, error } = await currentQuery;
+  if (error) throw error;
+  const puuids = (current || []).map(p => p.puuid);
+
+  const before = await Promise.all(puuids.map(puuid => supabase
+    .from("rank_history")
+    .select("puuid, tier, rank, lp, recorded_at")
+    .eq("puuid", puuid)
+    .eq("queue", queueType)
+    .lt("recorded_at", fromIso)
+    .order("recorded_at", { ascending: false })
+    .limit(1)
+    .then(({ data, error }) => {
+      if (error) throw error;
+      return data?.[0] || null;
+    })));
+  const baselineByPuuid = Object.fromEntries(before.filter(Boolean).map(r => [r.puuid, r]));
+
+  const windowRows = await selectAll(() => supabase
+    .from("rank_history")
+    .select("puuid, tier, rank, lp, recorded_at")
+    .in("puuid", puuids)
+    .eq("queue", queueType)
+    .gte("recorded_at", fromIso)
+    .lt("recorded_at", toIso)
+    .order("recorded_at", { ascending: true }));
+  const inWindow = {};
+  for (const row of windowRows) (inWindow[row.puuid] ||= []).push(row);
+
+  const matches = await selectAll(() => supabase
+    .from("player_matches")
+    .select("puuid, win, kills, deaths, assists, lp_delta")
+    .in("puuid", puuids)
+    .eq("queue_id", queueId)
+    .gte("played_at", fromIso)
+    .lt("played_at", toIso)
+    .order("played_at", { ascending: true }));
+  const matchStats = {};
+  for (const m of matches) {
+    const ms = matchStats[m.puuid] ||= { wins:0, losses:0, k:0, d:0, a:0, lpWin:[], lpLoss:[] };
+    if (m.win) ms.wins++; else ms.losses++;
+    ms.k += m.kills || 0; ms.d += m.deaths || 0; ms.a += m.assists || 0;
+    if (m.lp_delta != null) (m.win ? ms.lpWin : ms.lpLoss).push(m.lp_delta);
+  }
+
+  const rows = (current || []).map(p => {
+    const win   = inWindow[p.puuid] || [];
+    const start = baselineByPuuid[p.puuid] || win[0] || null;
+    const end   = isLive ? rankOf(p, queue) : (win[win.length - 1] || start);
+    const ms    = matchStats[p.puuid] || { wins:0, losses:0, k:0, d:0, a:0, lpWin:[], lpLoss:[] };
+    const games = ms.wins + ms.losses;
+    return {
+      puuid:    p.puuid,
+      gameName: p.game_name,
+      tagLine:  p.tag_line,
+      platform: p.platform,
+      start:    start?.tier ? { tier: start.tier, rank: start.rank, lp: start.lp } : null,
+      end:      end?.tier   ? { tier: end.tier,   rank: end.rank,   lp: end.lp }   : null,
+      lpGain:   start && end?.tier
+        ? calcLpGain(end.tier, end.rank, end.lp, start.tier, start.rank, start.lp) : 0,
+      games,
+      wins:     ms.wins,
+      losses:   ms.losses,
+      wr:       games > 0 ? Math.round(ms.wins/games*100) : null,
+      kda:      games > 0 ? {
+        k:     +(ms.k/games).toFixed(1),
+        d:     +(ms.d/games).toFixed(1),
+        a:     +(ms.a/games).toFixed(1),
+        ratio: +((ms.k + ms.a) / Math.max(1, ms.d)).toFixed(2),
+      } : null,
+      // Average of the per-match LP attributed by lib/lp.js; null when none is known
+      avgLpWin:  average(ms.lpWin),
+      avgLpLoss: average(ms.lpLoss),
+    };
+  });
+
+  const key = {
+    lp:    r => r.lpGain,
+    games: r => r.games,
+    wr:    r => r.wr ?? -1,
+    kda:   r => r.kda?.ratio ?? -1,
+  }[SORTS.includes(sort) ? sort : "lp"];
+  return rows.sort((a, b) => key(b) - key(a));
+}
+
+function average(values) {
+  return values.length ? +(values.reduce((n, v) => n + v, 0) / values.length).toFixed(1) : null;
+}
+
+// Rolling last-7-days standings in the shape of the original `weekly` mode
+async function weeklyStandings(supabase, { platform = null, puuids = null, queue = DEFAULT_QUEUE } = {}) {
+  const { from, to } = periodRange("7d");
+  const rows = await leaderboard(supabase, { from, to, platform, puuids, queue });
+  return rows.map(r => ({
+    puuid:       r.puuid,
+    gameName:    r.gameName,
+    tagLine:     r.tagLine,
+    platform:    r.platform,
+    lpGain:      r.lpGain,
+    gamesPlayed: r.games,
+    weekWins:    r.wins,
+    weekLosses:  r.losses,
+    weekWr:      r.wr,
+  }));
+}
+
+module.exports = { SORTS, tzOffsetMs, localDay, periodRange, leaderboard, weeklyStandings };
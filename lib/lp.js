@@ -0,0 +1,150 @@
+// lib/lp.js
+// Per-match LP. rank_history only holds snapshots, so the LP between two
+// consecutive snapshots (calcLpGain) is shared by the matches that ended in
+// between: a lone match gets it exactly; several get the player's usual gain
+// per win / loss, nudged evenly so they still add up to the snapshot diff.
+// rank_before / rank_after walk the lpValue ladder, so a promotion or demotion
+// lands on the match that crossed the boundary. Each ranked queue has its own
+// snapshots (rank_history.queue) and only its own matches (queue_id) between them.
+
+const { TIER_ORDER, lpValue, fromLpValue, calcLpGain } = require("./rank");
+const { QUEUES, RANKED_QUEUES }                        = require("./queues");
+const { selectAll }                                    = require("./storage");
+
+// Used until a player has exact matches of their own
+const DEFAULT_WIN_LP  = 20;
+const DEFAULT_LOSS_LP = -20;
+
+// Window re-attributed after every new snapshot or match (earlier ones are settled)
+const RECENT_MS = 2*24*60*60*1000;
+
+// No ranked game lasts longer; bounds how far back of a snapshot a match can start
+const MAX_GAME_MS = 90*60*1000;
+
+const rankOf   = (r) => ({ tier: r.tier, rank: r.rank, lp: r.lp });
+const endOf    = (m) => new Date(m.played_at).getTime() + (m.duration || 0) * 1000;
+
+// jsonb does not keep key order, so compare field by field
+const sameRank = (x, y) => x?.tier === y?.tier && x?.rank === y?.rank && x?.lp === y?.lp;
+
+// Deltas for the matches (chronological) that ended between snapshots `a` and `b`.
+// Returns [{ match_id, lp_delta, rank_before, rank_after, lp_source }]
+function attribute(a, b, games, { win = DEFAULT_WIN_LP, loss = DEFAULT_LOSS_LP } = {}) {
+  if (!games.length) return [];
+  const total  = calcLpGain(b.tier, b.rank, b.lp, a.tier, a.rank, a.lp);
+  const deltas = games.length === 1 ? [total] : spread(games.map(g => g.win ? win : loss), total);
+  const apex   = [b, a].find(s => TIER_ORDER[s.tier] >= TIER_ORDER.MASTER)?.tier;
+
+  let value = lpValue(a.tier, a.rank, a.lp);
+  return games.map((g, i) => {
+    const before = i === 0 ? rankOf(a) : fromLpValue(value, apex);
+    value += deltas[i];
+    const after  = i === games.length - 1 ? rankOf(b) : fromLpValue(value, apex);
+    return {
+      match_id:    g.match_id,
+      lp_delta:    deltas[i],
+      rank_before: before,
+      rank_after:  after,
+      lp_source:   games.length === 1 ? "exact" : "estimated",
+    };
+  });
+}
+
+// Shifts integer guesses by the same amount (±1 for the remainder) until they sum to `total`
+function spread(guesses, total) {
+  const residual = total - guesses.reduce((n, g) => n + g, 0);
+  const each     = Math.trunc(residual / guesses.length);
+  const extra    = residual - each * guesses.length;
+  return guesses.map((g, i) => g + each + (i < Math.abs(extra) ? Math.sign(extra) : 0));
+}
+
+// Average LP per win and per loss over exactly attributed matches ({ match_id, win, lp_delta })
+function averages(exact) {
+  const avg = (rows, fallback) => rows.length
+    ? Math.round(rows.reduce((n, r) => n + r.lp_delta, 0) / rows.length) : fallback;
+  return {
+    win:  avg(exact.filter(r => r.win  && r.lp_delta > 0), DEFAULT_WIN_LP),
+    loss: avg(exact.filter(r => !r.win && r.lp_delta < 0), DEFAULT_LOSS_LP),
+  };
+}
+
+// Re-attributes LP to every match bracketed by the player's snapshots from the
+// last one at or before `since` (all of them without it), queue by queue. Only
+// rows whose values changed are written. Returns { matches, updated }.
+async function reconcilePlayer(supabase, puuid, { since = null } = {}) {
+  const total = { matches: 0, updated: 0 };
+  for (const key of RANKED_QUEUES) {
+    const { matches, updated } = await reconcileQueue(supabase, puuid, QUEUES[key], since);
+    total.matches += matches;
+    total.updated += updated;
+  }
+  return total;
+}
+
+async function reconcileQueue(supabase, puuid, queue, since) {
+  let first = [];
+  if (since) {
+    const { data, error } = await supabase
+      .from("rank_history").select("tier, rank, lp, recorded_at")
+      .eq("puuid", puuid).eq("queue", queue.type).lte("recorded_at", since)
+      .order("recorded_at", { ascending: false }).limit(1);
+    if (error) throw error;
+    first = data || [];
+  }
+  const rest = await selectAll(() => {
+    let q = supabase
+      .from("rank_history").select("tier, rank, lp, recorded_at")
+      .eq("puuid", puuid).eq("queue", queue.type)
+      .order("recorded_at", { ascending: true });
+    if (since) q = q.gt("recorded_at", since);
+    return q;
+  });
+  const snapshots = [...first, ...rest].filter(s => s.tier);
+  if (snapshots.length < 2) return { matches: 0, updated: 0 };
+
+  const matches = await selectAll(() => supabase
+    .from("player_matches")
+    .select("match_id, win, played_at, duration, lp_delta, rank_before, rank_after, lp_source")
+    .eq("puuid", puuid).eq("queue_id", queue.id)
+    .gte("played_at", new Date(new Date(snapshots[0].recorded_at).getTime() - MAX_GAME_MS).toISOString())
+    .order("played_at", { ascending: true }));
+
+  const gaps = snapshots.slice(1).map((b, i) => {
+    const a = snapshots[i];
+    const from = new Date(a.recorded_at).getTime(), to = new Date(b.recorded_at).getTime();
+    return { a, b, games: matches.filter(m => endOf(m) > from && endOf(m) <= to) };
+  });
+
+  // Lone matches first, so this pass's exact deltas feed the estimates too
+  const known = await selectAll(() => supabase
+    .from("player_matches").select("match_id, win, lp_delta")
+    .eq("puuid", puuid).eq("queue_id", queue.id).eq("lp_source", "exact")
+    .order("match_id", { ascending: true }));
+  const exact = Object.fromEntries(known.map(r => [r.match_id, r]));
+  const rows  = [];
+  for (const { a, b, games } of gaps.filter(g => g.games.length === 1)) {
+    const [row] = attribute(a, b, games);
+    exact[row.match_id] = { win: games[0].win, lp_delta: row.lp_delta };
+    rows.push(row);
+  }
+  const avg = averages(Object.values(exact));
+  for (const { a, b, games } of gaps.filter(g => g.games.length > 1))
+    rows.push(...attribute(a, b, games, avg));
+
+  const byId = Object.fromEntries(matches.map(m => [m.match_id, m]));
+
+  const changed = rows.filter(r => {
+    const m = byId[r.match_id];
+    return m.lp_delta !== r.lp_delta || m.lp_source !== r.lp_source
+      || !sameRank(m.rank_before, r.rank_before) || !sameRank(m.rank_after, r.rank_after);
+  });
+  for (const { match_id, ...fields } of changed) {
+    const { error: uError } = await supabase
+      .from("player_matches").update(fields)
+      .eq("puuid", puuid).eq("match_id", match_id);
+    if (uError) throw uError;
+  }
+  return { matches: rows.length, updated: changed.length };
+}
+
+module.exports = { DEFAULT_WIN_LP, DEFAULT_LOSS_LP, RECENT_MS, attribute, spread, reconcilePlayer };
@@ -0,0 +1,98 @@
+// lib/matches.js
+// Match ingestion shared by backfill-week.js and the postgame job:
+// turns a match-v5 payload into the `matches` row and `player_matches` rows.
+
+// "14.23.636.1234" → "14.23"
+function patchOf(gameVersion) {
+  return (gameVersion || "").split(".").slice(0, 2).join(".") || null;
+}
+
+function statsOf(part) {
+  const [primary, secondary] = part.perks?.styles || [];
+  return {
+    role:   part.teamPosition || null,
+    cs:     (part.totalMinionsKilled || 0) + (part.neutralMinionsKilled || 0),
+    gold:   part.goldEarned,
+    damage: part.totalDamageDealtToChampions,
+    vision: part.visionScore,
+    items:  [0, 1, 2, 3, 4, 5, 6].map(i => part[`item${i}`] || 0),
+    spells: [part.summoner1Id, part.summoner2Id],
+    runes:  {
+      keystone:  primary?.selections?.[0]?.perk ?? null,
+      primary:   primary?.style ?? null,
+      secondary: secondary?.style ?? null,
+    },
+  };
+}
+
+// Compact per-participant blob stored in matches.data, keyed by puuid
+function participantMap(m) {
+  return m.info.participants.reduce((obj, part) => {
+    const s = statsOf(part);
+    obj[part.puuid] = {
+      team: part.teamId, win: part.win, champ: part.championName,
+      k: part.kills, d: part.deaths, a: part.assists,
+      role: s.role, cs: s.cs, gold: s.gold, dmg: s.damage, vision: s.vision,
+      items: s.items, spells: s.spells, runes: s.runes,
+    };
+    return obj;
+  }, {});
+}
+
+function playerMatchRow(matchId, m, part) {
+  return {
+    puuid:     part.puuid,
+    match_id:  matchId,
+    team_id:   part.teamId,
+    win:       part.win,
+    champ:     part.championName,
+    kills:     part.kills,
+    deaths:    part.deaths,
+    assists:   part.assists,
+    ...statsOf(part),
+    duration:  m.info.gameDuration,
+    patch:     patchOf(m.info.gameVersion),
+    queue_id:  m.info.queueId,
+    played_at: new Date(m.info.gameStartTimestamp).toISOString(),
+  };
+}
+
+// player_matches row → the compact shape the frontend shows in match strips
+function matchSummary(m) {
+  return {
+    matchId: m.match_id,
+    win: m.win, champ: m.champ, k: m.kills, d: m.deaths, a: m.assists,
+    role: m.role, cs: m.cs, gold: m.gold, dmg: m.damage, vision: m.vision,
+    items: m.items, spells: m.spells, runes: m.runes,
+    duration: m.duration, patch: m.patch, queueId: m.queue_id ?? null, playedAt: m.played_at,
+    lpDelta: m.lp_delta ?? null, lpSource: m.lp_source ?? null,
+    rankBefore: m.rank_before ?? null, rankAfter: m.rank_after ?? null,
+  };
+}
+
+// Upserts the match and a player_matches row for every participant in `puuids`.
+// Returns the player_matches rows that were written.
+async function storeMatch(supabase, matchId, m, puuids, fetchedAt) {
+  const { error } = await supabase.from("matches").upsert({
+    match_id:   matchId,
+    fetched_at: fetchedAt,
+    duration:   m.info.gameDuration,
+    patch:      patchOf(m.info.gameVersion),
+    queue_id:   m.info.queueId,
+    data:       participantMap(m),
+  }, { onConflict: "match_id" });
+  if (error) throw error;
+
+  const rows = m.info.participants
+    .filter(part => puuids.has(part.puuid))
+    .map(part => playerMatchRow(matchId, m, part));
+
+  if (rows.length) {
+    const { error: pmError } = await supabase
+      .from("player_matches").upsert(rows, { onConflict: "puuid,match_id" });
+    if (pmError) throw pmError;
+  }
+  return rows;
+}
+
+module.exports = { patchOf, participantMap, playerMatchRow, matchSummary, storeMatch };
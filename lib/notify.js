@@ -0,0 +1,142 @@
+// lib/notify.js
+// Outgoing Discord-style webhooks. Each event type posts to its own URL
+// (DISCORD_WEBHOOK_GAME_START, …) or falls back to DISCORD_WEBHOOK_URL.
+// Every event carries a dedup key that is claimed in the `notifications`
+// table before posting, so the same event is never sent twice.
+
+const http  = require("http");
+const https = require("https");
+
+const EVENTS = {
+  game_start:  "DISCORD_WEBHOOK_GAME_START",
+  game_end:    "DISCORD_WEBHOOK_GAME_END",
+  rank_change: "DISCORD_WEBHOOK_RANK_CHANGE",
+  streak:      "DISCORD_WEBHOOK_STREAK",
+  weekly:      "DISCORD_WEBHOOK_WEEKLY",
+  award:       "DISCORD_WEBHOOK_AWARDS",
+};
+
+const COLORS = { blue: 0x1e90ff, green: 0x4ad97a, red: 0xd9534a, gold: 0xf0ce71 };
+
+function webhookUrl(event) {
+  return process.env[EVENTS[event]] || process.env.DISCORD_WEBHOOK_URL || null;
+}
+
+// Streak length that triggers a message (fires once, when it is reached)
+function streakThreshold() {
+  return Math.max(2, parseInt(process.env.STREAK_NOTIFY_AT, 10) || 3);
+}
+
+async function notify(supabase, event, key, embed) {
+  const url = webhookUrl(event);
+  if (!url) return false;
+
+  const { data: claimed, error } = await supabase
+    .from("notifications")
+    .upsert({ event_key: key, event, sent_at: new Date().toISOString() },
+            { onConflict: "event_key", ignoreDuplicates: true })
+    .select("event_key");
+  if (error) throw error;
+  if (!claimed?.length) return false; // already sent
+
+  try {
+    await postWebhook(url, { username: "Team AWA Tracker", embeds: [embed] });
+    return true;
+  } catch (e) {
+    // Release the claim so the next run can try again
+    await supabase.from("notifications").delete().eq("event_key", key);
+    throw e;
+  }
+}
+
+function postWebhook(url, payload) {
+  const u    = new URL(url);
+  const body = JSON.stringify(payload);
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === "http:" ? http : https).request(
+      {
+        hostname: u.hostname, port: u.port || undefined, path: u.pathname + u.search, method: "POST",
+        headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+      },
+      (res) => {
+        res.resume();
+        res.on("end", () => {
+          if (res.statusCode < 200 || res.statusCode >= 300)
+            return reject(new Error(`Webhook HTTP ${res.statusCode}`));
+          resolve();
+        });
+      }
+    );
+    req.on("error", reject);
+    req.setTimeout(10000, () => { req.destroy(); reject(new Error("Webhook timeout")); });
+    req.end(body);
+  });
+}
+
+// ── Messages ────────────────────────────────────────────────────────────────
+const messages = {
+  gameStart: (name) => ({
+    title:       `🎮 ${name} ha entrado en partida`,
+    color:       COLORS.blue,
+  }),
+
+  gameEnd: (name, row, lpDelta) => ({
+    title:       `${row.win ? "✅" : "❌"} ${name} — ${row.champ} ${row.kills}/${row.deaths}/${row.assists}`,
+    description: lpDelta != null ? `${lpDelta > 0 ? "+" : ""}${lpDelta} LP` : undefined,
+    color:       row.win ? COLORS.green : COLORS.red,
+  }),
+
+  // queueLabel only for queues other than solo, e.g. "Flex"
+  rankChange: (name, change, prev, now, queueLabel = null) => ({
+    title:       (change === "promotion" ? `⬆️ ${name} sube a ${now.tier} ${now.rank}` : `⬇️ ${name} baja a ${now.tier} ${now.rank}`)
+      + (queueLabel ? ` (${queueLabel})` : ""),
+    description: `${prev.tier} ${prev.rank} → ${now.tier} ${now.rank} (${now.lp} LP)`,
+    color:       change === "promotion" ? COLORS.green : COLORS.red,
+  }),
+
+  streak: (name, count, win) => ({
+    title:       win ? `🔥 ${name} lleva ${count} victorias seguidas` : `❄️ ${name} lleva ${count} derrotas seguidas`,
+    color:       win ? COLORS.green : COLORS.red,
+  }),
+
+  // groupName: the group's own report / award, among its members only
+  weekly: (winner, groupName = null) => ({
+    title:       `🏆 ${winner.gameName} gana la semana${groupName ? ` en ${groupName}` : ""}`,
+    description: `${winner.lpGain > 0 ? "+" : ""}${winner.lpGain} LP en ${winner.gamesPlayed} partidas`,
+    color:       COLORS.gold,
+  }),
+
+  award: (name, entry, a, groupName = null) => ({
+    title:       `${entry.icon} ${name} — ${entry.label}${groupName ? ` (${groupName})` : ""}`,
+    description: entry.description,
+    color:       a.award === "tilt" || a.award === "most_deaths" ? COLORS.red : COLORS.gold,
+  }),
+};
+
+// Solo rank-change keys keep their original shape; other queues add their queueType
+const queueTag = (e) => e.queueType && e.queueType !== "RANKED_SOLO_5x5" ? `${e.queueType}:` : "";
+
+// Dedup keys — shared so update-ranks and the postgame job agree on rank changes
+const keys = {
+  gameStart:  (puuid, gameId)  => `game_start:${puuid}:${gameId}`,
+  gameEnd:    (puuid, matchId) => `game_end:${puuid}:${matchId}`,
+  rankChange: (puuid, e)       => `rank_change:${puuid}:${queueTag(e)}${e.tier}:${e.rank}:${e.wins + e.losses}`,
+  streak:     (puuid, matchId) => `streak:${puuid}:${matchId}`,
+  weekly:     (day, slug)      => slug ? `weekly:${slug}:${day}` : `weekly:${day}`,
+  award:      (awardKey)       => `award:${awardKey}`,
+};
+
+// Length and direction of the streak ending with the most recent stored match
+async function currentStreak(supabase, puuid) {
+  const { data } = await supabase
+    .from("player_matches").select("win")
+    .eq("puuid", puuid)
+    .order("played_at", { ascending: false })
+    .limit(20);
+  if (!data?.length) return null;
+  let count = 0;
+  for (const m of data) { if (m.win === data[0].win) count++; else break; }
+  return { count, win: data[0].win };
+}
+
+module.exports = { EVENTS, notify, postWebhook, messages, keys, currentStreak, streakThreshold, webhookUrl };
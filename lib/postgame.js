@@ -0,0 +1,247 @@
+// lib/postgame.js
+// Postgame work as durable jobs in `postgame_jobs`. /api/ingame enqueues one
+// when a player leaves a game; /api/postgame (cron) gives every due job one
+// attempt: refresh the rank (until one league read succeeds), then fetch the
+// game's match (or, without a game id, the player's newest one).
+// Riot can take minutes to index a match, so a miss is rescheduled with
+// backoff, and once the attempts run out the job is dead-lettered (/api/jobs).
+
+const { calcLpGain }                 = require("./rank");
+const { platformHost, regionalHost } = require("./regions");
+const { storeMatch, matchSummary }   = require("./matches");
+const { publish, rankChanged }       = require("./events");
+const { RECENT_MS, reconcilePlayer } = require("./lp");
+const {
+  QUEUES, queueById, isTrackedQueue, matchIdsQuery, saveRanks,
+} = require("./queues");
+const {
+  notify, messages, keys, currentStreak, streakThreshold,
+} = require("./notify");
+
+// Wait before each attempt; the job is dead after the last one
+const DELAYS_SEC = [30, 45, 60, 90, 120, 150, 180, 240];
+
+// A job stays "running" this long; past it a crashed worker's job is picked up again
+const LEASE_MS = 5*60*1000;
+
+// POSTGAME_DELAYS_SEC="30,45,…" overrides the default schedule (the test suite uses zeros)
+function postgameDelays() {
+  const env = process.env.POSTGAME_DELAYS_SEC;
+  return env ? env.split(",").map(Number) : DELAYS_SEC;
+}
+
+// One job per player and game. Enqueuing a game whose job is pending or done is
+// a no-op; a dead one is re-armed, since the game ending again means it gave up
+// too soon. Its rank check and LP delta stand.
+async function enqueuePostgame(supabase, { puuid, platform, gameId, queueId }, now = new Date()) {
+  const fresh = {
+    state:       "pending",
+    attempts:    0,
+    next_run_at: new Date(now.getTime() + postgameDelays()[0] * 1000).toISOString(),
+    updated_at:  now.toISOString(),
+  };
+  const { error } = await supabase.from("postgame_jobs").upsert({
+    puuid,
+    platform,
+    game_id:    gameId ?? null,
+    queue_id:   queueId ?? null,
+    ...fresh,
+    created_at: now.toISOString(),
+  }, { onConflict: "puuid,game_id", ignoreDuplicates: true });
+  if (error) throw error;
+  if (gameId == null) return;
+
+  const { error: rearmError } = await supabase.from("postgame_jobs")
+    .update({ ...fresh, last_error: null })
+    .eq("puuid", puuid).eq("game_id", gameId).eq("state", "dead");
+  if (rearmError) throw rearmError;
+}
+
+// Runs one attempt of every due job, oldest first.
+// Returns [{ id, puuid, outcome: "done" | "retry" | "dead", matchId?, error? }]
+async function runDueJobs(supabase, riot, { limit = 10, now = new Date() } = {}) {
+  const { data: due, error } = await supabase
+    .from("postgame_jobs").select("*")
+    .in("state", ["pending", "running"])
+    .lte("next_run_at", now.toISOString())
+    .order("next_run_at", { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+
+  const results = [];
+  for (const job of due || []) {
+    const claimed = await claim(supabase, job, now);
+    if (claimed) results.push(await attempt(supabase, riot, claimed));
+  }
+  return results;
+}
+
+// Optimistic claim: only succeeds if nobody bumped `attempts` since we read the job
+async function claim(supabase, job, now) {
+  const { data, error } = await supabase
+    .from("postgame_jobs")
+    .update({
+      state:       "running",
+      attempts:    job.attempts + 1,
+      next_run_at: new Date(now.getTime() + LEASE_MS).toISOString(),
+      updated_at:  now.toISOString(),
+    })
+    .eq("id", job.id)
+    .eq("attempts", job.attempts)
+    .select("*");
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+async function attempt(supabase, riot, job) {
+  const { data: player } = await supabase
+    .from("players").select("puuid, game_name, platform, tier, rank, lp, wins, losses, ranks")
+    .eq("puuid", job.puuid).maybeSingle();
+  if (!player) return settle(supabase, job, "done", { last_error: "Player no longer tracked" });
+
+  try {
+    let lpDelta = job.lp_delta;
+    if (!job.rank_checked) {
+      lpDelta = await updateRank(supabase, riot, player, job.queue_id);
+      await supabase.from("postgame_jobs")
+        .update({ rank_checked: true, lp_delta: lpDelta }).eq("id", job.id);
+    }
+
+    const matchId = await storeNewMatch(supabase, riot, player, lpDelta, job.game_id);
+    if (matchId) {
+      await reconcilePlayer(supabase, job.puuid, { since: new Date(Date.now() - RECENT_MS).toISOString() })
+        .catch(e => console.error(`[lp] ${job.puuid}: ${e.message}`));
+      console.log(`[postgame] ${job.puuid}: stored ${matchId} on attempt ${job.attempts}`);
+      return settle(supabase, job, "done", { match_id: matchId, last_error: null });
+    }
+    return retry(supabase, job, "No new match yet");
+  } catch (e) {
+    console.error(`[postgame] ${job.puuid} attempt ${job.attempts} error: ${e.message}`);
+    return retry(supabase, job, e.message);
+  }
+}
+
+function retry(supabase, job, reason) {
+  const delays = postgameDelays();
+  if (job.attempts >= delays.length) {
+    console.error(`[postgame] ${job.puuid}: failed to find new match after ${job.attempts} attempts`);
+    return settle(supabase, job, "dead", { last_error: reason });
+  }
+  return settle(supabase, job, "retry", {
+    last_error:  reason,
+    next_run_at: new Date(Date.now() + delays[job.attempts] * 1000).toISOString(),
+  });
+}
+
+async function settle(supabase, job, outcome, fields) {
+  const state = outcome === "retry" ? "pending" : outcome;
+  await supabase.from("postgame_jobs")
+    .update({ state, ...fields, updated_at: new Date().toISOString() })
+    .eq("id", job.id);
+  return {
+    id:      job.id,
+    puuid:   job.puuid,
+    outcome,
+    matchId: fields.match_id,
+    error:   outcome === "done" ? undefined : fields.last_error,
+  };
+}
+
+// Writes the current rank of every ranked queue; returns the LP change in the
+// finished game's queue (solo when unknown), or null if unknown or unranked
+async function updateRank(supabase, riot, player, queueId = null) {
+  const rankData = await riot.get(platformHost(player.platform),
+    `/lol/league/v4/entries/by-puuid/${player.puuid}`, { timeoutMs: 30000 });
+  const queues = await saveRanks(supabase, player, rankData || []);
+
+  for (const { key, entry, prev, moved, change } of queues) {
+    if (moved) await publish(supabase, "rank_changed", player.puuid, rankChanged(entry, prev, change));
+    if (change) {
+      await notify(supabase, "rank_change", keys.rankChange(player.puuid, entry),
+        messages.rankChange(player.game_name, change, prev, { tier: entry.tier, rank: entry.rank, lp: entry.leaguePoints },
+          key === "solo" ? null : QUEUES[key].label))
+        .catch(e => console.error(`[notify] ${player.game_name}: ${e.message}`));
+    }
+  }
+
+  const played = queues.find(q => q.key === (queueId == null ? "solo" : queueById(queueId)));
+  if (!played) return null;
+  const { entry, prev } = played;
+  return prev?.tier ? calcLpGain(entry.tier, entry.rank, entry.leaguePoints, prev.tier, prev.rank, prev.lp) : null;
+}
+
+// Stores the job's game, or without a game id the newest tracked-queue match
+// this player doesn't have yet; returns its id or null when there is none yet
+async function storeNewMatch(supabase, riot, player, lpDelta, gameId = null) {
+  const found = gameId != null
+    ? await gameMatch(supabase, riot, player, gameId)
+    : await newestMatch(supabase, riot, player);
+  if (!found) return null;
+  const { id: newMatchId, m } = found;
+  if (!m) {
+    // Already stored, e.g. by a teammate's job: this player still gets their messages
+    const { data: own, error } = await supabase
+      .from("player_matches").select("*").eq("puuid", player.puuid).eq("match_id", newMatchId);
+    if (error) throw error;
+    await notifyMatch(supabase, player.game_name, own?.[0], lpDelta)
+      .catch(e => console.error(`[notify] ${player.game_name}: ${e.message}`));
+    return newMatchId;
+  }
+
+  const { data: allPlayers } = await supabase.from("players").select("puuid");
+  const tracked = new Set((allPlayers || []).map(p => p.puuid));
+  const rows    = await storeMatch(supabase, newMatchId, m, tracked, new Date().toISOString());
+  await Promise.all(rows.map(r =>
+    publish(supabase, "match_stored", r.puuid, { matchId: newMatchId, match: matchSummary(r) })));
+  await notifyMatch(supabase, player.game_name, rows.find(r => r.puuid === player.puuid), lpDelta)
+    .catch(e => console.error(`[notify] ${player.game_name}: ${e.message}`));
+  return newMatchId;
+}
+
+// The match of a known game ("EUW1_<gameId>"): { id, m } once Riot has it, { id } if
+// stored already, null while it is not indexed yet (404)
+async function gameMatch(supabase, riot, player, gameId) {
+  const id = `${player.platform.toUpperCase()}_${gameId}`;
+  const { data: known } = await supabase
+    .from("player_matches").select("match_id").eq("puuid", player.puuid).eq("match_id", id);
+  if (known?.length) return { id };
+  try {
+    return { id, m: await riot.get(regionalHost(player.platform), `/lol/match/v5/matches/${id}`) };
+  } catch (e) {
+    if (e.status === 404) return null;
+    throw e;
+  }
+}
+
+// Newest tracked-queue match in the player's last 10 that isn't stored yet, or null
+async function newestMatch(supabase, riot, player) {
+  const matchIds = await riot.get(regionalHost(player.platform),
+    `/lol/match/v5/matches/by-puuid/${player.puuid}/ids?${matchIdsQuery({ start: 0, count: 10 })}`);
+
+  const { data: known } = await supabase
+    .from("player_matches").select("match_id")
+    .eq("puuid", player.puuid).in("match_id", matchIds);
+  const knownSet = new Set((known || []).map(m => m.match_id));
+
+  // A wide MATCH_QUEUES lists every game, so skip the ones in queues we don't keep
+  for (const id of matchIds.filter(id => !knownSet.has(id))) {
+    const m = await riot.get(regionalHost(player.platform), `/lol/match/v5/matches/${id}`);
+    if (isTrackedQueue(m.info.queueId)) return { id, m };
+  }
+  return null;
+}
+
+// Game-finished message, plus a streak message when the streak reaches the threshold
+async function notifyMatch(supabase, gameName, row, lpDelta) {
+  if (!row) return;
+  await notify(supabase, "game_end", keys.gameEnd(row.puuid, row.match_id),
+    messages.gameEnd(gameName, row, lpDelta));
+
+  const streak = await currentStreak(supabase, row.puuid);
+  if (streak?.count === streakThreshold()) {
+    await notify(supabase, "streak", keys.streak(row.puuid, row.match_id),
+      messages.streak(gameName, streak.count, streak.win));
+  }
+}
+
+module.exports = { DELAYS_SEC, postgameDelays, enqueuePostgame, runDueJobs };
@@ -0,0 +1,104 @@
+// lib/queues.js
+// Queue catalogue. Ranks are kept for every ranked queue (players.ranks and
+// rank_history.queue hold the league-v4 queueType); matches keep Riot's
+// queueId (player_matches.queue_id) and only the MATCH_QUEUES are ingested.
+// The API and frontend name queues by their key: ?queue=solo|flex|aram|…
+
+const { rankScore, divisionChange } = require("./rank");
+
+const QUEUES = {
+  solo:      { id: 420, type: "RANKED_SOLO_5x5", label: "Solo/Duo" },
+  flex:      { id: 440, type: "RANKED_FLEX_SR",  label: "Flex" },
+  draft:     { id: 400, type: null,              label: "Normal (reclutamiento)" },
+  blind:     { id: 430, type: null,              label: "Normal (a ciegas)" },
+  quickplay: { id: 490, type: null,              label: "Partida rápida" },
+  aram:      { id: 450, type: null,              label: "ARAM" },
+};
+
+const DEFAULT_QUEUE        = "solo";
+const RANKED_QUEUES        = Object.keys(QUEUES).filter(k => QUEUES[k].type);
+const DEFAULT_MATCH_QUEUES = ["solo", "flex"];
+
+const queueById   = (id)   => Object.keys(QUEUES).find(k => QUEUES[k].id === Number(id)) || null;
+const queueByType = (type) => RANKED_QUEUES.find(k => QUEUES[k].type === type) || null;
+
+// MATCH_QUEUES="solo,flex,aram" — queues whose matches are stored
+function matchQueues() {
+  const env = process.env.MATCH_QUEUES;
+  return env ? env.split(",").map(s => s.trim()).filter(k => QUEUES[k]) : DEFAULT_MATCH_QUEUES;
+}
+
+function isTrackedQueue(queueId) {
+  return matchQueues().some(k => QUEUES[k].id === queueId);
+}
+
+// match-v5 ids query string. One tracked queue filters exactly and ranked-only
+// uses type=ranked; anything wider lists every game, so callers check the
+// match's queueId before storing it.
+function matchIdsQuery(params) {
+  const keys   = matchQueues();
+  const filter = keys.length === 1 ? { queue: QUEUES[keys[0]].id }
+    : keys.every(k => QUEUES[k].type) ? { type: "ranked" } : {};
+  return Object.entries({ ...filter, ...params }).map(([k, v]) => `${k}=${v}`).join("&");
+}
+
+// Rank of a players row in a ranked queue, or null. Rows written before
+// players.ranks existed only have the solo columns; once ranks is set it decides.
+function rankOf(player, key = DEFAULT_QUEUE) {
+  if (player?.ranks) return player.ranks[QUEUES[key].type] || null;
+  if (key === "solo" && player?.tier)
+    return { tier: player.tier, rank: player.rank, lp: player.lp, wins: player.wins, losses: player.losses };
+  return null;
+}
+
+// league-v4 entries → players.ranks, ranked queues only
+function ranksOf(entries) {
+  const out = {};
+  for (const e of entries || []) {
+    if (!queueByType(e.queueType)) continue;
+    out[e.queueType] = { tier: e.tier, rank: e.rank, lp: e.leaguePoints, wins: e.wins, losses: e.losses };
+  }
+  return out;
+}
+
+// ── Writer ──────────────────────────────────────────────────────────────────
+
+// Stores a player's league-v4 entries — players.ranks plus the solo columns, and
+// a rank_history snapshot for every queue whose rank moved. `player` is the row
+// as it was before. Returns [{ key, entry, prev, moved, change }] per ranked queue.
+async function saveRanks(supabase, player, entries, now = new Date().toISOString()) {
+  const ranks = ranksOf(entries);
+  if (!Object.keys(ranks).length) return [];
+  const solo = ranks[QUEUES.solo.type];
+  const { error } = await supabase.from("players").update({
+    ranks,
+    // Cleared when solo is no longer listed, so they never outlive the ranks entry
+    tier: solo?.tier ?? null, rank: solo?.rank ?? null, lp: solo?.lp ?? null,
+    wins: solo?.wins ?? null, losses: solo?.losses ?? null,
+    updated_at: now,
+  }).eq("puuid", player.puuid);
+  if (error) throw error;
+
+  const out = [];
+  for (const key of RANKED_QUEUES) {
+    const entry = entries.find(e => e.queueType === QUEUES[key].type);
+    if (!entry) continue;
+    const prev  = rankOf(player, key);
+    const score = rankScore(entry.tier, entry.rank, entry.leaguePoints);
+    const moved = score !== rankScore(prev?.tier, prev?.rank, prev?.lp);
+    if (moved) {
+      const { error: hError } = await supabase.from("rank_history").insert({
+        puuid: player.puuid, queue: entry.queueType, tier: entry.tier, rank: entry.rank,
+        lp: entry.leaguePoints, wins: entry.wins, losses: entry.losses, score, recorded_at: now,
+      });
+      if (hError) throw hError;
+    }
+    out.push({ key, entry, prev, moved, change: divisionChange(entry.tier, entry.rank, prev?.tier, prev?.rank) });
+  }
+  return out;
+}
+
+module.exports = {
+  QUEUES, DEFAULT_QUEUE, RANKED_QUEUES, DEFAULT_MATCH_QUEUES,
+  queueById, queueByType, matchQueues, isTrackedQueue, matchIdsQuery, rankOf, ranksOf, saveRanks,
+};
@@ -0,0 +1,54 @@
+// lib/rank.js
+// Rank maths shared by the writers (ordering score) and the readers (LP model).
+
+const TIER_ORDER = { IRON:0,BRONZE:1,SILVER:2,GOLD:3,PLATINUM:4,EMERALD:5,DIAMOND:6,MASTER:7,GRANDMASTER:8,CHALLENGER:9 };
+const RANK_ORDER = { IV:0,III:1,II:2,I:3 };
+
+// Sortable score stored in rank_history.score — not an LP amount
+function rankScore(tier, rank, lp) {
+  if (!tier) return -1;
+  return (TIER_ORDER[tier]??-1)*10000 + (RANK_ORDER[rank]??0)*1000 + (lp||0);
+}
+
+// Continuous LP: each division = 100LP, each tier = 400LP (Iron IV 0LP = 0).
+// Master, Grandmaster and Challenger are one ladder above Diamond I 100LP, so
+// apex ranks count raw LP from that floor whatever their tier.
+const APEX_FLOOR = TIER_ORDER.MASTER*400;
+
+function lpValue(tier, rank, lp) {
+  if (TIER_ORDER[tier] >= TIER_ORDER.MASTER) return APEX_FLOOR + (lp||0);
+  return (TIER_ORDER[tier]??0)*400 + (RANK_ORDER[rank]??0)*100 + (lp||0);
+}
+
+// Inverse of lpValue. Apex values come back as `apexTier` (default MASTER),
+// since the tier there depends on the ladder, not on the LP.
+function fromLpValue(value, apexTier = "MASTER") {
+  if (value >= APEX_FLOOR) return { tier: apexTier, rank: "I", lp: value - APEX_FLOOR };
+  const v    = Math.max(0, value);
+  const tier = Math.floor(v / 400);
+  const div  = Math.floor((v - tier*400) / 100);
+  return {
+    tier: Object.keys(TIER_ORDER)[tier],
+    rank: Object.keys(RANK_ORDER)[div],
+    lp:   v - tier*400 - div*100,
+  };
+}
+
+function calcLpGain(tierNow, rankNow, lpNow, tierPrev, rankPrev, lpPrev) {
+  if (!tierPrev) return 0;
+  // Same tier and division — simple LP diff
+  if (tierNow === tierPrev && rankNow === rankPrev)
+    return (lpNow || 0) - (lpPrev || 0);
+  // Different tier or division — use full score diff but scaled back to LP
+  return lpValue(tierNow, rankNow, lpNow) - lpValue(tierPrev, rankPrev, lpPrev);
+}
+
+// "promotion" / "demotion" when the tier or division changed, else null
+function divisionChange(tierNow, rankNow, tierPrev, rankPrev) {
+  if (!tierPrev || !tierNow) return null;
+  const now  = (TIER_ORDER[tierNow]??0)*4  + (RANK_ORDER[rankNow]??0);
+  const prev = (TIER_ORDER[tierPrev]??0)*4 + (RANK_ORDER[rankPrev]??0);
+  return now > prev ? "promotion" : now < prev ? "demotion" : null;
+}
+
+module.exports = { TIER_ORDER, RANK_ORDER, rankScore, lpValue, fromLpValue, calcLpGain, divisionChange };
@@ -0,0 +1,52 @@
+// lib/regions.js
+// Platform (euw1, na1, kr…) → hosts for the platform APIs (league, spectator,
+// summoner), the regional match-v5 routing and account-v1.
+
+const PLATFORMS = {
+  euw1: { region: "europe",   opgg: "euw",  label: "EUW"  },
+  eun1: { region: "europe",   opgg: "eune", label: "EUNE" },
+  tr1:  { region: "europe",   opgg: "tr",   label: "TR"   },
+  ru:   { region: "europe",   opgg: "ru",   label: "RU"   },
+  me1:  { region: "europe",   opgg: "me",   label: "ME"   },
+  na1:  { region: "americas", opgg: "na",   label: "NA"   },
+  br1:  { region: "americas", opgg: "br",   label: "BR"   },
+  la1:  { region: "americas", opgg: "lan",  label: "LAN"  },
+  la2:  { region: "americas", opgg: "las",  label: "LAS"  },
+  kr:   { region: "asia",     opgg: "kr",   label: "KR"   },
+  jp1:  { region: "asia",     opgg: "jp",   label: "JP"   },
+  oc1:  { region: "sea",      opgg: "oce",  label: "OCE"  },
+  sg2:  { region: "sea",      opgg: "sg",   label: "SG"   },
+  tw2:  { region: "sea",      opgg: "tw",   label: "TW"   },
+  vn2:  { region: "sea",      opgg: "vn",   label: "VN"   },
+};
+
+const DEFAULT_PLATFORM = "euw1";
+
+function isPlatform(platform) {
+  return Object.prototype.hasOwnProperty.call(PLATFORMS, platform);
+}
+
+function platformOf(platform) {
+  return isPlatform(platform) ? platform : DEFAULT_PLATFORM;
+}
+
+// league-v4, spectator-v5, summoner-v4
+function platformHost(platform) {
+  return `${platformOf(platform)}.api.riotgames.com`;
+}
+
+// match-v5
+function regionalHost(platform) {
+  return `${PLATFORMS[platformOf(platform)].region}.api.riotgames.com`;
+}
+
+// account-v1 has no "sea" cluster; any cluster can resolve any account
+function accountHost(platform) {
+  const region = PLATFORMS[platformOf(platform)].region;
+  return `${region === "sea" ? "asia" : region}.api.riotgames.com`;
+}
+
+module.exports = {
+  PLATFORMS, DEFAULT_PLATFORM,
+  isPlatform, platformOf, platformHost, regionalHost, accountHost,
+};
@@ -0,0 +1,188 @@
+// lib/riot.js
+// Shared Riot API client used by every handler.
+// Tracks the app-level and method-level rate limits Riot reports in the
+// X-*-Rate-Limit(-Count) headers and queues requests to stay under them,
+// honours Retry-After on 429s and retries 5xx/timeouts with backoff.
+// RIOT_API_BASE (e.g. "http://127.0.0.1:4010") sends every call to
+// <base>/<riot host><path> instead — used by the offline test suite.
+
+const http  = require("http");
+const https = require("https");
+
+// Personal/dev key limits, used until the first response tells us the real ones
+const DEFAULT_APP_LIMITS = "20:1,100:120";
+const MAX_RETRIES        = 3;
+const BACKOFF_MS         = 500;
+const RETRY_STATUSES     = new Set([500, 502, 503, 504]);
+
+function createRiotClient(apiKey, opts = {}) {
+  const maxRetries = opts.maxRetries ?? MAX_RETRIES;
+  const backoffMs  = opts.backoffMs  ?? BACKOFF_MS;
+  const base       = opts.baseUrl    ?? process.env.RIOT_API_BASE ?? null;
+  const request    = opts.request    || (base?.startsWith("http:") ? http.request : https.request);
+
+  // bucket key → { limits: [{ max, windowMs }], sent: [timestamps], blockedUntil }
+  const buckets = new Map();
+  const stats   = { calls: 0, throttled: 0, rateLimited: 0, retries: 0, waitedMs: 0 };
+
+  function bucket(key, fallbackLimits) {
+    let b = buckets.get(key);
+    if (!b) {
+      b = { limits: parseLimits(fallbackLimits), sent: [], blockedUntil: 0 };
+      buckets.set(key, b);
+    }
+    return b;
+  }
+
+  // How long until a request fits in every window of this bucket
+  function waitFor(b, now) {
+    let wait = Math.max(0, b.blockedUntil - now);
+    for (const { max, windowMs } of b.limits) {
+      const inWindow = b.sent.filter(t => t > now - windowMs);
+      if (inWindow.length >= max)
+        wait = Math.max(wait, inWindow[inWindow.length - max] + windowMs - now);
+    }
+    return wait;
+  }
+
+  async function acquire(appB, methodB) {
+    let throttled = false;
+    for (;;) {
+      const now  = Date.now();
+      const wait = Math.max(waitFor(appB, now), waitFor(methodB, now));
+      if (wait <= 0) break;
+      if (!throttled) { stats.throttled++; throttled = true; }
+      stats.waitedMs += wait;
+      await sleep(wait);
+    }
+    const now = Date.now();
+    for (const b of [appB, methodB]) {
+      b.sent.push(now);
+      const longest = Math.max(0, ...b.limits.map(l => l.windowMs));
+      while (b.sent.length && b.sent[0] <= now - longest) b.sent.shift();
+    }
+  }
+
+  // Learn limits from the response and catch up with calls made elsewhere with the same key
+  function sync(b, limitsHeader, countHeader) {
+    if (!limitsHeader) return;
+    b.limits = parseLimits(limitsHeader);
+    const now = Date.now();
+    for (const { count, windowMs } of parseCounts(countHeader)) {
+      const local = b.sent.filter(t => t > now - windowMs).length;
+      for (let i = local; i < count; i++) b.sent.push(now);
+    }
+    b.sent.sort((x, y) => x - y);
+  }
+
+  async function get(hostname, path, { timeoutMs = 30000 } = {}) {
+    const appB    = bucket(`app:${hostname}`, DEFAULT_APP_LIMITS);
+    const methodB = bucket(`method:${hostname}${methodOf(path)}`, "");
+
+    for (let attempt = 0; ; attempt++) {
+      await acquire(appB, methodB);
+      stats.calls++;
+
+      let r;
+      try {
+        r = await send(request, base, hostname, path, apiKey, timeoutMs);
+      } catch (e) {
+        if (attempt >= maxRetries) throw e;
+        stats.retries++;
+        await sleep(backoff(backoffMs, attempt));
+        continue;
+      }
+
+      sync(appB,    r.headers["x-app-rate-limit"],    r.headers["x-app-rate-limit-count"]);
+      sync(methodB, r.headers["x-method-rate-limit"], r.headers["x-method-rate-limit-count"]);
+
+      if (r.status === 429) {
+        stats.rateLimited++;
+        const retryMs = (Number(r.headers["retry-after"]) || 1) * 1000;
+        // Only block the bucket that was actually exceeded; service 429s block nothing
+        const type = r.headers["x-rate-limit-type"];
+        if (type === "application") appB.blockedUntil    = Date.now() + retryMs;
+        if (type === "method")      methodB.blockedUntil = Date.now() + retryMs;
+        if (attempt >= maxRetries) throw httpError(429, hostname, path);
+        stats.retries++;
+        if (!type || type === "service") await sleep(retryMs);
+        continue;
+      }
+
+      if (RETRY_STATUSES.has(r.status) && attempt < maxRetries) {
+        stats.retries++;
+        await sleep(backoff(backoffMs, attempt));
+        continue;
+      }
+
+      if (r.status < 200 || r.status >= 300) throw httpError(r.status, hostname, path);
+      try { return JSON.parse(r.body); }
+      catch { throw new Error("JSON parse error"); }
+    }
+  }
+
+  // Like get() but resolves null on any failure (404 = "not in game", etc.)
+  function getOpt(hostname, path, { timeoutMs = 8000 } = {}) {
+    return get(hostname, path, { timeoutMs }).catch(() => null);
+  }
+
+  return { get, getOpt, stats: () => ({ ...stats }) };
+}
+
+// "/lol/match/v5/matches/by-puuid/<puuid>/ids" → "/lol/match/v5/matches/by-puuid"
+function methodOf(path) {
+  const segs = path.split("?")[0].split("/").filter(Boolean);
+  const base = segs.slice(0, 4);
+  if (segs[4]?.startsWith("by-")) base.push(segs[4]);
+  return "/" + base.join("/");
+}
+
+// "20:1,100:120" → [{ max: 20, windowMs: 1000 }, { max: 100, windowMs: 120000 }]
+function parseLimits(header) {
+  return String(header || "").split(",").filter(Boolean).map(pair => {
+    const [max, sec] = pair.split(":").map(Number);
+    return { max, windowMs: sec * 1000 };
+  }).filter(l => l.max > 0 && l.windowMs > 0);
+}
+
+// "3:1,40:120" → [{ count: 3, windowMs: 1000 }, { count: 40, windowMs: 120000 }]
+function parseCounts(header) {
+  return parseLimits(header).map(l => ({ count: l.max, windowMs: l.windowMs }));
+}
+
+function send(request, base, hostname, path, apiKey, timeoutMs) {
+  const target = base ? proxied(base, hostname, path) : { hostname, path };
+  return new Promise((resolve, reject) => {
+    const req = request(
+      { ...target, method: "GET", headers: { "X-Riot-Token": apiKey, "Accept": "application/json" } },
+      (res) => {
+        let raw = "";
+        res.on("data", c => raw += c);
+        res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: raw }));
+      }
+    );
+    req.on("error", reject);
+    req.setTimeout(timeoutMs, () => { req.destroy(); reject(new Error("Timeout")); });
+    req.end();
+  });
+}
+
+// "http://127.0.0.1:4010" + "euw1.api.riotgames.com" + "/lol/…" → 127.0.0.1:4010/euw1.api.riotgames.com/lol/…
+function proxied(base, hostname, path) {
+  const u = new URL(base);
+  return { hostname: u.hostname, port: u.port || undefined, path: `${u.pathname.replace(/\/$/, "")}/${hostname}${path}` };
+}
+
+function httpError(status, hostname, path) {
+  const err = new Error(`HTTP ${status} — ${hostname}${path}`);
+  err.status = status;
+  return err;
+}
+
+function backoff(baseMs, attempt) {
+  return baseMs * 2 ** attempt + Math.floor(Math.random() * baseMs);
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+module.exports = { createRiotClient, methodOf, parseLimits };
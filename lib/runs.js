@@ -0,0 +1,75 @@
+// lib/runs.js
+// Run lock and run log for the scheduled jobs. A run holds its job's row in
+// `job_locks` until it finishes, so an overlapping invocation is skipped
+// instead of writing the same rank_history rows twice. Every invocation,
+// skipped ones included, leaves a row in `job_runs`.
+
+// A run that crashed without releasing its lock frees it after this long
+const LOCK_TTL_MS = 10*60*1000;
+
+// Returns the run, or null when another run of `job` holds the lock
+async function startRun(supabase, job, { ttlMs = LOCK_TTL_MS } = {}) {
+  const now         = new Date();
+  const lockedUntil = new Date(now.getTime() + ttlMs).toISOString();
+
+  const { data: run, error } = await supabase
+    .from("job_runs")
+    .insert({ job, started_at: now.toISOString(), outcome: "running" })
+    .select("id, job, started_at")
+    .single();
+  if (error) throw error;
+
+  const { error: lockError } = await supabase
+    .from("job_locks").insert({ job, run_id: run.id, locked_until: lockedUntil });
+  if (lockError && lockError.code !== "23505") throw lockError;
+
+  if (lockError) {
+    // Held — take it over only if the holder's lease ran out
+    const { data: taken, error: takeError } = await supabase
+      .from("job_locks")
+      .update({ run_id: run.id, locked_until: lockedUntil })
+      .eq("job", job)
+      .lt("locked_until", now.toISOString())
+      .select("job");
+    if (takeError) throw takeError;
+    if (!taken?.length) {
+      await finishRun(supabase, run, "skipped", { reason: "already running" });
+      return null;
+    }
+  }
+  return run;
+}
+
+// outcome: "ok" | "error" | "skipped"; detail is stored as-is (jsonb)
+async function finishRun(supabase, run, outcome, detail = null) {
+  const finishedAt = new Date();
+  await supabase.from("job_runs").update({
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - new Date(run.started_at),
+    outcome,
+    detail,
+  }).eq("id", run.id);
+  await supabase.from("job_locks").delete().eq("job", run.job).eq("run_id", run.id);
+}
+
+// Latest run of each job, for the public status endpoint
+async function lastRuns(supabase, limit = 50) {
+  const { data, error } = await supabase
+    .from("job_runs")
+    .select("job, started_at, finished_at, duration_ms, outcome")
+    .order("started_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  const latest = {};
+  for (const r of data || []) {
+    latest[r.job] ||= {
+      startedAt:  r.started_at,
+      finishedAt: r.finished_at,
+      durationMs: r.duration_ms,
+      outcome:    r.outcome,
+    };
+  }
+  return latest;
+}
+
+module.exports = { LOCK_TTL_MS, startRun, finishRun, lastRuns };
@@ -0,0 +1,81 @@
+// lib/scheduler.js
+// Built-in cron for the standalone server (server.js): calls the cron endpoints
+// on a fixed interval with CRON_SECRET, as cron-job.org / Vercel Cron would.
+// Each job waits for its previous call to finish before the next one is timed,
+// and the handlers' run locks (lib/runs.js) still guard against overlaps.
+// Intervals are in seconds and can be changed per job; 0 turns a job off.
+// A job with an `anchor` runs on fixed slots (anchor + n × interval) instead of
+// at startup, so restarting the server neither repeats nor postpones it; a slot
+// missed while the server was down is skipped.
+
+const JOBS = [
+  { name: "ingame",        env: "SCHEDULE_INGAME",        every: 60 },
+  { name: "postgame",      env: "SCHEDULE_POSTGAME",      every: 60 },
+  { name: "update-ranks",  env: "SCHEDULE_UPDATE_RANKS",  every: 15*60 },
+  { name: "backfill",      env: "SCHEDULE_BACKFILL",      every: 6*60*60 },
+  // Mondays 08:00 UTC
+  { name: "weekly-report", env: "SCHEDULE_WEEKLY_REPORT", every: 7*24*60*60, anchor: "1970-01-05T08:00:00Z" },
+];
+
+// A call that takes longer than this is abandoned; the run lock's TTL frees the job
+const CALL_TIMEOUT_MS = 10*60*1000;
+
+// setTimeout fires at once past this; longer waits are taken in steps
+const MAX_TIMER_MS = 2**31 - 1;
+
+// JOBS with each interval read from its env var
+function scheduledJobs(env = process.env) {
+  return JOBS.map(j => {
+    const every = env[j.env] != null && env[j.env] !== "" ? Number(env[j.env]) : j.every;
+    return { ...j, every: Number.isFinite(every) && every > 0 ? every : 0 };
+  }).filter(j => j.every);
+}
+
+// Milliseconds until a job's next call: one interval, or up to its next slot
+function nextDelay(job, now = Date.now()) {
+  const period = job.every * 1000;
+  if (!job.anchor) return period;
+  const since = (now - Date.parse(job.anchor)) % period;
+  return period - (since + period) % period;
+}
+
+// Calls `${baseUrl}/api/<job>` for every job, the first time right away (or on
+// the first slot for anchored jobs).
+// Returns { stop() }; onResult gets { job, status, body } or { job, error } per call.
+function startScheduler({ baseUrl, secret, jobs = scheduledJobs(), onResult = () => {} }) {
+  const timers  = new Map();
+  let   stopped = false;
+
+  function schedule(job, wait = nextDelay(job)) {
+    if (stopped) return;
+    const step = Math.min(wait, MAX_TIMER_MS);
+    timers.set(job.name, setTimeout(() => wait > step ? schedule(job, wait - step) : tick(job), step));
+  }
+
+  async function tick(job) {
+    try {
+      const res  = await fetch(`${baseUrl}/api/${job.name}`, {
+        headers: { authorization: `Bearer ${secret}` },
+        signal:  AbortSignal.timeout(CALL_TIMEOUT_MS),
+      });
+      const body = await res.json().catch(() => null);
+      onResult({ job: job.name, status: res.status, body });
+    } catch (e) {
+      onResult({ job: job.name, error: e.message });
+    }
+    schedule(job);
+  }
+
+  for (const job of jobs) {
+    if (job.anchor) schedule(job);
+    else tick(job);
+  }
+  return {
+    stop() {
+      stopped = true;
+      for (const t of timers.values()) clearTimeout(t);
+    },
+  };
+}
+
+module.exports = { JOBS, scheduledJobs, nextDelay, startScheduler };
@@ -0,0 +1,86 @@
+// lib/seasons.js
+// Seasons/splits come from the `seasons` table (name, starts_at, ends_at).
+// When a season's end date passes, every player's final rank is archived
+// into `season_results` (one row per ranked queue) from their rank history.
+
+const { QUEUES, RANKED_QUEUES } = require("./queues");
+
+// Season running at `at`, or null. ends_at null = still open.
+async function seasonAt(supabase, at = new Date()) {
+  const iso = at.toISOString();
+  const { data, error } = await supabase
+    .from("seasons").select("*")
+    .lte("starts_at", iso)
+    .order("starts_at", { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  const s = data?.[0];
+  if (!s || (s.ends_at && new Date(s.ends_at) <= at)) return null;
+  return s;
+}
+
+// Start of the current season; falls back to SEASON_START or January 1st
+async function currentSeasonStart(supabase) {
+  const season = await seasonAt(supabase).catch(() => null);
+  if (season) return new Date(season.starts_at).toISOString();
+  if (process.env.SEASON_START) return new Date(process.env.SEASON_START).toISOString();
+  return new Date(Date.UTC(new Date().getUTCFullYear(), 0, 1)).toISOString();
+}
+
+// Archive final ranks for every season that has ended but not been archived yet.
+// A season's final rank is the last rank_history snapshot at or before its end,
+// so a past split added late still gets the ranks it ended with.
+// Returns the names of the seasons archived in this call.
+async function archiveEndedSeasons(supabase, now = new Date()) {
+  const { data: ended, error } = await supabase
+    .from("seasons").select("*")
+    .lte("ends_at", now.toISOString())
+    .is("archived_at", null);
+  if (error) throw error;
+  if (!ended?.length) return [];
+
+  const { data: players, error: pError } = await supabase.from("players").select("puuid");
+  if (pError) throw pError;
+
+  const archived = [];
+  for (const season of ended) {
+    const endsAt = new Date(season.ends_at).toISOString();
+    const rows = (await Promise.all(players.flatMap(p => RANKED_QUEUES.map(async key => {
+      const r = await rankAt(supabase, p.puuid, QUEUES[key].type, endsAt);
+      // Solo always gets a row (unranked included), other queues only when played
+      if (!r && key !== "solo") return null;
+      return {
+        season_id:   season.id,
+        puuid:       p.puuid,
+        queue:       QUEUES[key].type,
+        tier:        r?.tier ?? null,
+        rank:        r?.rank ?? null,
+        lp:          r?.lp ?? null,
+        wins:        r?.wins ?? null,
+        losses:      r?.losses ?? null,
+        recorded_at: r?.recorded_at ?? endsAt,
+      };
+    })))).filter(Boolean);
+    if (rows.length) {
+      const { error: rError } = await supabase
+        .from("season_results").upsert(rows, { onConflict: "season_id,puuid,queue" });
+      if (rError) throw rError;
+    }
+    await supabase.from("seasons")
+      .update({ archived_at: now.toISOString() }).eq("id", season.id);
+    archived.push(season.name);
+  }
+  return archived;
+}
+
+// Last ranked snapshot of a player's queue at or before `iso`, or null
+async function rankAt(supabase, puuid, queueType, iso) {
+  const { data, error } = await supabase
+    .from("rank_history").select("tier, rank, lp, wins, losses, recorded_at")
+    .eq("puuid", puuid).eq("queue", queueType).lte("recorded_at", iso)
+    .order("recorded_at", { ascending: false }).limit(1);
+  if (error) throw error;
+  return data?.[0]?.tier ? data[0] : null;
+}
+
+module.exports = { seasonAt, currentSeasonStart, archiveEndedSeasons };
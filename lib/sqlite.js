@@ -0,0 +1,205 @@
+// lib/sqlite.js
+// SQLite storage for self-hosting. Speaks the same slice of the supabase-js
+// query builder as Supabase itself (see lib/storage.js): select/insert/upsert/
+// update/delete with eq/neq/in/gt/gte/lt/lte/is filters, order, limit, range,
+// single and maybeSingle, resolving to { data, error }. The schema lives in
+// sqlite/schema.sql. JSON and BOOLEAN columns are converted on the way in and
+// out; timestamps are ISO strings, so comparing them as text orders them in time.
+
+const fs   = require("fs");
+const path = require("path");
+
+const SCHEMA = path.join(__dirname, "..", "sqlite", "schema.sql");
+
+// Unique violations carry Postgres' code, which callers already check for
+const UNIQUE_CODES = new Set(["SQLITE_CONSTRAINT_UNIQUE", "SQLITE_CONSTRAINT_PRIMARYKEY"]);
+
+// Opens (creating if needed) the database at `file` — ":memory:" works too
+function createSqlite(file) {
+  const Database = require("better-sqlite3");   // optional dependency: only self-hosting needs it
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  db.exec(fs.readFileSync(SCHEMA, "utf8"));
+
+  // Column types and primary key per table, read from the schema once
+  const tables = {};
+  function tableInfo(name) {
+    if (tables[name]) return tables[name];
+    const cols = db.prepare(`pragma table_info(${ident(name)})`).all();
+    if (!cols.length) throw dbError("42P01", `relation "${name}" does not exist`);
+    return tables[name] = {
+      types: Object.fromEntries(cols.map(c => [c.name, c.type.toLowerCase()])),
+      key:   cols.filter(c => c.pk).sort((a, b) => a.pk - b.pk).map(c => c.name),
+    };
+  }
+
+  return {
+    from:  (name) => new Query(db, name, tableInfo),
+    close: () => db.close(),
+  };
+}
+
+class Query {
+  constructor(db, name, tableInfo) {
+    this.db        = db;
+    this.name      = name;
+    this.tableInfo = tableInfo;
+    this.op        = "select";
+    this.columns   = "*";
+    this.returning = false;
+    this.filters   = [];
+    this.orders    = [];
+    this.cardinality = null;
+  }
+
+  select(columns = "*") {
+    if (this.op !== "select") this.returning = true;
+    this.columns = columns;
+    return this;
+  }
+
+  insert(rows)        { this.op = "insert"; this.payload = toArray(rows); return this; }
+  upsert(rows, opts)  { this.op = "upsert"; this.payload = toArray(rows); this.opts = opts || {}; return this; }
+  update(patch)       { this.op = "update"; this.payload = patch; return this; }
+  delete()            { this.op = "delete"; return this; }
+
+  eq(col, v)  { return this.where(`${ident(col)} = ?`, [v]); }
+  neq(col, v) { return this.where(`${ident(col)} <> ?`, [v]); }
+  in(col, vs) { return vs.length ? this.where(`${ident(col)} in (${vs.map(() => "?").join(", ")})`, vs) : this.where("0", []); }
+  gt(col, v)  { return this.where(`${ident(col)} > ?`, [v]); }
+  gte(col, v) { return this.where(`${ident(col)} >= ?`, [v]); }
+  lt(col, v)  { return this.where(`${ident(col)} < ?`, [v]); }
+  lte(col, v) { return this.where(`${ident(col)} <= ?`, [v]); }
+  is(col, v)  { return this.where(`${ident(col)} is ?`, [v]); }
+
+  where(sql, params) { this.filters.push({ sql, params }); return this; }
+
+  // Postgres puts nulls last going up and first going down
+  order(col, { ascending = true } = {}) { this.orders.push(`${ident(col)} ${ascending ? "asc nulls last" : "desc nulls first"}`); return this; }
+  limit(n)       { this.limitTo = n; return this; }
+  range(from, to) { this.rangeFrom = from; this.rangeTo = to; return this; }
+
+  single()      { this.cardinality = "single"; return this; }
+  maybeSingle() { this.cardinality = "maybe";  return this; }
+
+  then(resolve, reject) {
+    let result;
+    try { result = this.run(); }
+    catch (e) {
+      const code = UNIQUE_CODES.has(e.code) ? "23505" : e.code;
+      result = { data: null, error: { message: e.message, code } };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  run() {
+    const { types, key } = this.tableInfo(this.name);
+    const table  = ident(this.name);
+    const where  = this.filters.length ? ` where ${this.filters.map(f => f.sql).join(" and ")}` : "";
+    const params = this.filters.flatMap(f => f.params).map(v => bind(v));
+    const cols   = columnList(this.columns);
+    let data;
+
+    switch (this.op) {
+      case "select": {
+        let sql = `select ${cols} from ${table}${where}`;
+        if (this.orders.length) sql += ` order by ${this.orders.join(", ")}`;
+        const offset = this.rangeFrom ?? 0;
+        const limits = [this.limitTo, this.rangeTo != null ? this.rangeTo - offset + 1 : null].filter(n => n != null);
+        if (limits.length) sql += ` limit ${Math.max(0, Math.min(...limits))}`;
+        else if (offset) sql += " limit -1";
+        if (offset) sql += ` offset ${offset}`;
+        data = this.db.prepare(sql).all(...params);
+        break;
+      }
+
+      case "insert":
+      case "upsert": {
+        const conflict = this.op === "upsert"
+          ? (this.opts.onConflict ? this.opts.onConflict.split(",").map(s => s.trim()) : key) : null;
+        data = this.db.transaction(rows => rows.flatMap(row => {
+          const names = Object.keys(row).filter(c => row[c] !== undefined);
+          let sql = `insert into ${table} (${names.map(ident).join(", ")}) values (${names.map(() => "?").join(", ")})`;
+          if (conflict) {
+            const rest = names.filter(c => !conflict.includes(c));
+            sql += ` on conflict (${conflict.map(ident).join(", ")}) do `
+              + (this.opts.ignoreDuplicates || !rest.length
+                ? "nothing" : `update set ${rest.map(c => `${ident(c)} = excluded.${ident(c)}`).join(", ")}`);
+          }
+          return this.db.prepare(`${sql} returning ${cols}`).all(...names.map(c => bind(row[c], types[c])));
+        }))(this.payload);
+        break;
+      }
+
+      case "update": {
+        const names = Object.keys(this.payload).filter(c => this.payload[c] !== undefined);
+        if (!names.length) { data = []; break; }
+        data = this.db.prepare(`update ${table} set ${names.map(c => `${ident(c)} = ?`).join(", ")}${where} returning ${cols}`)
+          .all(...names.map(c => bind(this.payload[c], types[c])), ...params);
+        break;
+      }
+
+      case "delete":
+        data = this.db.prepare(`delete from ${table}${where} returning ${cols}`).all(...params);
+        break;
+    }
+
+    if (this.op !== "select" && !this.returning) return { data: null, error: null };
+    data = data.map(r => decode(r, types));
+
+    if (this.cardinality) {
+      if (data.length > 1) return { data: null, error: { code: "PGRST116", message: "multiple rows" } };
+      if (!data.length && this.cardinality === "single")
+        return { data: null, error: { code: "PGRST116", message: "no rows" } };
+      return { data: data[0] || null, error: null };
+    }
+    return { data, error: null };
+  }
+}
+
+function toArray(rows) {
+  return Array.isArray(rows) ? rows : [rows];
+}
+
+// Table and column names come from code, never from requests — but they go into SQL as-is
+function ident(name) {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(name)) throw dbError("42601", `bad identifier: ${name}`);
+  return `"${name}"`;
+}
+
+// "puuid, tier,rank" → quoted list; "*" → everything
+function columnList(columns) {
+  if (!columns || columns.trim() === "*") return "*";
+  return columns.split(",").map(c => c.trim()).filter(Boolean).map(ident).join(", ");
+}
+
+// JS value → something SQLite binds. A JSON column stores any value as JSON text,
+// strings and numbers included, like jsonb does.
+function bind(v, type = null) {
+  if (v === undefined || v === null) return null;
+  if (type === "json") return JSON.stringify(v);
+  if (typeof v === "boolean") return v ? 1 : 0;
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === "object") return JSON.stringify(v);
+  return v;
+}
+
+// SQLite row → what Postgres would have returned
+function decode(row, types) {
+  for (const [col, v] of Object.entries(row)) {
+    if (v == null) continue;
+    if (types[col] === "json") row[col] = JSON.parse(v);
+    else if (types[col] === "boolean") row[col] = !!v;
+  }
+  return row;
+}
+
+function dbError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = { createSqlite };
@@ -0,0 +1,44 @@
+// lib/storage.js
+// Single place where handlers get their database. Every backend speaks the
+// same slice of the supabase-js query builder, so handlers never know which
+// one they have:
+//   SQLITE_PATH=./data/tracker.db     → lib/sqlite.js, for self-hosting (server.js)
+//   SUPABASE_URL + SUPABASE_*_KEY     → the hosted Supabase project
+// The test suite swaps in the in-memory stand-in (see test/helpers/memory-supabase.js).
+
+const { createClient } = require("@supabase/supabase-js");
+const { createSqlite } = require("./sqlite");
+
+// Which Supabase key each role reads with. SQLite has no roles: the server is its only client.
+const KEY_VARS = { anon: "SUPABASE_ANON_KEY", service: "SUPABASE_SERVICE_KEY" };
+
+let override = null;
+const sqlite = {}; // open databases by path, shared by every handler in the process
+
+// The client for a handler, or null when no storage is configured
+function openStorage(role = "service") {
+  if (override) return override;
+  const file = process.env.SQLITE_PATH;
+  if (file) return sqlite[file] ||= createSqlite(file);
+  const url = process.env.SUPABASE_URL;
+  const key = process.env[KEY_VARS[role]];
+  return url && key ? createClient(url, key) : null;
+}
+
+// Pass a client to use it for every handler; pass null to go back to the configured one
+function useStorage(client) {
+  override = client;
+}
+
+// PostgREST caps a response at 1000 rows — page through with .range()
+async function selectAll(build, pageSize = 1000) {
+  const all = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await build().range(from, from + pageSize - 1);
+    if (error) throw error;
+    all.push(...(data || []));
+    if (!data || data.length < pageSize) return all;
+  }
+}
+
+module.exports = { openStorage, useStorage, selectAll };
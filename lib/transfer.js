@@ -0,0 +1,212 @@
+// lib/transfer.js
+// Export / import of the tracker tables as CSV or JSON. /api/data?type=export
+// writes them, /api/import reads them back with the same onConflict keys the
+// ingestion code upserts with, so a file can move between Supabase projects.
+
+// Column → type for every column a file carries, plus the upsert key and the
+// timestamp the date filters apply to. Transient state (in_game, live_game) stays out.
+// `defaults` fill key columns that files written before they existed lack.
+const TABLES = {
+  players: {
+    key:  "puuid",
+    date: "updated_at",
+    columns: {
+      puuid: "text", game_name: "text", tag_line: "text", platform: "text",
+      profile_icon_id: "int", summoner_level: "int",
+      tier: "text", rank: "text", lp: "int", wins: "int", losses: "int", ranks: "json",
+      updated_at: "time",
+    },
+  },
+  rank_history: {
+    key:      "puuid,queue,recorded_at",
+    date:     "recorded_at",
+    defaults: { queue: "RANKED_SOLO_5x5" },
+    columns: {
+      puuid: "text", queue: "text", tier: "text", rank: "text", lp: "int", wins: "int", losses: "int",
+      score: "int", recorded_at: "time",
+    },
+  },
+  player_matches: {
+    key:  "puuid,match_id",
+    date: "played_at",
+    columns: {
+      puuid: "text", match_id: "text", team_id: "int", win: "bool", champ: "text",
+      kills: "int", deaths: "int", assists: "int", role: "text", cs: "int", gold: "int",
+      damage: "int", vision: "int", items: "json", spells: "json", runes: "json",
+      duration: "int", patch: "text", queue_id: "int", played_at: "time",
+      lp_delta: "int", rank_before: "json", rank_after: "json", lp_source: "text",
+    },
+  },
+  matches: {
+    key:  "match_id",
+    date: "fetched_at",
+    columns: { match_id: "text", fetched_at: "time", duration: "int", patch: "text", queue_id: "int", data: "json" },
+  },
+};
+
+const FORMATS   = ["csv", "json"];
+const PAGE_SIZE = 1000; // PostgREST's response cap
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+// Objects and arrays are written as JSON; empty cell = null
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLines(columns, rows) {
+  return rows.map(r => columns.map(c => csvCell(r[c])).join(",") + "\r\n").join("");
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+
+  const [header = [], ...body] = rows.filter(r => r.some(c => c !== ""));
+  return body.map(r => Object.fromEntries(header.map((h, i) => [h.trim(), r[i] === "" ? null : r[i]])));
+}
+
+// ── Export ──────────────────────────────────────────────────────────────────
+
+// Writes `table` to `res` page by page, so big tables never sit in memory whole.
+// puuids (null = everyone) / from / to narrow it down; matches follow their player_matches rows.
+async function streamExport(supabase, res, { table, format, puuids = null, from = null, to = null }) {
+  const spec    = TABLES[table];
+  const columns = Object.keys(spec.columns);
+
+  let matchIds = null;
+  if (table === "matches" && puuids) {
+    const rows = [];
+    await eachPage(() => filtered(supabase.from("player_matches").select("match_id").in("puuid", puuids),
+      "played_at", from, to).order("match_id", { ascending: true }), page => rows.push(...page));
+    matchIds = [...new Set(rows.map(r => r.match_id))];
+  }
+
+  res.write(format === "csv" ? columns.join(",") + "\r\n" : "[");
+  let first = true;
+  const write = (page) => {
+    if (format === "csv") return res.write(csvLines(columns, page));
+    const chunk = page.map(r => JSON.stringify(Object.fromEntries(columns.map(c => [c, r[c] ?? null])))).join(",\n");
+    if (chunk) res.write((first ? "\n" : ",\n") + chunk);
+    first = false;
+  };
+
+  const build = (ids) => {
+    let q = supabase.from(table).select(columns.join(", "));
+    if (ids) q = q.in("match_id", ids);
+    else if (puuids && "puuid" in spec.columns) q = q.in("puuid", puuids);
+    if (!ids) q = filtered(q, spec.date, from, to);
+    return q.order(spec.key.split(",")[0], { ascending: true }).order(spec.date, { ascending: true });
+  };
+  if (matchIds) {
+    for (let i = 0; i < matchIds.length; i += 200) await eachPage(() => build(matchIds.slice(i, i + 200)), write);
+  } else {
+    await eachPage(() => build(null), write);
+  }
+  if (format === "json") res.write("\n]\n");
+}
+
+function filtered(q, column, from, to) {
+  if (from) q = q.gte(column, from);
+  if (to)   q = q.lt(column, to);
+  return q;
+}
+
+async function eachPage(build, fn) {
+  for (let start = 0; ; start += PAGE_SIZE) {
+    const { data, error } = await build().range(start, start + PAGE_SIZE - 1);
+    if (error) throw error;
+    if (data?.length) fn(data);
+    if (!data || data.length < PAGE_SIZE) return;
+  }
+}
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+// Raw value (CSV string or JSON value) → typed value; throws on a bad one
+function coerce(type, v) {
+  if (v == null || v === "") return null;
+  switch (type) {
+    case "int": {
+      const n = Number(v);
+      if (!Number.isInteger(n)) throw new Error(`not an integer: ${v}`);
+      return n;
+    }
+    case "bool":
+      if (v === true || v === "true") return true;
+      if (v === false || v === "false") return false;
+      throw new Error(`not a boolean: ${v}`);
+    case "json":
+      return typeof v === "string" ? JSON.parse(v) : v;
+    case "time": {
+      const d = new Date(v);
+      if (isNaN(d)) throw new Error(`not a date: ${v}`);
+      return d.toISOString();
+    }
+    default:
+      return String(v);
+  }
+}
+
+// Keeps the table's columns, types them and checks the key is present.
+// Returns { rows, errors: [{ row, error }] } — row counts data rows from 1, header excluded.
+function validateRows(table, input) {
+  const spec   = TABLES[table];
+  const keys   = spec.key.split(",");
+  const rows   = [];
+  const errors = [];
+  input.forEach((raw, i) => {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw))
+      return errors.push({ row: i + 1, error: "not an object" });
+    try {
+      const row = {};
+      for (const [col, type] of Object.entries(spec.columns)) {
+        if (!(col in raw)) {
+          if (spec.defaults && col in spec.defaults) row[col] = spec.defaults[col];
+          continue; // other missing columns keep their current value on upsert
+        }
+        try { row[col] = coerce(type, raw[col]); }
+        catch (e) { throw new Error(`${col}: ${e.message}`); }
+      }
+      const missing = keys.filter(k => row[k] == null);
+      if (missing.length) throw new Error(`missing ${missing.join(", ")}`);
+      rows.push(row);
+    } catch (e) {
+      errors.push({ row: i + 1, error: e.message });
+    }
+  });
+  return { rows, errors };
+}
+
+// Request body → array of raw rows. JSON may arrive parsed (application/json),
+// CSV as text or, for content types Vercel does not parse, as a Buffer.
+function parseBody(format, body) {
+  if (Buffer.isBuffer(body)) body = body.toString("utf8");
+  if (format === "json") {
+    const data = typeof body === "string" ? JSON.parse(body) : body;
+    if (!Array.isArray(data)) throw new Error("JSON body must be an array of rows");
+    return data;
+  }
+  if (typeof body !== "string") throw new Error("CSV body must be sent as text/csv");
+  return parseCsv(body);
+}
+
+module.exports = { TABLES, FORMATS, csvCell, csvLines, parseCsv, streamExport, coerce, validateRows, parseBody };
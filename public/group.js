@@ -0,0 +1,42 @@
+// public/group.js
+// Per-group boards. Every page loads this first thing in <head>: on /g/<slug>/…
+// (rewritten to the plain pages by vercel.json) or with ?group=<slug> it scopes
+// the page's /api calls to that group and puts the group's name and icon on it.
+(function () {
+  const path = location.pathname.match(/^\/g\/([a-z0-9-]+)/);
+  const slug = path ? path[1] : new URLSearchParams(location.search).get("group");
+  window.GROUP = slug || null;
+
+  // /api/... → /api/...&group=<slug> (unchanged without a group)
+  window.apiUrl = (url) => GROUP
+    ? url + (url.includes("?") ? "&" : "?") + "group=" + encodeURIComponent(GROUP)
+    : url;
+
+  if (!GROUP) return;
+  // Relative links (history.html, stats.html…) stay inside the group
+  if (path) {
+    const base = document.createElement("base");
+    base.href  = `/g/${GROUP}/`;
+    document.head.appendChild(base);
+  }
+
+  fetch(apiUrl("/api/data?type=group")).then(r => r.ok ? r.json() : null).catch(() => null).then(group => {
+    if (!group) return;
+    const apply = () => {
+      document.title = document.title.replace("Team AWA", group.name);
+      document.querySelectorAll(".logo-title").forEach(el => { el.textContent = `${group.name} Tracker`; });
+      if (!group.icon) return;
+      // An emoji becomes an SVG favicon; anything else is taken as an image URL
+      const href = /^(https?:|\/|data:)/.test(group.icon) ? group.icon
+        : "data:image/svg+xml," + encodeURIComponent(
+          `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><text y=".9em" font-size="90">${group.icon}</text></svg>`);
+      document.querySelectorAll("link[rel~='icon']").forEach(el => el.remove());
+      const link = document.createElement("link");
+      link.rel   = "icon";
+      link.href  = href;
+      document.head.appendChild(link);
+    };
+    if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", apply);
+    else apply();
+  });
+})();
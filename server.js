@@ -0,0 +1,171 @@
+// server.js
+// Standalone server for self-hosting without Vercel: serves public/ (with the
+// rewrites from vercel.json), mounts every api/*.js handler at /api/<name> and
+// runs the cron jobs on the built-in scheduler (lib/scheduler.js).
+//   SQLITE_PATH=./data/tracker.db RIOT_API_KEY=… ADMIN_KEY=… node server.js
+// PORT defaults to 3000. Without SQLITE_PATH the handlers use Supabase as usual.
+// Without CRON_SECRET a random one is made up, so only the scheduler can run jobs.
+
+const fs     = require("fs");
+const http   = require("http");
+const path   = require("path");
+const crypto = require("crypto");
+
+const { startScheduler } = require("./lib/scheduler");
+
+const ROOT     = __dirname;
+const PUBLIC   = path.join(ROOT, "public");
+const API      = path.join(ROOT, "api");
+const REWRITES = JSON.parse(fs.readFileSync(path.join(ROOT, "vercel.json"), "utf8")).rewrites || [];
+
+// Vercel's request body limit
+const MAX_BODY = 4.5 * 1024 * 1024;
+
+const TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js":   "text/javascript; charset=utf-8",
+  ".css":  "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".png":  "image/png",
+  ".svg":  "image/svg+xml",
+  ".ico":  "image/x-icon",
+  ".txt":  "text/plain; charset=utf-8",
+};
+
+function createServer() {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (url.pathname.startsWith("/api/")) return await serveApi(req, res, url);
+      if (req.method !== "GET" && req.method !== "HEAD") return send(res, 405, "Method not allowed");
+      return serveStatic(req, res, url.pathname);
+    } catch (e) {
+      console.error("[server]", req.method, url.pathname, e.message);
+      if (!res.headersSent) send(res, 500, JSON.stringify({ error: e.message }), "application/json");
+      else res.end();
+    }
+  });
+}
+
+// ── API ──────────────────────────────────────────────────────────────────────
+
+async function serveApi(req, res, url) {
+  const name = url.pathname.slice("/api/".length).replace(/\/$/, "");
+  const file = path.join(API, `${name}.js`);
+  if (!/^[a-z0-9-]+$/.test(name) || !fs.existsSync(file))
+    return send(res, 404, JSON.stringify({ error: "Not found" }), "application/json");
+
+  let body;
+  try { body = await readBody(req); }
+  catch (e) { return send(res, e.status || 400, JSON.stringify({ error: e.message }), "application/json"); }
+
+  const handler = require(file);
+  await handler(vercelRequest(req, url, body), vercelResponse(res));
+}
+
+// The helpers Vercel adds to Node's request: query and a parsed body
+function vercelRequest(req, url, body) {
+  const query = {};
+  for (const [k, v] of url.searchParams) {
+    query[k] = k in query ? [].concat(query[k], v) : v;
+  }
+  return Object.assign(req, { query, body });
+}
+
+// …and to the response: status(), json() and send()
+function vercelResponse(res) {
+  return Object.assign(res, {
+    status(code) { res.statusCode = code; return res; },
+    json(obj) {
+      if (!res.getHeader("Content-Type")) res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(obj));
+      return res;
+    },
+    send(data) {
+      if (data != null && typeof data === "object" && !Buffer.isBuffer(data)) return res.json(data);
+      res.end(data);
+      return res;
+    },
+  });
+}
+
+// JSON → object, text/* → string, anything else → Buffer; no body → undefined
+async function readBody(req) {
+  if (req.method === "GET" || req.method === "HEAD") return undefined;
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) throw Object.assign(new Error("Body too large"), { status: 413 });
+    chunks.push(chunk);
+  }
+  if (!size) return undefined;
+  const raw  = Buffer.concat(chunks);
+  const type = String(req.headers["content-type"] || "");
+  if (type.includes("application/json")) {
+    try { return JSON.parse(raw.toString("utf8")); }
+    catch { throw new Error("Invalid JSON body"); }
+  }
+  return type.startsWith("text/") ? raw.toString("utf8") : raw;
+}
+
+// ── Static files ─────────────────────────────────────────────────────────────
+
+function serveStatic(req, res, pathname) {
+  const file = publicFile(pathname) || publicFile(rewrite(pathname));
+  if (!file) return send(res, 404, "Not found");
+  res.writeHead(200, { "Content-Type": TYPES[path.extname(file)] || "application/octet-stream" });
+  if (req.method === "HEAD") return res.end();
+  fs.createReadStream(file).pipe(res);
+}
+
+// A file inside public/ for a URL path, or null. "/" and directories mean index.html.
+function publicFile(pathname) {
+  if (!pathname) return null;
+  let rel;
+  try { rel = decodeURIComponent(pathname); } catch { return null; }
+  const file = path.join(PUBLIC, path.normalize(rel));
+  if (file !== PUBLIC && !file.startsWith(PUBLIC + path.sep)) return null;
+  const target = fs.existsSync(file) && fs.statSync(file).isDirectory() ? path.join(file, "index.html") : file;
+  return fs.existsSync(target) && fs.statSync(target).isFile() ? target : null;
+}
+
+// vercel.json rewrites: "/g/:group/:page" → "/:page". Like Vercel, only tried
+// when no file matches the path itself.
+function rewrite(pathname) {
+  for (const { source, destination } of REWRITES) {
+    const names   = [];
+    const pattern = source.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/:(\w+)/g, (_, n) => { names.push(n); return "([^/]+)"; });
+    const m = new RegExp(`^${pattern}$`).exec(pathname);
+    if (m) return destination.replace(/:(\w+)/g, (_, n) => m[names.indexOf(n) + 1] ?? "");
+  }
+  return null;
+}
+
+function send(res, status, text, type = "text/plain; charset=utf-8") {
+  res.writeHead(status, { "Content-Type": type });
+  res.end(text);
+}
+
+// ── Entrypoint ───────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  process.env.CRON_SECRET ||= crypto.randomBytes(24).toString("hex");
+  const port   = Number(process.env.PORT) || 3000;
+  const server = createServer();
+  server.listen(port, () => {
+    console.log(`[server] listening on :${port} (${process.env.SQLITE_PATH ? `SQLite ${process.env.SQLITE_PATH}` : "Supabase"})`);
+    const scheduler = startScheduler({
+      baseUrl:  `http://127.0.0.1:${port}`,
+      secret:   process.env.CRON_SECRET,
+      onResult: ({ job, status, error, body }) => {
+        if (error || status >= 400) console.error(`[cron] ${job}: ${error || `HTTP ${status} ${body?.error ?? ""}`}`);
+      },
+    });
+    const shutdown = () => { scheduler.stop(); server.close(() => process.exit(0)); };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+  });
+}
+
+module.exports = { createServer, rewrite };
@@ -0,0 +1,194 @@
+-- SQLite schema for self-hosting (lib/sqlite.js runs it on every start).
+-- Same tables and columns as the Supabase project after supabase/migrations,
+-- so a change there needs the matching change here. Types map as:
+--   timestamptz → TEXT holding ISO-8601 UTC ("2026-10-19T18:00:00.000Z"), which sorts by time
+--   jsonb       → JSON     (TEXT, parsed back to objects on read)
+--   boolean     → BOOLEAN  (0/1, read back as true/false)
+-- Every statement must stay idempotent.
+
+create table if not exists players (
+  puuid           text primary key,
+  game_name       text not null,
+  tag_line        text not null,
+  platform        text not null default 'euw1',
+  profile_icon_id integer,
+  summoner_level  integer,
+  tier            text,
+  rank            text,
+  lp              integer,
+  wins            integer,
+  losses          integer,
+  ranks           json,
+  in_game         boolean not null default 0,
+  live_game       json,
+  updated_at      text
+);
+create index if not exists players_platform_idx on players (platform);
+
+create table if not exists rank_history (
+  id          integer primary key autoincrement,
+  puuid       text not null,
+  queue       text not null default 'RANKED_SOLO_5x5',
+  tier        text,
+  rank        text,
+  lp          integer,
+  wins        integer,
+  losses      integer,
+  score       integer,
+  recorded_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create unique index if not exists rank_history_puuid_queue_recorded_at_key
+  on rank_history (puuid, queue, recorded_at);
+
+create table if not exists matches (
+  match_id   text primary key,
+  fetched_at text,
+  duration   integer,
+  patch      text,
+  queue_id   integer not null default 420,
+  data       json
+);
+
+create table if not exists player_matches (
+  puuid       text not null,
+  match_id    text not null,
+  team_id     integer,
+  win         boolean,
+  champ       text,
+  kills       integer,
+  deaths      integer,
+  assists     integer,
+  role        text,
+  cs          integer,
+  gold        integer,
+  damage      integer,
+  vision      integer,
+  items       json,
+  spells      json,
+  runes       json,
+  duration    integer,
+  patch       text,
+  queue_id    integer not null default 420,
+  played_at   text,
+  lp_delta    integer,
+  rank_before json,
+  rank_after  json,
+  lp_source   text,
+  primary key (puuid, match_id)
+);
+create index if not exists player_matches_match_id_idx on player_matches (match_id);
+create index if not exists player_matches_queue_idx on player_matches (queue_id, played_at);
+
+create table if not exists notifications (
+  event_key text primary key,
+  event     text not null,
+  sent_at   text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists seasons (
+  id          integer primary key autoincrement,
+  name        text not null,
+  starts_at   text not null,
+  ends_at     text,
+  archived_at text
+);
+
+create table if not exists season_results (
+  season_id   integer not null references seasons (id) on delete cascade,
+  puuid       text not null,
+  queue       text not null default 'RANKED_SOLO_5x5',
+  tier        text,
+  rank        text,
+  lp          integer,
+  wins        integer,
+  losses      integer,
+  recorded_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  primary key (season_id, puuid, queue)
+);
+
+create table if not exists job_runs (
+  id          integer primary key autoincrement,
+  job         text not null,
+  started_at  text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  finished_at text,
+  duration_ms integer,
+  outcome     text not null default 'running',
+  detail      json
+);
+create index if not exists job_runs_job_started_idx on job_runs (job, started_at desc);
+
+create table if not exists job_locks (
+  job          text primary key,
+  run_id       integer not null references job_runs (id) on delete cascade,
+  locked_until text not null
+);
+
+create table if not exists events (
+  id         integer primary key autoincrement,
+  type       text not null,
+  puuid      text,
+  payload    json not null default '{}',
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index if not exists events_created_idx on events (created_at);
+
+create table if not exists postgame_jobs (
+  id           integer primary key autoincrement,
+  puuid        text not null,
+  platform     text not null default 'euw1',
+  game_id      integer,
+  queue_id     integer,
+  state        text not null default 'pending',
+  attempts     integer not null default 0,
+  next_run_at  text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  rank_checked boolean not null default 0,
+  lp_delta     integer,
+  match_id     text,
+  last_error   text,
+  created_at   text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at   text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  unique (puuid, game_id)
+);
+create index if not exists postgame_jobs_due_idx on postgame_jobs (state, next_run_at);
+
+create table if not exists backfill_progress (
+  puuid      text primary key,
+  target     text not null,
+  since      text not null,
+  until      text not null,
+  next_start integer not null default 0,
+  seen       integer not null default 0,
+  stored     integer not null default 0,
+  done       boolean not null default 0,
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists awards (
+  id         integer primary key autoincrement,
+  award_key  text not null unique,
+  award      text not null,
+  puuid      text not null,
+  match_id   text,
+  period     text,
+  detail     json,
+  awarded_at text not null,
+  group_slug text references groups (slug) on delete cascade,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index if not exists awards_puuid_idx on awards (puuid, awarded_at desc);
+create index if not exists awards_group_idx on awards (group_slug, awarded_at desc);
+
+create table if not exists groups (
+  slug       text primary key,
+  name       text not null,
+  icon       text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table if not exists group_members (
+  group_slug text not null references groups (slug) on delete cascade,
+  puuid      text not null references players (puuid) on delete cascade,
+  added_at   text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  primary key (group_slug, puuid)
+);
+create index if not exists group_members_puuid_idx on group_members (puuid);
@@ -0,0 +1,4 @@
+-- Each player lives on its own platform (euw1, eun1, na1, kr, …).
+-- Existing rows were all tracked on EUW.
+alter table players add column if not exists platform text not null default 'euw1';
+create index if not exists players_platform_idx on players (platform);
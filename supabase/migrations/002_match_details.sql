@@ -0,0 +1,16 @@
+-- Richer match ingestion: per-player stats plus game length and patch.
+alter table player_matches
+  add column if not exists role     text,
+  add column if not exists cs       integer,
+  add column if not exists gold     integer,
+  add column if not exists damage   integer,
+  add column if not exists vision   integer,
+  add column if not exists items    jsonb,
+  add column if not exists spells   jsonb,
+  add column if not exists runes    jsonb,
+  add column if not exists duration integer,   -- seconds
+  add column if not exists patch    text;      -- "14.23"
+
+alter table matches
+  add column if not exists duration integer,
+  add column if not exists patch    text;
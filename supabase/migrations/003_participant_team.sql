@@ -0,0 +1,4 @@
+-- Team (100 = blue, 200 = red) per stored participant, so duo stats can tell
+-- teammates from opponents. matches.data entries carry it as "team".
+alter table player_matches add column if not exists team_id integer;
+create index if not exists player_matches_match_id_idx on player_matches (match_id);
@@ -0,0 +1,7 @@
+-- One row per webhook event that has been posted; event_key is the dedup key
+-- (e.g. "game_end:<puuid>:<match_id>"), claimed before the webhook is sent.
+create table if not exists notifications (
+  event_key text primary key,
+  event     text not null,
+  sent_at   timestamptz not null default now()
+);
@@ -0,0 +1,3 @@
+-- Snapshot of the spectator-v5 game a player is currently in (null when offline).
+-- { gameId, queueId, gameMode, startedAt, puuid, teams: [{ teamId, participants: [...] }] }
+alter table players add column if not exists live_game jsonb;
@@ -0,0 +1,21 @@
+-- Seasons/splits with configurable dates, and the final rank of every player
+-- when a season ends (written by update-ranks once ends_at has passed).
+create table if not exists seasons (
+  id          serial primary key,
+  name        text not null,
+  starts_at   timestamptz not null,
+  ends_at     timestamptz,            -- null while the season is open-ended
+  archived_at timestamptz
+);
+
+create table if not exists season_results (
+  season_id   integer not null references seasons (id) on delete cascade,
+  puuid       text not null,
+  tier        text,
+  rank        text,
+  lp          integer,
+  wins        integer,
+  losses      integer,
+  recorded_at timestamptz not null default now(),
+  primary key (season_id, puuid)
+);
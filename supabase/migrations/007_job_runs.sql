@@ -0,0 +1,21 @@
+-- One row per cron/maintenance invocation: when it ran, how long it took
+-- and how it ended ("running" until it finishes, then ok / error / skipped).
+create table if not exists job_runs (
+  id          bigserial primary key,
+  job         text not null,
+  started_at  timestamptz not null default now(),
+  finished_at timestamptz,
+  duration_ms integer,
+  outcome     text not null default 'running',
+  detail      jsonb
+);
+
+create index if not exists job_runs_job_started_idx on job_runs (job, started_at desc);
+
+-- Run lock: a job's row exists while one of its runs is in progress.
+-- locked_until lets a later run take over the lock of a run that crashed.
+create table if not exists job_locks (
+  job          text primary key,
+  run_id       bigint not null references job_runs (id) on delete cascade,
+  locked_until timestamptz not null
+);
@@ -0,0 +1,11 @@
+-- Outbox for the live channel: handlers append game/rank/match events here
+-- and /api/events streams every row after the client's last seen id.
+create table if not exists events (
+  id         bigserial primary key,
+  type       text not null,          -- game_started | game_ended | match_stored | rank_changed
+  puuid      text,
+  payload    jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists events_created_idx on events (created_at);
@@ -0,0 +1,21 @@
+-- Postgame work as durable jobs: /api/ingame enqueues one per finished game,
+-- /api/postgame runs the due ones and reschedules misses with backoff.
+-- state: pending → running → done, or dead once the attempts run out.
+create table if not exists postgame_jobs (
+  id           bigserial primary key,
+  puuid        text not null,
+  platform     text not null default 'euw1',
+  game_id      bigint,
+  state        text not null default 'pending',
+  attempts     integer not null default 0,
+  next_run_at  timestamptz not null default now(),
+  rank_checked boolean not null default false,
+  lp_delta     integer,
+  match_id     text,
+  last_error   text,
+  created_at   timestamptz not null default now(),
+  updated_at   timestamptz not null default now(),
+  unique (puuid, game_id)
+);
+
+create index if not exists postgame_jobs_due_idx on postgame_jobs (state, next_run_at);
@@ -0,0 +1,14 @@
+-- Per-player checkpoint of /api/backfill. A pass pages match-v5 ids inside a
+-- fixed [since, until] window; next_start is the offset of the next page, so a
+-- pass cut short by the time limit resumes there on the next invocation.
+create table if not exists backfill_progress (
+  puuid      text primary key,
+  target     timestamptz not null,        -- the `since` that was asked for
+  since      timestamptz not null,        -- start of this pass's window
+  until      timestamptz not null,
+  next_start integer not null default 0,
+  seen       integer not null default 0,   -- match ids listed so far in this pass
+  stored     integer not null default 0,   -- matches fetched and stored in this pass
+  done       boolean not null default false,
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,8 @@
+-- LP attributed to each match by lib/lp.js from the rank_history snapshots
+-- around it. lp_source: 'exact' when the match was the only one between two
+-- snapshots, 'estimated' when several shared the difference.
+alter table player_matches
+  add column if not exists lp_delta    integer,
+  add column if not exists rank_before jsonb,   -- { tier, rank, lp }
+  add column if not exists rank_after  jsonb,
+  add column if not exists lp_source   text;
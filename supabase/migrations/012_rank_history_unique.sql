@@ -0,0 +1,7 @@
+-- /api/import upserts rank_history on (puuid, recorded_at), so re-importing
+-- an export does not duplicate snapshots. Drop exact duplicates first.
+delete from rank_history a using rank_history b
+  where a.puuid = b.puuid and a.recorded_at = b.recorded_at and a.id > b.id;
+
+create unique index if not exists rank_history_puuid_recorded_at_key
+  on rank_history (puuid, recorded_at);
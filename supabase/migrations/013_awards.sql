@@ -0,0 +1,16 @@
+-- Badges handed out by lib/awards.js. award_key is unique per award instance
+-- ("weekly_mvp:2026-10-12", "tilt:<puuid>:<match_id>", "first_tier:GOLD"), so
+-- re-running the rules never awards the same thing twice.
+create table if not exists awards (
+  id         bigserial primary key,
+  award_key  text not null unique,
+  award      text not null,
+  puuid      text not null,
+  match_id   text,                          -- match that triggered it, if any
+  period     text,                          -- week (its Monday) for weekly awards
+  detail     jsonb,
+  awarded_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists awards_puuid_idx on awards (puuid, awarded_at desc);
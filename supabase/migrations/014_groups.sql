@@ -0,0 +1,17 @@
+-- Several independent boards in one deployment. A player can be in any number
+-- of groups; the players row (and its Riot polling) is shared between them.
+create table if not exists groups (
+  slug       text primary key,              -- /g/<slug>
+  name       text not null,
+  icon       text,                          -- emoji or image URL
+  created_at timestamptz not null default now()
+);
+
+create table if not exists group_members (
+  group_slug text not null references groups (slug) on delete cascade,
+  puuid      text not null references players (puuid) on delete cascade,
+  added_at   timestamptz not null default now(),
+  primary key (group_slug, puuid)
+);
+
+create index if not exists group_members_puuid_idx on group_members (puuid);
@@ -0,0 +1,25 @@
+-- Every ranked queue, not just Solo/Duo. players keeps its tier/rank/lp/wins/losses
+-- columns as the solo rank and gains `ranks` with an entry per ranked queue:
+--   { "RANKED_SOLO_5x5": { tier, rank, lp, wins, losses }, "RANKED_FLEX_SR": { … } }
+-- Snapshots and season results say which queue they belong to; matches carry
+-- Riot's queueId (420 solo, 440 flex, 450 ARAM, …). Existing rows were all solo.
+alter table players add column if not exists ranks jsonb;
+update players set ranks = jsonb_build_object('RANKED_SOLO_5x5',
+  jsonb_build_object('tier', tier, 'rank', rank, 'lp', lp, 'wins', wins, 'losses', losses))
+  where ranks is null and tier is not null;
+
+alter table rank_history add column if not exists queue text not null default 'RANKED_SOLO_5x5';
+drop index if exists rank_history_puuid_recorded_at_key;
+create unique index if not exists rank_history_puuid_queue_recorded_at_key
+  on rank_history (puuid, queue, recorded_at);
+
+alter table season_results add column if not exists queue text not null default 'RANKED_SOLO_5x5';
+alter table season_results drop constraint if exists season_results_pkey;
+alter table season_results add primary key (season_id, puuid, queue);
+
+alter table matches        add column if not exists queue_id integer not null default 420;
+alter table player_matches add column if not exists queue_id integer not null default 420;
+create index if not exists player_matches_queue_idx on player_matches (queue_id, played_at);
+
+-- Queue of the finished game, so its LP change is the one reported
+alter table postgame_jobs add column if not exists queue_id integer;
@@ -0,0 +1,6 @@
+-- Per-group awards: the rules that compare players (MVP, most deaths, first to a
+-- tier) also run among each group's members. Those rows carry the group's slug,
+-- which is part of their award_key too ("weekly_mvp:office:2026-10-12").
+-- null = decided among every tracked player, as before.
+alter table awards add column if not exists group_slug text references groups (slug) on delete cascade;
+create index if not exists awards_group_idx on awards (group_slug, awarded_at desc);
@@ -0,0 +1,136 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const data                              = require("../api/data");
+const { evaluateAwards, finishedWeeks } = require("../lib/awards");
+const { setup, invoke, playerRow }      = require("./helpers/harness");
+
+// Wednesday; the last finished week is Mon 5 – Mon 12 October (Madrid)
+const NOW = new Date("2026-10-14T12:00:00Z");
+const at  = (day, hour) => `2026-10-${String(day).padStart(2, "0")}T${String(hour).padStart(2, "0")}:00:00.000Z`;
+
+// A 30-minute game; the player's team mate has a fixed 2/4/2 line
+function game(puuid, id, playedAt, win, { champ = "Ahri", k = 5, d = 3, a = 5 } = {}) {
+  return {
+    pm:    { puuid, match_id: id, win, champ, kills: k, deaths: d, assists: a, duration: 1800, played_at: playedAt },
+    match: { match_id: id, data: { [puuid]: { team: 100, k, d, a }, [`${id}-mate`]: { team: 100, k: 2, d: 4, a: 2 } } },
+  };
+}
+
+const games = [
+  // ana: five Ahri wins in a row last week → one-trick, win streak, MVP every game
+  ...[1, 2, 3, 4, 5].map(i => game("ana", `A${i}`, at(6, 10 + i), true, { k: 10, d: 1 })),
+  // bob: four losses in one evening (tilt), one of them with 12 deaths
+  game("bob", "B1", at(7, 18), false, { champ: "Yasuo", d: 12 }),
+  game("bob", "B2", at(7, 19), false, { champ: "Yone" }),
+  game("bob", "B3", at(7, 20), false, { champ: "Yasuo" }),
+  game("bob", "B4", at(7, 21), false, { champ: "Zed" }),
+  // this week — weekly awards for it only come next Monday
+  game("bob", "B5", at(13, 18), true, { champ: "Zed", d: 20 }),
+];
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+beforeEach(() => ctx.reset({
+  players:        [playerRow("ana"), playerRow("bob")],
+  player_matches: games.map(g => g.pm),
+  matches:        games.map(g => g.match),
+  rank_history: [
+    { puuid: "bob", tier: "GOLD",     rank: "I",  lp: 90, recorded_at: at(1, 10) },
+    { puuid: "ana", tier: "SILVER",   rank: "I",  lp: 90, recorded_at: at(2, 10) },
+    { puuid: "ana", tier: "GOLD",     rank: "IV", lp: 10, recorded_at: at(6, 16) },   // bob was Gold first
+    { puuid: "bob", tier: "PLATINUM", rank: "IV", lp: 5,  recorded_at: at(13, 19) },
+  ],
+}));
+
+const byKey = (awards) => Object.fromEntries(awards.map(a => [a.award_key, a]));
+
+test("finished weeks run Monday to Monday in the group's time zone", () => {
+  const weeks = finishedWeeks(new Date("2026-09-27T00:00:00Z"), NOW);
+  assert.deepEqual(weeks.map(w => w.key), ["2026-09-28", "2026-10-05"]);
+  assert.equal(weeks[1].from.toISOString(), "2026-10-04T22:00:00.000Z");
+  assert.equal(weeks[1].to.toISOString(), "2026-10-11T22:00:00.000Z");
+});
+
+test("the rules award each badge once, with its date and triggering match", async () => {
+  const awards = byKey(await evaluateAwards(ctx.db, { now: NOW }));
+  assert.deepEqual(Object.keys(awards).sort(), [
+    "first_tier:PLATINUM",
+    "most_deaths:2026-10-05",
+    "one_trick:ana:2026-10-05",
+    "tilt:bob:B4",
+    "weekly_mvp:2026-10-05",
+    "win_streak:ana:A5",
+  ]);
+
+  assert.equal(awards["weekly_mvp:2026-10-05"].puuid, "ana");
+  assert.deepEqual(awards["weekly_mvp:2026-10-05"].detail, { mvpGames: 5, games: 5 });
+  assert.equal(awards["weekly_mvp:2026-10-05"].awarded_at, "2026-10-11T22:00:00.000Z");
+  assert.deepEqual([awards["most_deaths:2026-10-05"].puuid, awards["most_deaths:2026-10-05"].match_id], ["bob", "B1"]);
+  assert.deepEqual(awards["one_trick:ana:2026-10-05"].detail, { champ: "Ahri", games: 5, share: 100 });
+  assert.equal(awards["win_streak:ana:A5"].awarded_at, "2026-10-06T15:30:00.000Z");
+  assert.deepEqual([awards["first_tier:PLATINUM"].puuid, awards["first_tier:PLATINUM"].match_id], ["bob", "B5"]);
+
+  assert.equal(ctx.db.rows("awards").length, 6);
+  assert.deepEqual(await evaluateAwards(ctx.db, { now: NOW }), []);
+});
+
+test("a break between games ends the session, so no tilt", async () => {
+  const spaced = ctx.reset({
+    players:        [playerRow("bob")],
+    player_matches: [1, 2, 3, 4].map(i => game("bob", `S${i}`, at(7, i * 4), false).pm),
+  });
+  const awards = await evaluateAwards(spaced, { now: NOW });
+  assert.ok(!awards.some(a => a.award === "tilt"));
+});
+
+test("/api/data lists awards and shows recent ones as badges", async () => {
+  const daysAgo = (n) => new Date(Date.now() - n * 24*60*60*1000).toISOString();
+  ctx.db.insert("awards", [
+    { award_key: "win_streak:bob:X", award: "win_streak", puuid: "bob", match_id: "X", awarded_at: daysAgo(1), detail: { wins: 5 } },
+    { award_key: "tilt:bob:Y",       award: "tilt",       puuid: "bob", match_id: "Y", awarded_at: daysAgo(40), detail: { losses: 4 } },
+    { award_key: "tilt:ana:Z",       award: "tilt",       puuid: "ana", match_id: "Z", awarded_at: daysAgo(2), detail: { losses: 4 } },
+  ]);
+
+  const { body } = await invoke(data, { query: { type: "awards", puuid: "bob" } });
+  assert.deepEqual(body.awards.map(a => a.key), ["win_streak:bob:X", "tilt:bob:Y"]);
+  assert.equal(body.awards[0].gameName, "BOB");
+  assert.equal(body.catalog.tilt.icon, "🌋");
+
+  const { body: players } = await invoke(data, { query: { type: "players" } });
+  const bob = players.players.find(p => p.puuid === "bob");
+  assert.deepEqual(bob.badges.map(b => [b.award, b.label]), [["win_streak", "Racha de 5"]]);
+});
+
+test("groups get their own MVP, most deaths and first-to-tier, keyed by slug", async () => {
+  ctx.db.insert("groups", [{ slug: "club", name: "Club" }, { slug: "duo", name: "Duo" }]);
+  ctx.db.insert("group_members", [{ group_slug: "club", puuid: "bob" }, { group_slug: "duo", puuid: "ana" }]);
+
+  const awards = byKey(await evaluateAwards(ctx.db, { now: NOW }));
+  assert.deepEqual(Object.keys(awards).sort(), [
+    "first_tier:PLATINUM",
+    "first_tier:club:PLATINUM",
+    "first_tier:duo:GOLD",              // bob was Gold first, but not in this group
+    "most_deaths:2026-10-05",
+    "most_deaths:club:2026-10-05",
+    "most_deaths:duo:2026-10-05",
+    "one_trick:ana:2026-10-05",
+    "tilt:bob:B4",
+    "weekly_mvp:2026-10-05",
+    "weekly_mvp:club:2026-10-05",
+    "weekly_mvp:duo:2026-10-05",
+    "win_streak:ana:A5",
+  ]);
+  assert.deepEqual([awards["weekly_mvp:2026-10-05"].puuid, awards["weekly_mvp:club:2026-10-05"].puuid], ["ana", "bob"]);
+  assert.deepEqual([awards["most_deaths:duo:2026-10-05"].puuid, awards["most_deaths:duo:2026-10-05"].group_slug], ["ana", "duo"]);
+  assert.equal(awards["tilt:bob:B4"].group_slug, null);
+  assert.deepEqual(await evaluateAwards(ctx.db, { now: NOW }), []);
+
+  // A group's board shows its own comparative awards and the shared per-player ones
+  const { body } = await invoke(data, { query: { type: "awards", group: "club" } });
+  assert.deepEqual(body.awards.map(a => a.key).sort(), [
+    "first_tier:club:PLATINUM", "most_deaths:club:2026-10-05", "tilt:bob:B4", "weekly_mvp:club:2026-10-05",
+  ]);
+  assert.ok(body.awards.every(a => a.group === (a.award === "tilt" ? null : "club")));
+});
@@ -0,0 +1,183 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const handler                                     = require("../api/backfill");
+const { setup, invoke, playerRow, daysAgo, CRON } = require("./helpers/harness");
+const { matchPayload }                            = require("./helpers/fake-riot");
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+beforeEach(() => ctx.reset({
+  players:        [playerRow("ana"), playerRow("kim", { platform: "kr" })],
+  player_matches: [{ puuid: "ana", match_id: "EUW1_1", win: true, played_at: new Date(0).toISOString() }],
+}));
+
+const run = (query = {}) => invoke(handler, { headers: CRON, query });
+
+// n match ids for `puuid`, newest first, each with a payload
+function history(region, puuid, prefix, n) {
+  const ids = Array.from({ length: n }, (_, i) => `${prefix}_${n - i}`);
+  ctx.riot.matchIds(region, puuid, ids);
+  for (const id of ids) ctx.riot.match(region, matchPayload(id, [{ puuid, win: true }]));
+  return ids;
+}
+
+test("fetches only the matches each player is missing", async () => {
+  ctx.riot.matchIds("europe", "ana", ["EUW1_2", "EUW1_1"]);
+  ctx.riot.match("europe", matchPayload("EUW1_2", [{ puuid: "ana", win: false }, { puuid: "kim", win: true }]));
+  ctx.riot.matchIds("asia", "kim", ["KR_9"]);
+  ctx.riot.match("asia", matchPayload("KR_9", [{ puuid: "kim", win: true, champ: "Yasuo" }]));
+
+  const { status, body } = await run();
+  assert.equal(status, 200);
+  assert.equal(body.newMatches, 2);
+  assert.equal(body.done, true);
+  assert.ok(!ctx.riot.calls.some(c => c.endsWith("/matches/EUW1_1")));
+
+  const rows = ctx.db.rows("player_matches");
+  // Backfill only writes the row of the player being processed
+  assert.deepEqual(rows.map(r => `${r.puuid}:${r.match_id}`).sort(), ["ana:EUW1_1", "ana:EUW1_2", "kim:KR_9"]);
+  assert.equal(ctx.db.rows("matches").length, 2);
+});
+
+test("pages with start/count inside the since window", async () => {
+  history("europe", "ana", "EUW1", 150);
+  ctx.riot.matchIds("asia", "kim", []);
+
+  const since = daysAgo(30);
+  const { body } = await run({ since, puuid: "ana" });
+  assert.deepEqual(body.players.map(p => [p.puuid, p.pages, p.seen, p.done]), [["ana", 2, 150, true]]);
+  assert.equal(body.newMatches, 149);
+
+  const pages = ctx.riot.calls.filter(c => c.includes("/ids?"));
+  assert.match(pages[0], new RegExp(`startTime=${Math.floor(Date.parse(since) / 1000)}&endTime=\\d+&start=0&count=100`));
+  assert.match(pages[1], /&start=100&count=100/);
+  assert.ok(!ctx.riot.calls.some(c => c.includes("by-puuid/kim")), "single-player mode skips the others");
+});
+
+test("a cut-short pass resumes from its checkpoint", async () => {
+  history("europe", "ana", "EUW1", 130);
+  ctx.riot.matchIds("asia", "kim", []);
+  const since = daysAgo(90);
+
+  const first = await run({ since, puuid: "ana", maxMatches: 110 });
+  const [p1]  = first.body.players;
+  assert.equal(p1.done, false);
+  assert.equal(p1.nextStart, 100);
+  assert.equal(first.body.newMatches, 110);
+
+  const cp = ctx.db.rows("backfill_progress")[0];
+  assert.deepEqual([cp.next_start, cp.stored, cp.done], [100, 110, false]);
+
+  ctx.riot.calls.length = 0;
+  const second = await run({ since, puuid: "ana" });
+  assert.equal(second.body.players[0].done, true);
+  assert.equal(second.body.newMatches, 19); // 130 minus EUW1_1 (already stored) minus the first 110
+  assert.match(ctx.riot.calls.find(c => c.includes("/ids?")), /&start=100&/);
+  assert.equal(ctx.db.rows("player_matches").length, 130);
+});
+
+test("a finished pass is followed by one covering only newer matches", async () => {
+  ctx.riot.matchIds("europe", "ana", []);
+  ctx.riot.matchIds("asia", "kim", []);
+  await run({ since: daysAgo(60) });
+  const first = ctx.db.rows("backfill_progress").find(r => r.puuid === "ana");
+
+  await run({ since: daysAgo(7) });
+  const cp = ctx.db.rows("backfill_progress").find(r => r.puuid === "ana");
+  assert.equal(cp.target, first.target, "still covers the deeper request");
+  assert.equal(cp.done, true);
+  assert.equal(Date.parse(cp.since), Math.max(Date.parse(daysAgo(7)), Date.parse(first.until) - 60*60*1000));
+});
+
+test("a broken match or match list is logged, not fatal", async () => {
+  ctx.riot.matchIds("europe", "ana", ["EUW1_404"]);
+  ctx.riot.route("asia.api.riotgames.com", "/lol/match/v5/matches/by-puuid/kim/ids", { status: 401 });
+
+  const { body } = await run();
+  assert.equal(body.newMatches, 0);
+  assert.ok(body.log.some(l => l.startsWith("✗ EUW1_404: HTTP 404")));
+  assert.ok(body.log.some(l => l.startsWith("✗ KIM: failed to fetch match IDs")));
+});
+
+test("a match that failed to load is fetched again on the next pass", async () => {
+  ctx.riot.matchIds("europe", "ana", ["EUW1_3", "EUW1_2"]);
+  ctx.riot.match("europe", matchPayload("EUW1_2", [{ puuid: "ana", win: true }]));
+  ctx.riot.match("europe", matchPayload("EUW1_3", [{ puuid: "ana", win: false }]));
+  ctx.riot.matchIds("asia", "kim", []);
+
+  ctx.db.failing.add("matches");
+  const first = await run();
+  assert.deepEqual([first.body.newMatches, first.body.players[0].done, first.body.players[0].nextStart], [0, false, 0]);
+  ctx.db.failing.delete("matches");
+  const second = await run();
+  assert.deepEqual([second.body.newMatches, second.body.players[0].done], [2, true]);
+  assert.deepEqual(ctx.db.rows("player_matches").map(r => r.match_id).sort(), ["EUW1_1", "EUW1_2", "EUW1_3"]);
+});
+
+test("a match Riot never has is skipped and the player still finishes", async () => {
+  ctx.riot.matchIds("europe", "ana", ["EUW1_404", "EUW1_2"]);
+  ctx.riot.match("europe", matchPayload("EUW1_2", [{ puuid: "ana", win: true }]));
+  ctx.riot.matchIds("asia", "kim", []);
+
+  const { body } = await run();
+  assert.deepEqual([body.done, body.newMatches, body.players[0].seen], [true, 1, 2]);
+  assert.ok(body.log.some(l => l.startsWith("✗ EUW1_404: HTTP 404") && l.endsWith("skipped")));
+  assert.equal(ctx.db.rows("backfill_progress").find(r => r.puuid === "ana").done, true);
+});
+
+test("a malformed payload is skipped, an unexpected error is retried", async () => {
+  ctx.riot.matchIds("europe", "ana", ["EUW1_3", "EUW1_2"]);
+  ctx.riot.route("europe.api.riotgames.com", "/lol/match/v5/matches/EUW1_3", { body: { metadata: {}, info: {} } });
+  const broken = matchPayload("EUW1_2", [{ puuid: "ana", win: true }]);
+  ctx.riot.route("europe.api.riotgames.com", "/lol/match/v5/matches/EUW1_2",
+    { body: { ...broken, info: { ...broken.info, gameVersion: 14 } } }, { body: broken });
+  ctx.riot.matchIds("asia", "kim", []);
+
+  const first = await run();
+  assert.ok(first.body.log.some(l => l === "✗ EUW1_3: malformed payload — skipped"));
+  assert.deepEqual([first.body.newMatches, first.body.players[0].done], [0, false]);
+  const second = await run();
+  assert.deepEqual([second.body.newMatches, second.body.players[0].done], [1, true]);
+});
+
+test("an unreadable checkpoint skips the player instead of starting over", async () => {
+  ctx.db.insert("backfill_progress", {
+    puuid: "ana", target: daysAgo(7), since: daysAgo(7), until: new Date().toISOString(), next_start: 100, seen: 100, stored: 3, done: false,
+  });
+  ctx.db.failing.add("backfill_progress");
+
+  const { body } = await run({ puuid: "ana" });
+  assert.deepEqual([body.done, body.players[0].pages], [false, 0]);
+  assert.ok(body.log.some(l => l.startsWith("✗ ANA: failed to read the checkpoint")));
+  assert.ok(!ctx.riot.calls.some(c => c.includes("/ids?")));
+});
+
+test("a checkpoint that fails to save is logged and the player is not done", async () => {
+  ctx.riot.matchIds("europe", "ana", []);
+  // The checkpoint read goes through; the write after the pass fails
+  const from = ctx.db.from;
+  let uses = 0;
+  ctx.db.from = (name) => {
+    if (name === "backfill_progress" && ++uses > 1) ctx.db.failing.add(name);
+    return from(name);
+  };
+
+  const { body } = await run({ puuid: "ana" });
+  assert.deepEqual([body.done, body.players[0].done], [false, false]);
+  assert.ok(body.log.some(l => l.startsWith("✗ ANA: failed to save the checkpoint")));
+  assert.deepEqual(ctx.db.rows("backfill_progress"), []);
+});
+
+test("validates since and the single player", async () => {
+  assert.equal((await run({ since: "not-a-date" })).status, 400);
+  assert.equal((await run({ puuid: "nobody" })).status, 404);
+});
+
+test("the old backfill-week URL still works", async () => {
+  ctx.riot.matchIds("europe", "ana", []);
+  ctx.riot.matchIds("asia", "kim", []);
+  const { status } = await invoke(require("../api/backfill-week"), { headers: CRON });
+  assert.equal(status, 200);
+});
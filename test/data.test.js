@@ -0,0 +1,210 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const handler                               = require("../api/data");
+const { setup, invoke, playerRow, daysAgo } = require("./helpers/harness");
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+
+function match(puuid, matchId, win, played_at, extra = {}) {
+  return { puuid, match_id: matchId, team_id: win ? 100 : 200, win, champ: "Ahri",
+    kills: 4, deaths: 2, assists: 6, played_at, ...extra };
+}
+
+beforeEach(() => ctx.reset({
+  players: [
+    playerRow("ana", { tier: "GOLD", rank: "I", lp: 20 }),
+    playerRow("bob", { tier: "SILVER", rank: "I", lp: 60, platform: "eun1" }),
+  ],
+  rank_history: [
+    { puuid: "ana", tier: "GOLD", rank: "II", lp: 80, wins: 8, losses: 10, recorded_at: daysAgo(10) },
+    { puuid: "ana", tier: "GOLD", rank: "II", lp: 90, wins: 9, losses: 10, recorded_at: daysAgo(3) },
+    { puuid: "ana", tier: "GOLD", rank: "I",  lp: 20, wins: 10, losses: 10, recorded_at: daysAgo(1) },
+    { puuid: "bob", tier: "SILVER", rank: "I", lp: 80, wins: 10, losses: 9, recorded_at: daysAgo(2) },
+  ],
+  player_matches: [
+    match("ana", "EUW1_1", true,  daysAgo(2)),
+    match("ana", "EUW1_2", true,  daysAgo(1), { champ: "Lux" }),
+    match("bob", "EUW1_2", true,  daysAgo(1), { champ: "Thresh" }),
+    match("bob", "EUW1_3", false, daysAgo(1)),
+  ],
+}));
+
+const get = (query) => invoke(handler, { query });
+
+test("players: ranks, recent matches and region filter", async () => {
+  const { status, body } = await get({ type: "players" });
+  assert.equal(status, 200);
+  const ana = body.players.find(p => p.puuid === "ana");
+  assert.equal(ana.rankData[0].tier, "GOLD");
+  assert.deepEqual(ana.recentMatches.map(m => m.champ), ["Ahri", "Lux"]);
+  assert.equal(ana.liveGame, null);
+
+  const eun = await get({ type: "players", platform: "eun1" });
+  assert.deepEqual(eun.body.players.map(p => p.puuid), ["bob"]);
+});
+
+test("players: the strip holds each player's newest 10 matches, oldest first", async () => {
+  ctx.db.insert("player_matches", Array.from({ length: 12 }, (_, i) => match("ana", `EUW1_OLD${i}`, false, daysAgo(30 + i))));
+  const { body } = await get({ type: "players" });
+  const ana = body.players.find(p => p.puuid === "ana");
+  assert.equal(ana.recentMatches.length, 10);
+  assert.deepEqual(ana.recentMatches.slice(-3).map(m => m.matchId), ["EUW1_OLD0", "EUW1_1", "EUW1_2"]);
+});
+
+test("weekly: LP gained over the last 7 days from the pre-window baseline", async () => {
+  const { body } = await get({ type: "weekly" });
+  const ana = body.find(p => p.puuid === "ana");
+  // GOLD II 80 (10 days ago) → GOLD I 20 now
+  assert.equal(ana.lpGain, 40);
+  assert.equal(ana.gamesPlayed, 2);
+  assert.equal(ana.weekWr, 100);
+});
+
+test("leaderboard: period presets, sorting and validation", async () => {
+  const { body } = await get({ type: "leaderboard", period: "7d", sort: "games" });
+  assert.deepEqual(body.players.map(p => p.puuid), ["ana", "bob"]);
+  const bob = body.players.find(p => p.puuid === "bob");
+  assert.equal(bob.lpGain, -20);
+  assert.equal(bob.wr, 50);
+
+  const bad = await get({ type: "leaderboard", period: "decade" });
+  assert.equal(bad.status, 400);
+  const inverted = await get({ type: "leaderboard", from: daysAgo(1), to: daysAgo(2) });
+  assert.equal(inverted.status, 400);
+});
+
+test("leaderboard: pages past the 1000-row response cap", async () => {
+  ctx.db.maxRows = 1000;
+  ctx.db.insert("player_matches", Array.from({ length: 1000 }, (_, i) => match("ana", `EUW1_X${i}`, i % 2 === 0, daysAgo(3))));
+  const { body } = await get({ type: "leaderboard", period: "7d" });
+  const ana = body.players.find(p => p.puuid === "ana");
+  assert.deepEqual([ana.games, ana.wins, ana.losses], [1002, 502, 500]);
+});
+
+test("history: timeline with deltas and division changes", async () => {
+  const { body } = await get({ type: "history", puuid: "ana" });
+  const [ana] = body.players;
+  assert.deepEqual(ana.points.map(p => p.delta), [0, 10, 30]);
+  assert.equal(ana.points[2].change, "promotion");
+  assert.equal(ana.peak.tier, "GOLD");
+  assert.equal(ana.peak.rank, "I");
+
+  assert.equal((await get({ type: "history" })).status, 400);
+});
+
+test("champions: per player and group-wide", async () => {
+  const { body } = await get({ type: "champions" });
+  const ana = body.players.find(p => p.puuid === "ana");
+  assert.deepEqual(ana.champions.map(c => c.champ).sort(), ["Ahri", "Lux"]);
+  const ahri = body.group.find(c => c.champ === "Ahri");
+  assert.equal(ahri.games, 2);
+  assert.equal(ahri.players, 2);
+});
+
+test("duos: pairs that shared a game", async () => {
+  const { body } = await get({ type: "duos", minGames: 1 });
+  assert.equal(body.duos.length, 1);
+  assert.equal(body.duos[0].together.games, 1);
+  assert.equal(body.bestDuos.length, 1);
+});
+
+test("compare: rank, peak, record, champions and shared games side by side", async () => {
+  const { status, body } = await get({ type: "compare", puuids: "bob,ana" });
+  assert.equal(status, 200);
+  const [bob, ana] = body.players;
+  assert.deepEqual([bob.puuid, ana.puuid], ["bob", "ana"]);
+  assert.deepEqual([bob.current.lp, bob.peak.lp], [60, 80]);
+  assert.ok(bob.peak.at, "a past peak keeps its snapshot date");
+  assert.deepEqual([ana.peak.tier, ana.peak.rank, ana.points.length], ["GOLD", "I", 3]);
+  assert.deepEqual([ana.overall.games, ana.overall.wr, ana.overall.kda.ratio], [2, 100, 5]);
+  assert.deepEqual([bob.recent.results, bob.champions.map(c => c.champ)], [[true, false], ["Thresh", "Ahri"]]);
+  assert.equal(body.shared.length, 1);
+  assert.deepEqual(body.shared[0].together, { games: 1, wins: 1, wr: 100 });
+
+  assert.equal((await get({ type: "compare", puuids: "ana" })).status, 400);
+  assert.equal((await get({ type: "compare", puuids: "ana,bob,c,d,e" })).status, 400);
+  assert.equal((await get({ type: "compare", puuids: "ana,ghost" })).status, 404);
+});
+
+test("compare: from/to bound the LP graph and the games behind the stats", async () => {
+  const { body: recent } = await get({ type: "compare", puuids: "ana,bob", from: daysAgo(1.5) });
+  const [ana, bob] = recent.players;
+  assert.deepEqual([ana.points.length, ana.overall.games, ana.champions.map(c => c.champ)], [1, 1, ["Lux"]]);
+  assert.deepEqual([bob.overall.games, recent.shared[0].together.games], [2, 1]);
+
+  const { body: older } = await get({ type: "compare", puuids: "ana,bob", to: daysAgo(1.5) });
+  assert.deepEqual([older.players[0].points.length, older.players[0].overall.games], [2, 1]);
+  assert.deepEqual([older.players[1].overall.games, older.shared], [0, []]);
+});
+
+test("from/to is half-open in every dated mode: a game at `to` belongs to the next range", async () => {
+  const at    = ctx.db.rows("player_matches").find(r => r.match_id === "EUW1_1").played_at;
+  const range = { puuid: "ana", puuids: "ana,bob" };
+  const games = async (type, q) => {
+    const { body } = await get({ type, ...range, ...q });
+    const ana = body.players.find(p => p.puuid === "ana");
+    return type === "compare" ? ana.overall.games : ana.champions.reduce((n, c) => n + c.games, 0);
+  };
+  for (const type of ["champions", "compare"]) {
+    assert.equal(await games(type, { from: daysAgo(3), to: at }), 0, type);
+    assert.equal(await games(type, { from: at, to: daysAgo(1.5) }), 1, type);
+  }
+  const last = ctx.db.rows("rank_history").filter(r => r.puuid === "ana").at(-1).recorded_at;
+  const { body } = await get({ type: "history", puuid: "ana", to: last });
+  assert.equal(body.players[0].points.length, 2);
+});
+
+test("season: 404 without seasons, season-to-date stats with one", async () => {
+  assert.equal((await get({ type: "season" })).status, 404);
+
+  ctx.db.insert("seasons", { name: "S1", starts_at: daysAgo(5), ends_at: null, archived_at: null });
+  const { status, body } = await get({ type: "season" });
+  assert.equal(status, 200);
+  assert.equal(body.season.name, "S1");
+  const ana = body.players.find(p => p.puuid === "ana");
+  assert.equal(ana.lpGain, 30);
+  assert.equal(ana.games, 2);
+});
+
+test("season: a reset's placement rank is the baseline, not the previous split's final rank", async () => {
+  ctx.db.insert("seasons", { name: "S2", starts_at: daysAgo(4), ends_at: null, archived_at: null });
+  ctx.db.insert("rank_history", [
+    { puuid: "bob", tier: "PLATINUM", rank: "I", lp: 90, recorded_at: daysAgo(5) },
+    { puuid: "bob", tier: "SILVER", rank: "I", lp: 40, recorded_at: daysAgo(3) },
+  ]);
+  const { body } = await get({ type: "season" });
+  const bob = body.players.find(p => p.puuid === "bob");
+  assert.deepEqual(bob.start, { tier: "SILVER", rank: "I", lp: 40 });
+  assert.equal(bob.lpGain, 20);
+});
+
+test("seasons: archived results per season", async () => {
+  ctx.db.insert("seasons", { name: "S0", starts_at: daysAgo(90), ends_at: daysAgo(30), archived_at: daysAgo(30) });
+  ctx.db.insert("season_results", { season_id: 1, puuid: "ana", tier: "GOLD", rank: "IV", lp: 0, wins: 1, losses: 1 });
+  const { body } = await get({ type: "seasons" });
+  assert.equal(body.seasons[0].results[0].gameName, "ANA");
+});
+
+test("season and seasons answer 500 when the archived results can't be read", async () => {
+  ctx.db.insert("seasons", { name: "S0", starts_at: daysAgo(90), ends_at: daysAgo(30), archived_at: daysAgo(30) });
+  ctx.db.failing.add("season_results");
+  assert.equal((await get({ type: "season", season: "1" })).status, 500);
+  assert.equal((await get({ type: "seasons" })).status, 500);
+});
+
+test("unknown type is a 400", async () => {
+  assert.equal((await get({ type: "nope" })).status, 400);
+});
+
+test("a bad from/to is a 400 in every dated mode", async () => {
+  for (const type of ["history", "champions", "duos", "compare"]) {
+    const base = { type, puuid: "ana", puuids: "ana,bob" };
+    assert.equal((await get({ ...base, from: "yesterday-ish" })).status, 400, type);
+    assert.equal((await get({ ...base, to: "nope" })).status, 400, type);
+    assert.equal((await get({ ...base, from: daysAgo(1), to: daysAgo(2) })).status, 400, type);
+  }
+  assert.equal((await get({ type: "history", puuid: "ana", from: daysAgo(5) })).status, 200);
+});
@@ -0,0 +1,50 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const handler           = require("../api/events");
+const { publish }       = require("../lib/events");
+const { setup, invoke } = require("./helpers/harness");
+
+let ctx;
+before(async () => {
+  ctx = await setup();
+  process.env.EVENTS_STREAM_MS = "60";
+  process.env.EVENTS_POLL_MS   = "10";
+});
+after(() => {
+  delete process.env.EVENTS_STREAM_MS;
+  delete process.env.EVENTS_POLL_MS;
+  return ctx.close();
+});
+beforeEach(async () => {
+  ctx.reset();
+  await publish(ctx.db, "game_started", "ana", { gameId: 1 });
+  await publish(ctx.db, "game_ended",   "ana", { gameId: 1 });
+  await publish(ctx.db, "rank_changed", "ana", { tier: "GOLD", rank: "I", lp: 0 });
+});
+
+// "id: 2\nevent: x\ndata: {...}\n\n" blocks → [{ id, event, data }]
+function parse(body) {
+  return body.split("\n\n").filter(b => b.startsWith("id:")).map(block => {
+    const f = Object.fromEntries(block.split("\n").map(l => [l.slice(0, l.indexOf(":")), l.slice(l.indexOf(":") + 2)]));
+    return { id: Number(f.id), event: f.event, data: JSON.parse(f.data) };
+  });
+}
+
+test("streams events after Last-Event-ID as SSE", async () => {
+  const { status, headers, body } = await invoke(handler, { headers: { "Last-Event-ID": "1" } });
+  assert.equal(status, 200);
+  assert.equal(headers["content-type"], "text/event-stream");
+  const events = parse(body);
+  assert.deepEqual(events.map(e => [e.id, e.event]), [[2, "game_ended"], [3, "rank_changed"]]);
+  assert.equal(events[1].data.puuid, "ana");
+  assert.equal(events[1].data.tier, "GOLD");
+});
+
+test("a new client starts from the newest event and gets what comes next", async () => {
+  const pending = invoke(handler);
+  setTimeout(() => publish(ctx.db, "match_stored", "bob", { matchId: "EUW1_9" }), 20);
+  const events = parse((await pending).body);
+  assert.deepEqual(events.map(e => e.event), ["match_stored"]);
+  assert.equal(events[0].data.matchId, "EUW1_9");
+});
@@ -0,0 +1,97 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const data                               = require("../api/data");
+const players                            = require("../api/players");
+const groups                             = require("../api/groups");
+const updateRanks                        = require("../api/update-ranks");
+const { setup, invoke, playerRow, CRON } = require("./helpers/harness");
+const { soloEntry }                      = require("./helpers/fake-riot");
+
+const AUTH = { "x-admin-key": "admin-key" };
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+beforeEach(() => ctx.reset({
+  players: [playerRow("ana"), playerRow("bob"), playerRow("cid")],
+  groups:  [{ slug: "office", name: "Oficina", icon: "💼" }, { slug: "uni", name: "Uni Club", icon: "🎓" }],
+  group_members: [
+    { group_slug: "office", puuid: "ana" }, { group_slug: "office", puuid: "bob" },
+    { group_slug: "uni", puuid: "bob" },    { group_slug: "uni", puuid: "cid" },
+  ],
+  player_matches: ["ana", "bob", "cid"].map(puuid => ({
+    puuid, match_id: "M1", win: true, champ: "Ahri", kills: 5, deaths: 2, assists: 5, played_at: new Date().toISOString(),
+  })),
+}));
+
+const names = (rows) => rows.map(p => p.puuid).sort();
+
+test("every data mode sees only the group's players", async () => {
+  const { body: list } = await invoke(data, { query: { type: "players", group: "office" } });
+  assert.deepEqual(names(list.players), ["ana", "bob"]);
+
+  const { body: board } = await invoke(data, { query: { type: "leaderboard", period: "7d", group: "uni" } });
+  assert.deepEqual(names(board.players), ["bob", "cid"]);
+
+  const { body: history } = await invoke(data, { query: { type: "history", puuid: "ana,cid", group: "uni" } });
+  assert.deepEqual(names(history.players), ["cid"]);
+
+  const { body: csv } = await invoke(data, { query: { type: "export", table: "player_matches", format: "json", group: "office" } });
+  assert.deepEqual(names(JSON.parse(csv)), ["ana", "bob"]);
+
+  const { body: all } = await invoke(data, { query: { type: "players" } });
+  assert.equal(all.players.length, 3);
+});
+
+test("the group mode names the board and unknown groups are 404", async () => {
+  const { body } = await invoke(data, { query: { type: "group", group: "office" } });
+  assert.deepEqual(body, { slug: "office", name: "Oficina", icon: "💼", members: 2 });
+  assert.equal((await invoke(data, { query: { type: "players", group: "nope" } })).status, 404);
+});
+
+test("a player in several groups is still polled once", async () => {
+  ["ana", "bob", "cid"].forEach(p => ctx.riot.league("euw1", p, [soloEntry("GOLD", "I", 10)]));
+  assert.equal((await invoke(updateRanks, { headers: CRON })).status, 200);
+  assert.equal(ctx.riot.calls.filter(c => c.endsWith("/by-puuid/bob")).length, 1);
+});
+
+test("adding a tracked player to another group only adds the membership", async () => {
+  ctx.riot.account("europe", "Ana", "EUW", "ana");
+  const post = (group) => invoke(players, { method: "POST", headers: AUTH, body: { riotId: "Ana#EUW", group } });
+
+  const { status, body } = await post("uni");
+  assert.equal(status, 200);
+  assert.equal(body.joined.group, "uni");
+  assert.equal(ctx.db.rows("players").length, 3);
+  assert.equal((await post("uni")).status, 409);
+  assert.equal((await post("chess")).status, 404);
+
+  const { body: listed } = await invoke(players, { headers: AUTH });
+  assert.deepEqual(listed.players.find(p => p.puuid === "ana").groups.sort(), ["office", "uni"]);
+});
+
+test("deleting with a group only leaves that group", async () => {
+  const { status } = await invoke(players, { method: "DELETE", headers: AUTH, query: { puuid: "bob", group: "office" } });
+  assert.equal(status, 200);
+  assert.equal(ctx.db.rows("players").length, 3);
+  assert.deepEqual(ctx.db.rows("group_members").filter(m => m.puuid === "bob").map(m => m.group_slug), ["uni"]);
+
+  await invoke(players, { method: "DELETE", headers: AUTH, query: { puuid: "bob" } });
+  assert.ok(!ctx.db.rows("group_members").some(m => m.puuid === "bob"));
+});
+
+test("/api/groups creates, lists and drops groups", async () => {
+  assert.equal((await invoke(groups, {})).status, 401);
+  const create = (body) => invoke(groups, { method: "POST", headers: AUTH, body });
+
+  assert.equal((await create({ slug: "Not A Slug", name: "x" })).status, 400);
+  assert.equal((await create({ slug: "chess", name: "Ajedrez", icon: "♟️" })).status, 200);
+
+  const { body } = await invoke(groups, { headers: AUTH });
+  assert.deepEqual(body.groups.map(g => `${g.slug}:${g.members}`), ["chess:0", "office:2", "uni:2"]);
+
+  assert.equal((await invoke(groups, { method: "DELETE", headers: AUTH, query: { slug: "uni" } })).status, 200);
+  assert.ok(!ctx.db.rows("group_members").some(m => m.group_slug === "uni"));
+  assert.equal(ctx.db.rows("players").length, 3);
+});
@@ -0,0 +1,130 @@
+// test/helpers/fake-riot.js
+// Local HTTP server standing in for the Riot API. lib/riot.js talks to it
+// when RIOT_API_BASE points here: a call to <host><path> arrives as
+// GET /<host><path>. Routes are canned payloads; anything unknown is a 404,
+// which is what Riot answers for "not in game", "no such match", etc.
+
+const http = require("http");
+
+// Generous limits so suites with many calls are not throttled (riot.test.js covers throttling)
+const RATE_LIMIT_HEADERS = {
+  "x-app-rate-limit":       "10000:1,100000:120",
+  "x-app-rate-limit-count": "1:1,1:120",
+};
+
+async function startFakeRiot() {
+  const routes = new Map(); // "host/path" → [{ status, body, headers }] (last one repeats) or fn(query)
+  const calls  = [];
+
+  const server = http.createServer((req, res) => {
+    const key = decodeURIComponent(req.url.slice(1));
+    calls.push(key);
+    const queue = routes.get(key) || routes.get(key.split("?")[0]);
+    const reply = !queue ? { status: 404, body: { status: { status_code: 404, message: "Data not found" } } }
+      : typeof queue === "function" ? { status: 200, ...queue(new URLSearchParams(key.split("?")[1] || "")) }
+      : queue.length > 1 ? queue.shift() : queue[0];
+    res.writeHead(reply.status, { "Content-Type": "application/json", ...RATE_LIMIT_HEADERS, ...reply.headers });
+    res.end(JSON.stringify(reply.body ?? null));
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // Queue responses for a route; the last one keeps being served
+  function route(host, path, ...replies) {
+    routes.set(`${host}${path}`, replies.map(r => ({ status: 200, headers: {}, ...r })));
+  }
+
+  const ok = (body) => ({ status: 200, body });
+
+  return {
+    url,
+    calls,
+    route,
+    reset() { routes.clear(); calls.length = 0; },
+    close() { return new Promise(resolve => server.close(resolve)); },
+
+    // ── Canned payloads ─────────────────────────────────────────────────────
+    account(region, gameName, tagLine, puuid) {
+      route(`${region}.api.riotgames.com`,
+        `/riot/account/v1/accounts/by-riot-id/${gameName}/${tagLine}`, ok({ puuid, gameName, tagLine }));
+      route(`${region}.api.riotgames.com`,
+        `/riot/account/v1/accounts/by-puuid/${puuid}`, ok({ puuid, gameName, tagLine }));
+    },
+    summoner(platform, puuid, { profileIconId = 1, summonerLevel = 100 } = {}) {
+      route(`${platform}.api.riotgames.com`,
+        `/lol/summoner/v4/summoners/by-puuid/${puuid}`, ok({ puuid, profileIconId, summonerLevel }));
+    },
+    league(platform, puuid, entries, ...more) {
+      route(`${platform}.api.riotgames.com`, `/lol/league/v4/entries/by-puuid/${puuid}`,
+        ...[entries, ...more].map(ok));
+    },
+    spectator(platform, puuid, game) {
+      const path = `/lol/spectator/v5/active-games/by-summoner/${puuid}`;
+      if (game) route(`${platform}.api.riotgames.com`, path, ok(game));
+      else routes.delete(`${platform}.api.riotgames.com${path}`);
+    },
+    // Newest first, paged by start/count like match-v5
+    matchIds(region, puuid, ids) {
+      routes.set(`${region}.api.riotgames.com/lol/match/v5/matches/by-puuid/${puuid}/ids`, (q) => {
+        const start = Number(q.get("start") || 0);
+        return ok(ids.slice(start, start + Number(q.get("count") || 20)));
+      });
+    },
+    match(region, payload) {
+      route(`${region}.api.riotgames.com`, `/lol/match/v5/matches/${payload.metadata.matchId}`, ok(payload));
+    },
+  };
+}
+
+// ── Fixture builders ────────────────────────────────────────────────────────
+function soloEntry(tier, rank, leaguePoints, wins = 10, losses = 10) {
+  return { queueType: "RANKED_SOLO_5x5", tier, rank, leaguePoints, wins, losses };
+}
+
+function flexEntry(tier, rank, leaguePoints, wins = 10, losses = 10) {
+  return { ...soloEntry(tier, rank, leaguePoints, wins, losses), queueType: "RANKED_FLEX_SR" };
+}
+
+// match-v5 payload; `players` = [{ puuid, win, champ?, k?, d?, a?, teamId? }]
+function matchPayload(matchId, players, { start = Date.now() - 30*60*1000, duration = 1800, queueId = 420 } = {}) {
+  return {
+    metadata: { matchId },
+    info: {
+      gameStartTimestamp: start,
+      gameDuration:       duration,
+      gameVersion:        "14.23.636.1234",
+      queueId,
+      participants: players.map(p => ({
+        puuid:        p.puuid,
+        teamId:       p.teamId ?? (p.win ? 100 : 200),
+        win:          p.win,
+        championName: p.champ || "Ahri",
+        kills:        p.k ?? 5,
+        deaths:       p.d ?? 3,
+        assists:      p.a ?? 7,
+        teamPosition: "MIDDLE",
+        totalMinionsKilled: 180, neutralMinionsKilled: 20,
+        goldEarned: 12000, totalDamageDealtToChampions: 25000, visionScore: 20,
+        item0: 3089, summoner1Id: 4, summoner2Id: 14,
+        perks: { styles: [{ style: 8100, selections: [{ perk: 8112 }] }, { style: 8300 }] },
+      })),
+    },
+  };
+}
+
+// spectator-v5 payload
+function liveGame(gameId, participants, { gameStartTime = Date.now() - 5*60*1000, queueId = 420 } = {}) {
+  return {
+    gameId,
+    gameQueueConfigId: queueId,
+    gameMode: "CLASSIC",
+    gameStartTime,
+    participants: participants.map((p, i) => ({
+      puuid: p.puuid, riotId: p.riotId || `P${i}#EUW`, teamId: p.teamId ?? 100,
+      championId: p.championId ?? 103, spell1Id: 4, spell2Id: 14,
+    })),
+  };
+}
+
+module.exports = { startFakeRiot, soloEntry, flexEntry, matchPayload, liveGame };
@@ -0,0 +1,98 @@
+// test/helpers/harness.js
+// Wires a handler to the fakes: env vars, the in-memory Supabase and the
+// fake Riot server, plus a minimal Vercel-style req/res pair.
+
+const { EventEmitter }         = require("events");
+const { useStorage }           = require("../../lib/storage");
+const { createMemorySupabase } = require("./memory-supabase");
+const { startFakeRiot }        = require("./fake-riot");
+
+const ENV = {
+  RIOT_API_KEY:         "RGAPI-test",
+  SUPABASE_URL:         "http://supabase.invalid",
+  SUPABASE_SERVICE_KEY: "service-key",
+  SUPABASE_ANON_KEY:    "anon-key",
+  ADMIN_KEY:            "admin-key",
+  CRON_SECRET:          "cron-secret",
+  POSTGAME_DELAYS_SEC:  "0,0",
+};
+
+// Call from a `before` hook; returns { riot, db, reset(seed), close() }
+async function setup() {
+  const riot = await startFakeRiot();
+  Object.assign(process.env, ENV, { RIOT_API_BASE: riot.url });
+  const ctx = {
+    riot,
+    db: null,
+    reset(seed = {}) {
+      riot.reset();
+      ctx.db = createMemorySupabase(seed);
+      useStorage(ctx.db);
+      return ctx.db;
+    },
+    async close() {
+      useStorage(null);
+      await riot.close();
+    },
+  };
+  ctx.reset();
+  return ctx;
+}
+
+// Runs a handler and resolves with { status, headers, body } once it responds
+function invoke(handler, { method = "GET", query = {}, body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = []; // streamed responses (SSE) write before end()
+    const res = {
+      statusCode: 200,
+      headers:    {},
+      setHeader(k, v)  { this.headers[k.toLowerCase()] = v; },
+      writeHead(code, h = {}) {
+        this.statusCode = code;
+        for (const [k, v] of Object.entries(h)) this.setHeader(k, v);
+        return this;
+      },
+      status(code) { this.statusCode = code; return this; },
+      json(obj)    { resolve({ status: this.statusCode, headers: this.headers, body: obj }); return this; },
+      send(text)   { resolve({ status: this.statusCode, headers: this.headers, body: text }); return this; },
+      write(chunk) { chunks.push(String(chunk)); return true; },
+      end(text) {
+        if (text != null) chunks.push(String(text));
+        resolve({ status: this.statusCode, headers: this.headers, body: chunks.length ? chunks.join("") : null });
+        return this;
+      },
+    };
+    const req = Object.assign(new EventEmitter(), { method, query, body, headers: lowerKeys(headers) });
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+function lowerKeys(obj) {
+  return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k.toLowerCase(), v]));
+}
+
+// players row with sensible defaults
+function playerRow(puuid, overrides = {}) {
+  return {
+    puuid,
+    game_name:       puuid.toUpperCase(),
+    tag_line:        "EUW",
+    platform:        "euw1",
+    profile_icon_id: 1,
+    summoner_level:  100,
+    tier: "GOLD", rank: "II", lp: 50, wins: 10, losses: 10,
+    in_game:         false,
+    live_game:       null,
+    updated_at:      new Date().toISOString(),
+    ...overrides,
+  };
+}
+
+function daysAgo(n) {
+  return new Date(Date.now() - n * 24*60*60*1000).toISOString();
+}
+
+// Headers a scheduled job sends
+const CRON = { authorization: "Bearer cron-secret" };
+
+module.exports = { setup, invoke, playerRow, daysAgo, CRON };
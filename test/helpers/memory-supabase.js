@@ -0,0 +1,217 @@
+// test/helpers/memory-supabase.js
+// In-memory stand-in for the slice of the supabase-js query builder the
+// handlers use: select/insert/upsert/update/delete with eq/neq/in/gt/gte/
+// lt/lte/is filters, order, limit, range, single and maybeSingle.
+// Rows are plain objects; every result is a copy, like a real round trip.
+// Set `maxRows` on the client to cap selects the way PostgREST does, and add
+// a table to `failing` to make every query on it come back with an error.
+
+// Unique keys per table — mirrors the primary keys / unique indexes in supabase/
+const KEYS = {
+  players:           ["puuid"],
+  matches:           ["match_id"],
+  player_matches:    ["puuid", "match_id"],
+  rank_history:      ["puuid", "queue", "recorded_at"],
+  notifications:     ["event_key"],
+  season_results:    ["season_id", "puuid", "queue"],
+  job_locks:         ["job"],
+  postgame_jobs:     ["puuid", "game_id"],
+  awards:            ["award_key"],
+  groups:            ["slug"],
+  group_members:     ["group_slug", "puuid"],
+  backfill_progress: ["puuid"],
+};
+
+// Column defaults the migrations declare, for fixtures and writers that leave them out
+const DEFAULTS = {
+  rank_history:   { queue: "RANKED_SOLO_5x5" },
+  season_results: { queue: "RANKED_SOLO_5x5" },
+  matches:        { queue_id: 420 },
+  player_matches: { queue_id: 420 },
+};
+
+// Tables with a serial `id` column
+const SERIAL = new Set(["rank_history", "seasons", "job_runs", "events", "postgame_jobs", "awards"]);
+
+function createMemorySupabase(seed = {}) {
+  const tables  = {};
+  const serials = {};
+
+  function table(name) {
+    return tables[name] ||= [];
+  }
+
+  for (const [name, rows] of Object.entries(seed)) insertRows(name, rows);
+
+  function insertRows(name, rows) {
+    const out = [];
+    for (const row of rows) {
+      const copy = { ...DEFAULTS[name], ...row };
+      if (SERIAL.has(name) && copy.id == null) copy.id = serials[name] = (serials[name] || 0) + 1;
+      table(name).push(copy);
+      out.push(copy);
+    }
+    return out;
+  }
+
+  const client = {
+    from: (name) => new Query(name, { table, insertRows, maxRows: () => client.maxRows, failing: client.failing }),
+    maxRows: Infinity,
+    failing: new Set(),
+    // Direct access for assertions and fixtures
+    rows:   (name) => table(name).map(r => ({ ...r })),
+    insert: (name, rows) => insertRows(name, Array.isArray(rows) ? rows : [rows]),
+  };
+  return client;
+}
+
+class Query {
+  constructor(name, store) {
+    this.name      = name;
+    this.store     = store;
+    this.op        = "select";
+    this.columns   = "*";
+    this.returning = false;
+    this.filters   = [];
+    this.orders    = [];
+    this.cardinality = null;
+  }
+
+  select(columns = "*") {
+    if (this.op === "select") this.columns = columns;
+    else { this.returning = true; this.columns = columns; }
+    return this;
+  }
+
+  insert(rows)        { this.op = "insert"; this.payload = toArray(rows); return this; }
+  upsert(rows, opts)  { this.op = "upsert"; this.payload = toArray(rows); this.opts = opts || {}; return this; }
+  update(patch)       { this.op = "update"; this.payload = patch; return this; }
+  delete()            { this.op = "delete"; return this; }
+
+  eq(col, v)  { return this.where(r => same(r[col], v)); }
+  neq(col, v) { return this.where(r => !same(r[col], v)); }
+  in(col, vs) { return this.where(r => vs.some(v => same(r[col], v))); }
+  gt(col, v)  { return this.where(r => r[col] != null && cmp(r[col], v) > 0); }
+  gte(col, v) { return this.where(r => r[col] != null && cmp(r[col], v) >= 0); }
+  lt(col, v)  { return this.where(r => r[col] != null && cmp(r[col], v) < 0); }
+  lte(col, v) { return this.where(r => r[col] != null && cmp(r[col], v) <= 0); }
+  is(col, v)  { return this.where(r => (r[col] ?? null) === v); }
+
+  where(fn) { this.filters.push(fn); return this; }
+
+  order(col, { ascending = true } = {}) { this.orders.push({ col, ascending }); return this; }
+  limit(n)       { this.limitTo = n; return this; }
+  range(from, to) { this.rangeFrom = from; this.rangeTo = to; return this; }
+
+  single()      { this.cardinality = "single"; return this; }
+  maybeSingle() { this.cardinality = "maybe";  return this; }
+
+  then(resolve, reject) {
+    let result;
+    try { result = this.run(); }
+    catch (e) { result = { data: null, error: { message: e.message, code: e.code } }; }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  run() {
+    if (this.store.failing.has(this.name)) throw dbError("57P01", `${this.name} is unavailable`);
+    const rows    = this.store.table(this.name);
+    const matches = () => rows.filter(r => this.filters.every(f => f(r)));
+    let data;
+
+    switch (this.op) {
+      case "select":
+        data = matches();
+        break;
+
+      case "insert":
+        for (const row of this.payload) {
+          if (this.conflictFor(row, KEYS[this.name])) throw dbError("23505", `duplicate key in ${this.name}`);
+        }
+        data = this.store.insertRows(this.name, this.payload);
+        break;
+
+      case "upsert": {
+        const keys = this.opts.onConflict ? this.opts.onConflict.split(",").map(s => s.trim()) : KEYS[this.name];
+        data = [];
+        for (const row of this.payload) {
+          const existing = this.conflictFor(row, keys);
+          if (!existing) data.push(...this.store.insertRows(this.name, [row]));
+          else if (!this.opts.ignoreDuplicates) { Object.assign(existing, row); data.push(existing); }
+        }
+        break;
+      }
+
+      case "update":
+        data = matches();
+        for (const row of data) Object.assign(row, this.payload);
+        break;
+
+      case "delete":
+        data = matches();
+        this.store.table(this.name).splice(0, Infinity, ...rows.filter(r => !data.includes(r)));
+        break;
+    }
+
+    if (this.op !== "select" && !this.returning) return { data: null, error: null };
+
+    for (const { col, ascending } of [...this.orders].reverse()) {
+      data = [...data].sort((a, b) => (ascending ? 1 : -1) * cmp(a[col], b[col]));
+    }
+    if (this.rangeFrom != null) data = data.slice(this.rangeFrom, this.rangeTo + 1);
+    if (this.limitTo   != null) data = data.slice(0, this.limitTo);
+    if (this.op === "select")   data = data.slice(0, this.store.maxRows());
+    data = data.map(r => project(r, this.columns));
+
+    if (this.cardinality) {
+      if (data.length > 1) return { data: null, error: { code: "PGRST116", message: "multiple rows" } };
+      if (!data.length && this.cardinality === "single")
+        return { data: null, error: { code: "PGRST116", message: "no rows" } };
+      return { data: data[0] || null, error: null };
+    }
+    return { data, error: null };
+  }
+
+  // Like Postgres, a null in any key column never conflicts
+  conflictFor(row, keys) {
+    const full = { ...DEFAULTS[this.name], ...row };
+    if (!keys || keys.some(k => full[k] == null)) return null;
+    return this.store.table(this.name).find(r => keys.every(k => same(r[k], full[k]))) || null;
+  }
+}
+
+function toArray(rows) {
+  return Array.isArray(rows) ? rows : [rows];
+}
+
+// Postgres compares a text query param against any column type
+function same(a, b) {
+  return a === b || (a != null && b != null && String(a) === String(b));
+}
+
+// Timestamps compare as instants, everything else naturally; nulls sort last
+function cmp(a, b) {
+  if (a == null || b == null) return (a == null) - (b == null);
+  const da = isoTime(a), db = isoTime(b);
+  if (da != null && db != null) return da - db;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function isoTime(v) {
+  return typeof v === "string" && /^\d{4}-\d{2}-\d{2}T/.test(v) ? Date.parse(v) : null;
+}
+
+// "puuid, tier,rank" → only those keys; "*" → everything
+function project(row, columns) {
+  const copy = JSON.parse(JSON.stringify(row));
+  if (!columns || columns.trim() === "*") return copy;
+  return Object.fromEntries(columns.split(",").map(c => c.trim()).filter(Boolean).map(c => [c, copy[c] ?? null]));
+}
+
+function dbError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+module.exports = { createMemorySupabase };
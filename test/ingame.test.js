@@ -0,0 +1,100 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const handler                            = require("../api/ingame");
+const { setup, invoke, playerRow, CRON } = require("./helpers/harness");
+const { soloEntry, liveGame }            = require("./helpers/fake-riot");
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+beforeEach(() => ctx.reset({
+  players: [playerRow("ana"), playerRow("bob")],
+}));
+
+test("nobody in game: nothing changes", async () => {
+  const { status, body } = await invoke(handler, { headers: CRON });
+  assert.equal(status, 200);
+  assert.equal(body.checked, 2);
+  assert.deepEqual(body.inGame, []);
+  assert.equal(body.riot.calls, 2);
+});
+
+test("joining a game stores the live snapshot with ranks", async () => {
+  ctx.riot.spectator("euw1", "ana", liveGame(42, [
+    { puuid: "ana", teamId: 100 },
+    { puuid: "stranger", teamId: 200 },
+  ]));
+  ctx.riot.league("euw1", "stranger", [soloEntry("PLATINUM", "III", 10)]);
+
+  const { body } = await invoke(handler, { headers: CRON });
+  assert.deepEqual(body.justJoined, ["ANA"]);
+
+  const ana = ctx.db.rows("players").find(p => p.puuid === "ana");
+  assert.equal(ana.in_game, true);
+  assert.equal(ana.live_game.gameId, 42);
+  assert.equal(ana.live_game.puuid, "ana");
+  const [blue, red] = ana.live_game.teams;
+  assert.equal(blue.participants[0].tracked, true);
+  assert.deepEqual(blue.participants[0].rank, { tier: "GOLD", rank: "II", lp: 50 });
+  assert.deepEqual(red.participants[0].rank, { tier: "PLATINUM", rank: "III", lp: 10 });
+
+  const [started] = ctx.db.rows("events");
+  assert.equal(started.type, "game_started");
+  assert.equal(started.payload.liveGame.gameId, 42);
+});
+
+test("a different gameId counts as leaving and joining", async () => {
+  ctx.reset({ players: [playerRow("ana", { in_game: true, live_game: { gameId: 1 } })] });
+  ctx.riot.spectator("euw1", "ana", liveGame(2, [{ puuid: "ana" }]));
+
+  const { body } = await invoke(handler, { headers: CRON });
+  assert.deepEqual(body.justLeft, ["ANA"]);
+  assert.deepEqual(body.justJoined, ["ANA"]);
+  assert.equal(ctx.db.rows("players")[0].live_game.gameId, 2);
+  assert.deepEqual(ctx.db.rows("events").map(e => [e.type, e.payload.gameId]),
+    [["game_ended", 1], ["game_started", 2]]);
+});
+
+test("leaving a game queues a postgame job instead of working after the response", async () => {
+  ctx.reset({ players: [playerRow("ana", { in_game: true, live_game: { gameId: 7 } })] });
+
+  const { body } = await invoke(handler, { headers: CRON });
+  assert.deepEqual(body.justLeft, ["ANA"]);
+  assert.equal(ctx.db.rows("players")[0].in_game, false);
+  assert.equal(ctx.db.rows("players")[0].live_game, null);
+
+  const [job] = ctx.db.rows("postgame_jobs");
+  assert.deepEqual([job.puuid, job.game_id, job.state, job.attempts], ["ana", 7, "pending", 0]);
+  assert.deepEqual(ctx.db.rows("events").map(e => e.type), ["game_ended"]);
+  // Only the spectator call — no league or match lookups in this request
+  assert.equal(ctx.riot.calls.length, 1);
+});
+
+test("a spectator error is not a game ending", async () => {
+  ctx.reset({ players: [playerRow("ana", { in_game: true, live_game: { gameId: 77 } })] });
+  ctx.riot.route("euw1.api.riotgames.com", "/lol/spectator/v5/active-games/by-summoner/ana", { status: 503 });
+
+  const { body } = await invoke(handler, { headers: CRON });
+  assert.deepEqual([body.justLeft, body.inGame], [[], ["ANA"]]);
+  const [ana] = ctx.db.rows("players");
+  assert.deepEqual([ana.in_game, ana.live_game.gameId], [true, 77]);
+  assert.deepEqual(ctx.db.rows("postgame_jobs"), []);
+  assert.deepEqual(ctx.db.rows("events"), []);
+});
+
+test("an unexpected error finishes the run and releases the lock", async () => {
+  ctx.reset({ players: [playerRow("ana", { in_game: true, live_game: { gameId: 7 } })] });
+  const from = ctx.db.from;
+  let reads = 0;
+  ctx.db.from = (name) => {
+    if (name === "players" && ++reads > 1) throw new Error("players went away");
+    return from(name);
+  };
+
+  const { status, body } = await invoke(handler, { headers: CRON });
+  assert.deepEqual([status, body.error], [500, "players went away"]);
+  const [run] = ctx.db.rows("job_runs");
+  assert.deepEqual([run.outcome, run.detail], ["error", { error: "players went away" }]);
+  assert.deepEqual(ctx.db.rows("job_locks"), []);
+});
@@ -0,0 +1,28 @@
+const { test } = require("node:test");
+const assert   = require("node:assert/strict");
+
+const { periodRange } = require("../lib/leaderboard");
+
+const TZ   = "Europe/Madrid";
+const from = (period, now) => periodRange(period, new Date(now), TZ).from.toISOString();
+
+test("today, week and month start at local midnight", () => {
+  const now = "2026-10-14T12:00:00Z";   // Wednesday, CEST
+  assert.equal(from("today", now), "2026-10-13T22:00:00.000Z");
+  assert.equal(from("week", now),  "2026-10-11T22:00:00.000Z");
+  assert.equal(from("month", now), "2026-09-30T22:00:00.000Z");
+  assert.equal(from("7d", now),    "2026-10-07T12:00:00.000Z");
+});
+
+test("a period that crosses a DST change starts at that day's own offset", () => {
+  // Clocks go back on Sunday 25 October 2026 at 03:00 CEST
+  const sunday = "2026-10-25T12:00:00Z";
+  assert.equal(from("today", sunday), "2026-10-24T22:00:00.000Z");      // midnight was still CEST
+  assert.equal(from("week", sunday),  "2026-10-18T22:00:00.000Z");      // Mon 19 00:00 CEST
+  assert.equal(from("week", "2026-10-28T12:00:00Z"),  "2026-10-25T23:00:00.000Z");   // Mon 26 00:00 CET
+  assert.equal(from("month", "2026-10-28T12:00:00Z"), "2026-09-30T22:00:00.000Z");   // 1 October, CEST
+
+  // and forward on Sunday 29 March 2026 at 02:00 CET
+  assert.equal(from("week", "2026-03-29T12:00:00Z"),  "2026-03-22T23:00:00.000Z");   // Mon 23 00:00 CET
+  assert.equal(from("month", "2026-03-31T12:00:00Z"), "2026-02-28T23:00:00.000Z");   // 1 March, CET
+});
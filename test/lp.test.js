@@ -0,0 +1,123 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const handler                                = require("../api/reconcile-lp");
+const { attribute, spread, reconcilePlayer } = require("../lib/lp");
+const { leaderboard }                        = require("../lib/leaderboard");
+const { setup, invoke, playerRow, CRON }     = require("./helpers/harness");
+
+const HOUR = 60*60*1000;
+const at   = (h) => new Date(Date.UTC(2026, 9, 1) + h * HOUR).toISOString();
+
+// Snapshot at hour `h`, match that ended at hour `h` (30 min long)
+const snap  = (h, tier, rank, lp) => ({ puuid: "ana", tier, rank, lp, recorded_at: at(h) });
+const match = (id, h, win) => ({ puuid: "ana", match_id: id, win, played_at: at(h - 0.5), duration: 1800 });
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+beforeEach(() => ctx.reset({ players: [playerRow("ana")] }));
+
+const pm = (id) => ctx.db.rows("player_matches").find(r => r.match_id === id);
+
+test("a lone match between two snapshots gets the exact difference", () => {
+  const [row] = attribute(snap(0, "GOLD", "II", 40), snap(2, "GOLD", "II", 61), [{ match_id: "M1", win: true }]);
+  assert.equal(row.lp_delta, 21);
+  assert.equal(row.lp_source, "exact");
+  assert.deepEqual([row.rank_before.lp, row.rank_after.lp], [40, 61]);
+});
+
+test("several matches share the difference from the usual win / loss LP", () => {
+  const rows = attribute(snap(0, "GOLD", "II", 40), snap(5, "GOLD", "II", 66),
+    [{ match_id: "M1", win: true }, { match_id: "M2", win: false }, { match_id: "M3", win: true }],
+    { win: 22, loss: -18 });
+  // Guesses 22 - 18 + 22 = 26 already add up
+  assert.deepEqual(rows.map(r => r.lp_delta), [22, -18, 22]);
+  assert.ok(rows.every(r => r.lp_source === "estimated"));
+  assert.deepEqual(rows[1].rank_before, { tier: "GOLD", rank: "II", lp: 62 });
+  assert.deepEqual(rows[1].rank_after, rows[2].rank_before);
+});
+
+test("the residual is spread so the deltas add up to the snapshot difference", () => {
+  assert.deepEqual(spread([20, 20, -20], 25), [22, 22, -19]);
+  assert.deepEqual(spread([20, -20], -7), [16, -23]);
+});
+
+test("a promotion lands on the match that crossed the boundary", () => {
+  const rows = attribute(snap(0, "GOLD", "I", 80), snap(5, "PLATINUM", "IV", 15),
+    [{ match_id: "M1", win: false }, { match_id: "M2", win: true }, { match_id: "M3", win: true }],
+    { win: 25, loss: -15 });
+  assert.deepEqual(rows.map(r => r.lp_delta), [-15, 25, 25]);
+  assert.deepEqual(rows.map(r => r.rank_after.tier), ["GOLD", "GOLD", "PLATINUM"]);
+  assert.deepEqual(rows[2].rank_before, { tier: "GOLD", rank: "I", lp: 90 });
+});
+
+test("apex tiers share one LP ladder", () => {
+  const two = [{ match_id: "M1", win: true }, { match_id: "M2", win: true }];
+  const gm  = attribute(snap(0, "GRANDMASTER", "I", 500), snap(5, "GRANDMASTER", "I", 540), two);
+  assert.deepEqual(gm.map(r => r.lp_delta), [20, 20]);
+  assert.deepEqual(gm[0].rank_after, { tier: "GRANDMASTER", rank: "I", lp: 520 });
+
+  const up = attribute(snap(0, "MASTER", "I", 480), snap(5, "GRANDMASTER", "I", 520), two);
+  assert.deepEqual(up.map(r => r.lp_delta), [20, 20]);
+  assert.deepEqual(up[1].rank_before, { tier: "GRANDMASTER", rank: "I", lp: 500 });
+});
+
+test("reconcilePlayer brackets matches by snapshot and learns the player's LP per game", async () => {
+  ctx.db.insert("rank_history", [
+    snap(0, "GOLD", "II", 40), snap(2, "GOLD", "II", 65), snap(4, "GOLD", "II", 45), snap(8, "GOLD", "II", 68),
+  ]);
+  ctx.db.insert("player_matches", [
+    match("M1", 1, true), match("M2", 3, false),
+    match("M3", 5, true), match("M4", 6, false), match("M5", 7, true),
+    match("M6", 9, true), // after the last snapshot — unknown yet
+  ]);
+
+  assert.deepEqual(await reconcilePlayer(ctx.db, "ana"), { matches: 5, updated: 5 });
+  assert.deepEqual([pm("M1").lp_delta, pm("M2").lp_delta], [25, -20]);
+  // Estimated with +25 / -20 from the exact ones: 25 - 20 + 25 = 30, 7 too many
+  assert.deepEqual(["M3", "M4", "M5"].map(id => pm(id).lp_delta), [22, -22, 23]);
+  assert.equal(pm("M6").lp_delta, undefined);
+
+  assert.deepEqual(await reconcilePlayer(ctx.db, "ana"), { matches: 5, updated: 0 });
+});
+
+test("reconcilePlayer with since only revisits the recent snapshots", async () => {
+  ctx.db.insert("rank_history", [snap(0, "GOLD", "II", 40), snap(2, "GOLD", "II", 65), snap(4, "GOLD", "II", 45)]);
+  ctx.db.insert("player_matches", [match("M1", 1, true), match("M2", 3, false)]);
+  assert.deepEqual(await reconcilePlayer(ctx.db, "ana", { since: at(3) }), { matches: 1, updated: 1 });
+  assert.equal(pm("M1").lp_delta, undefined);
+  assert.equal(pm("M2").lp_delta, -20);
+});
+
+test("reconcilePlayer pages past the 1000-row response cap", async () => {
+  ctx.db.maxRows = 1000;
+  ctx.db.insert("rank_history", Array.from({ length: 1200 }, (_, i) => snap(i, "GOLD", "II", i % 2 ? 60 : 40)));
+  ctx.db.insert("player_matches", Array.from({ length: 1199 }, (_, i) => match(`M${i}`, i + 1, i % 2 === 0)));
+
+  assert.deepEqual(await reconcilePlayer(ctx.db, "ana"), { matches: 1199, updated: 1199 });
+  assert.ok(ctx.db.rows("player_matches").every(r => r.lp_source === "exact"));
+  assert.deepEqual(["M0", "M1", "M1198"].map(id => pm(id).lp_delta), [20, -20, 20]);
+});
+
+test("the leaderboard averages LP per win and per loss", async () => {
+  ctx.db.insert("rank_history", [snap(0, "GOLD", "II", 40), snap(2, "GOLD", "II", 65), snap(4, "GOLD", "II", 45)]);
+  ctx.db.insert("player_matches", [match("M1", 1, true), match("M2", 3, false)]);
+  await reconcilePlayer(ctx.db, "ana");
+  const [row] = await leaderboard(ctx.db, { from: new Date(at(-1)), to: new Date(at(10)) });
+  assert.deepEqual([row.avgLpWin, row.avgLpLoss], [25, -20]);
+});
+
+test("/api/reconcile-lp needs the cron secret and reports what it updated", async () => {
+  assert.equal((await invoke(handler, {})).status, 401);
+
+  ctx.db.insert("rank_history", [snap(0, "GOLD", "II", 40), snap(2, "GOLD", "II", 65)]);
+  ctx.db.insert("player_matches", [match("M1", 1, true)]);
+  const { status, body } = await invoke(handler, { headers: CRON });
+  assert.equal(status, 200);
+  assert.equal(body.updated, 1);
+  assert.equal(ctx.db.rows("job_runs").at(-1).outcome, "ok");
+
+  assert.equal((await invoke(handler, { headers: CRON, query: { puuid: "nobody" } })).status, 404);
+  assert.equal((await invoke(handler, { headers: CRON, query: { since: "soon" } })).status, 400);
+});
@@ -0,0 +1,89 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+const http                                = require("http");
+
+const { EVENTS, notify, messages, keys } = require("../lib/notify");
+const { createMemorySupabase }           = require("./helpers/memory-supabase");
+
+// Local webhook stand-in: every event type posts to its own path
+let webhook, db;
+const posts   = [];
+const replies = [];   // status codes to answer with, then 204
+
+before(async () => {
+  webhook = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", c => raw += c);
+    req.on("end", () => {
+      posts.push({ path: req.url, ...JSON.parse(raw) });
+      res.writeHead(replies.shift() || 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => webhook.listen(0, "127.0.0.1", resolve));
+  for (const [event, env] of Object.entries(EVENTS)) {
+    process.env[env] = `http://127.0.0.1:${webhook.address().port}/${event}`;
+  }
+});
+after(async () => {
+  for (const env of Object.values(EVENTS)) delete process.env[env];
+  await new Promise(resolve => webhook.close(resolve));
+});
+beforeEach(() => {
+  posts.length = replies.length = 0;
+  db = createMemorySupabase();
+});
+
+const gold = (rank, lp) => ({ tier: "GOLD", rank, lp });
+
+test("each event type posts its message to its own webhook", async () => {
+  const row = { win: true, champ: "Ahri", kills: 10, deaths: 2, assists: 7 };
+  const now = { ...gold("II", 10), wins: 11, losses: 9 };
+  assert.equal(await notify(db, "game_start", keys.gameStart("ana", 42), messages.gameStart("Ana")), true);
+  assert.equal(await notify(db, "game_end", keys.gameEnd("ana", "EUW1_42"), messages.gameEnd("Ana", row, 21)), true);
+  assert.equal(await notify(db, "rank_change", keys.rankChange("ana", now),
+    messages.rankChange("Ana", "promotion", gold("III", 95), now)), true);
+  assert.equal(await notify(db, "streak", keys.streak("ana", "EUW1_42"), messages.streak("Ana", 3, true)), true);
+
+  assert.deepEqual(posts.map(p => [p.path, p.username, p.embeds[0].title]), [
+    ["/game_start",  "Team AWA Tracker", "🎮 Ana ha entrado en partida"],
+    ["/game_end",    "Team AWA Tracker", "✅ Ana — Ahri 10/2/7"],
+    ["/rank_change", "Team AWA Tracker", "⬆️ Ana sube a GOLD II"],
+    ["/streak",      "Team AWA Tracker", "🔥 Ana lleva 3 victorias seguidas"],
+  ]);
+  assert.equal(posts[1].embeds[0].description, "+21 LP");
+  assert.equal(posts[2].embeds[0].description, "GOLD III → GOLD II (10 LP)");
+  assert.deepEqual(db.rows("notifications").map(n => n.event_key), [
+    "game_start:ana:42", "game_end:ana:EUW1_42", "rank_change:ana:GOLD:II:20", "streak:ana:EUW1_42",
+  ]);
+});
+
+test("a key already claimed is not sent again", async () => {
+  const send = () => notify(db, "game_start", keys.gameStart("ana", 42), messages.gameStart("Ana"));
+  assert.equal(await send(), true);
+  assert.equal(await send(), false);
+  assert.equal(posts.length, 1);
+});
+
+test("a failed post releases the claim, so the next run sends it", async () => {
+  const send = () => notify(db, "streak", keys.streak("bob", "EUW1_7"), messages.streak("Bob", 4, false));
+  replies.push(500);
+  await assert.rejects(send(), /Webhook HTTP 500/);
+  assert.equal(db.rows("notifications").length, 0);
+
+  assert.equal(await send(), true);
+  assert.equal(posts.length, 2);
+  assert.equal(posts[1].embeds[0].title, "❄️ Bob lleva 4 derrotas seguidas");
+  assert.deepEqual(db.rows("notifications").map(n => n.event_key), ["streak:bob:EUW1_7"]);
+});
+
+test("no webhook configured → nothing is claimed or sent", async () => {
+  const url = process.env.DISCORD_WEBHOOK_GAME_START;
+  delete process.env.DISCORD_WEBHOOK_GAME_START;
+  try {
+    assert.equal(await notify(db, "game_start", keys.gameStart("ana", 1), messages.gameStart("Ana")), false);
+  } finally {
+    process.env.DISCORD_WEBHOOK_GAME_START = url;
+  }
+  assert.deepEqual([posts.length, db.rows("notifications").length], [0, 0]);
+});
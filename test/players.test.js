@@ -0,0 +1,108 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const handler                      = require("../api/players");
+const { setup, invoke, playerRow } = require("./helpers/harness");
+const { soloEntry }                = require("./helpers/fake-riot");
+
+const AUTH = { authorization: "Bearer admin-key" };
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+beforeEach(() => ctx.reset({
+  players:        [playerRow("ana", { game_name: "Ana", tag_line: "EUW" })],
+  rank_history:   [{ puuid: "ana", tier: "GOLD", rank: "II", lp: 50, recorded_at: new Date().toISOString() }],
+  player_matches: [{ puuid: "ana", match_id: "EUW1_1", win: true, played_at: new Date().toISOString() }],
+}));
+
+test("rejects requests without the admin key", async () => {
+  assert.equal((await invoke(handler)).status, 401);
+  assert.equal((await invoke(handler, { headers: { "x-admin-key": "wrong" } })).status, 401);
+  assert.equal((await invoke(handler, { headers: { "x-admin-key": "admin-key" } })).status, 200);
+});
+
+test("GET lists tracked players", async () => {
+  const { body } = await invoke(handler, { headers: AUTH });
+  assert.deepEqual(body.players.map(p => p.game_name), ["Ana"]);
+});
+
+test("POST resolves a Riot ID and stores the player with a first snapshot", async () => {
+  ctx.riot.account("asia", "Faker", "KR1", "faker");
+  ctx.riot.summoner("kr", "faker", { profileIconId: 6 });
+  ctx.riot.league("kr", "faker", [soloEntry("CHALLENGER", "I", 1500)]);
+
+  const { status, body } = await invoke(handler, {
+    method: "POST", headers: AUTH, body: { riotId: "Faker#KR1", platform: "kr" },
+  });
+  assert.equal(status, 201);
+  assert.equal(body.added.tier, "CHALLENGER");
+  const stored = ctx.db.rows("players").find(p => p.puuid === "faker");
+  assert.equal(stored.platform, "kr");
+  assert.equal(stored.profile_icon_id, 6);
+  assert.equal(ctx.db.rows("rank_history").filter(r => r.puuid === "faker").length, 1);
+});
+
+test("POST validates input and reports unknown or duplicate accounts", async () => {
+  const post = (body) => invoke(handler, { method: "POST", headers: AUTH, body });
+  assert.equal((await post({ riotId: "no-tag" })).status, 400);
+  assert.equal((await post({ riotId: "A#B", platform: "moon1" })).status, 400);
+  assert.equal((await post({ riotId: "Ghost#EUW" })).status, 404);
+
+  ctx.riot.account("europe", "Ana", "EUW", "ana");
+  assert.equal((await post({ riotId: "Ana#EUW" })).status, 409);
+});
+
+test("a Riot failure is a 502, a storage failure a 500", async () => {
+  ctx.riot.route("europe.api.riotgames.com", "/riot/account/v1/accounts/by-riot-id/Ana/EUW", { status: 403, body: {} });
+  const riotDown = await invoke(handler, { method: "POST", headers: AUTH, body: { riotId: "Ana#EUW" } });
+  assert.equal(riotDown.status, 502);
+
+  ctx.db.failing.add("players");
+  const dbDown = await invoke(handler, { headers: AUTH });
+  assert.equal(dbDown.status, 500);
+});
+
+test("POST and PATCH answer 500 when the player lookup fails", async () => {
+  ctx.riot.account("europe", "Ana", "EUW", "ana");
+  ctx.db.failing.add("players");
+  const post  = await invoke(handler, { method: "POST", headers: AUTH, body: { riotId: "Ana#EUW" } });
+  const patch = await invoke(handler, { method: "PATCH", headers: AUTH, query: { puuid: "ana" } });
+  assert.deepEqual([post.status, patch.status], [500, 500]);
+  assert.ok(!ctx.riot.calls.some(c => c.includes("/summoner/")), "nothing past the failed lookup");
+});
+
+test("PATCH picks up a Riot ID rename", async () => {
+  ctx.riot.account("europe", "Ana2", "NEW", "ana");
+  ctx.riot.summoner("euw1", "ana", { summonerLevel: 300 });
+
+  const { body } = await invoke(handler, { method: "PATCH", headers: AUTH, query: { puuid: "ana" } });
+  assert.deepEqual(body.renamed, { from: "Ana#EUW", to: "Ana2#NEW" });
+  assert.equal(ctx.db.rows("players")[0].summoner_level, 300);
+});
+
+test("DELETE drops the player and their history", async () => {
+  ctx.db.insert("backfill_progress", {
+    puuid: "ana", target: new Date(0).toISOString(), since: new Date(0).toISOString(), until: new Date().toISOString(), done: true,
+  });
+  ctx.db.insert("postgame_jobs", { puuid: "ana", platform: "euw1", game_id: 5, state: "done" });
+  ctx.db.insert("awards", { award_key: "tilt:ana:EUW1_1", award: "tilt", puuid: "ana", awarded_at: new Date().toISOString() });
+  ctx.db.insert("season_results", { season_id: 1, puuid: "ana", tier: "GOLD", rank: "IV", lp: 0 });
+  ctx.db.insert("events", { type: "rank_change", puuid: "ana", payload: {} });
+  const tables = ["rank_history", "player_matches", "backfill_progress", "postgame_jobs", "awards", "season_results", "events"];
+
+  // A failed cleanup keeps the player, so the DELETE can be retried
+  ctx.db.failing.add("awards");
+  assert.equal((await invoke(handler, { method: "DELETE", headers: AUTH, query: { puuid: "ana" } })).status, 500);
+  assert.equal(ctx.db.rows("players").length, 1);
+  ctx.db.failing.clear();
+
+  const { status, body } = await invoke(handler, { method: "DELETE", headers: AUTH, query: { puuid: "ana" } });
+  assert.equal(status, 200);
+  assert.equal(body.removed, "Ana#EUW");
+  assert.equal(ctx.db.rows("players").length, 0);
+  assert.deepEqual(tables.filter(t => ctx.db.rows(t).length), []);
+
+  const again = await invoke(handler, { method: "DELETE", headers: AUTH, query: { puuid: "ana" } });
+  assert.equal(again.status, 404);
+});
@@ -0,0 +1,179 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+const http                                = require("http");
+
+const worker                             = require("../api/postgame");
+const jobs                               = require("../api/jobs");
+const { enqueuePostgame }                = require("../lib/postgame");
+const { setup, invoke, playerRow, CRON } = require("./helpers/harness");
+const { soloEntry, matchPayload }        = require("./helpers/fake-riot");
+
+const EUROPE = "europe.api.riotgames.com";
+const ADMIN  = { "x-admin-key": "admin-key" };
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+beforeEach(() => ctx.reset({
+  players:        [playerRow("ana", { lp: 50 }), playerRow("bob")],
+  player_matches: [{ puuid: "ana", match_id: "EUW1_OLD", win: false, played_at: new Date(0).toISOString() }],
+}));
+
+const job = () => ctx.db.rows("postgame_jobs")[0];
+
+test("enqueuing the same game twice keeps one job", async () => {
+  await enqueuePostgame(ctx.db, { puuid: "ana", platform: "euw1", gameId: 5 });
+  await enqueuePostgame(ctx.db, { puuid: "ana", platform: "euw1", gameId: 5 });
+  assert.equal(ctx.db.rows("postgame_jobs").length, 1);
+});
+
+test("the same game ending again re-arms its dead job", async () => {
+  ctx.db.insert("postgame_jobs", {
+    puuid: "ana", platform: "euw1", game_id: 5, state: "dead", attempts: 8, rank_checked: true, lp_delta: 12,
+    last_error: "No new match yet", next_run_at: new Date(0).toISOString(),
+  });
+  await enqueuePostgame(ctx.db, { puuid: "ana", platform: "euw1", gameId: 5 });
+  assert.equal(ctx.db.rows("postgame_jobs").length, 1);
+  assert.deepEqual([job().state, job().attempts, job().rank_checked, job().lp_delta, job().last_error],
+    ["pending", 0, true, 12, null]);
+});
+
+test("a done job is left alone when its game ends again", async () => {
+  ctx.db.insert("postgame_jobs", {
+    puuid: "ana", platform: "euw1", game_id: 5, state: "done", attempts: 1, rank_checked: true, lp_delta: 12,
+    match_id: "EUW1_5", next_run_at: new Date(0).toISOString(),
+  });
+  await enqueuePostgame(ctx.db, { puuid: "ana", platform: "euw1", gameId: 5 });
+  assert.deepEqual([job().state, job().attempts, job().match_id], ["done", 1, "EUW1_5"]);
+  assert.equal((await invoke(worker, { headers: CRON })).body.processed, 0);
+});
+
+test("a due job updates the rank and stores the match for every tracked player in it", async () => {
+  ctx.db.insert("rank_history", [{ puuid: "ana", tier: "GOLD", rank: "II", lp: 50, recorded_at: new Date(Date.now() - 2*60*60*1000).toISOString() }]);
+  await enqueuePostgame(ctx.db, { puuid: "ana", platform: "euw1", gameId: 5 });
+  ctx.riot.league("euw1", "ana", [soloEntry("GOLD", "II", 72, 11, 10)]);
+  // The game's own match is fetched, not whatever is newest
+  ctx.riot.matchIds("europe", "ana", ["EUW1_9", "EUW1_5", "EUW1_OLD"]);
+  ctx.riot.match("europe", matchPayload("EUW1_9", [{ puuid: "ana", win: false }]));
+  ctx.riot.match("europe", matchPayload("EUW1_5", [{ puuid: "ana", win: true }, { puuid: "bob", win: true }]));
+
+  const { status, body } = await invoke(worker, { headers: CRON });
+  assert.equal(status, 200);
+  assert.equal(body.done, 1);
+  assert.deepEqual([job().state, job().match_id, job().lp_delta], ["done", "EUW1_5", 22]);
+
+  assert.equal(ctx.db.rows("players").find(p => p.puuid === "ana").lp, 72);
+  assert.equal(ctx.db.rows("rank_history").length, 2);
+  const stored = ctx.db.rows("player_matches").find(r => r.puuid === "ana" && r.match_id === "EUW1_5");
+  assert.deepEqual([stored.lp_delta, stored.lp_source, stored.rank_before.lp, stored.rank_after.lp], [22, "exact", 50, 72]);
+  assert.deepEqual(ctx.db.rows("player_matches").map(r => `${r.puuid}:${r.match_id}`).sort(),
+    ["ana:EUW1_5", "ana:EUW1_OLD", "bob:EUW1_5"]);
+  assert.deepEqual(ctx.db.rows("events").map(e => e.type), ["rank_changed", "match_stored", "match_stored"]);
+});
+
+test("two jobs for one shared game send each player their own game_end", async () => {
+  const posts   = [];
+  const webhook = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", c => raw += c);
+    req.on("end", () => { posts.push(JSON.parse(raw).embeds[0].title); res.writeHead(204); res.end(); });
+  });
+  await new Promise(resolve => webhook.listen(0, "127.0.0.1", resolve));
+  process.env.DISCORD_WEBHOOK_GAME_END = `http://127.0.0.1:${webhook.address().port}/game_end`;
+  try {
+    await enqueuePostgame(ctx.db, { puuid: "ana", platform: "euw1", gameId: 5 });
+    await enqueuePostgame(ctx.db, { puuid: "bob", platform: "euw1", gameId: 5 });
+    ctx.riot.league("euw1", "ana", []);
+    ctx.riot.league("euw1", "bob", []);
+    ctx.riot.match("europe", matchPayload("EUW1_5", [{ puuid: "ana", win: true }, { puuid: "bob", win: true }]));
+
+    const { body } = await invoke(worker, { headers: CRON });
+    assert.equal(body.done, 2);
+    assert.deepEqual(ctx.db.rows("notifications").map(n => n.event_key).sort(),
+      ["game_end:ana:EUW1_5", "game_end:bob:EUW1_5"]);
+    assert.equal(posts.length, 2);
+    assert.deepEqual(posts.map(t => t.split(" — ")[0]).sort(), ["✅ ANA", "✅ BOB"]);
+  } finally {
+    delete process.env.DISCORD_WEBHOOK_GAME_END;
+    await new Promise(resolve => webhook.close(resolve));
+  }
+});
+
+test("a miss is rescheduled with backoff and the rank is only checked once", async () => {
+  process.env.POSTGAME_DELAYS_SEC = "0,60,0";
+  try {
+    await enqueuePostgame(ctx.db, { puuid: "ana", platform: "euw1", gameId: 5 });
+    ctx.riot.league("euw1", "ana", [soloEntry("GOLD", "II", 30)]);
+
+    const { body } = await invoke(worker, { headers: CRON });
+    assert.equal(body.retry, 1);
+    assert.deepEqual([job().state, job().attempts, job().rank_checked], ["pending", 1, true]);
+    assert.equal(job().last_error, "No new match yet");
+    assert.ok(new Date(job().next_run_at) > new Date(Date.now() + 50*1000));
+
+    // Not due yet → untouched
+    assert.equal((await invoke(worker, { headers: CRON })).body.processed, 0);
+  } finally {
+    process.env.POSTGAME_DELAYS_SEC = "0,0";
+  }
+  const leagueCalls = ctx.riot.calls.filter(c => c.includes("/league/v4/"));
+  assert.equal(leagueCalls.length, 1);
+});
+
+test("Riot errors count as attempts and exhaust into a dead job", async () => {
+  await enqueuePostgame(ctx.db, { puuid: "ana", platform: "euw1", gameId: 5 });
+  ctx.riot.league("euw1", "ana", []);
+  ctx.riot.route(EUROPE, "/lol/match/v5/matches/EUW1_5", { status: 403 });
+
+  await invoke(worker, { headers: CRON });
+  assert.deepEqual([job().state, job().attempts], ["pending", 1]);
+  await invoke(worker, { headers: CRON });
+  assert.deepEqual([job().state, job().attempts], ["dead", 2]);
+  assert.match(job().last_error, /HTTP 403/);
+});
+
+test("a failed league read is retried instead of settling the rank check", async () => {
+  await enqueuePostgame(ctx.db, { puuid: "ana", platform: "euw1", gameId: 5 });
+  ctx.riot.route("euw1.api.riotgames.com", "/lol/league/v4/entries/by-puuid/ana",
+    { status: 403 }, { body: [soloEntry("GOLD", "II", 72, 11, 10)] });
+  ctx.riot.match("europe", matchPayload("EUW1_5", [{ puuid: "ana", win: true }]));
+
+  await invoke(worker, { headers: CRON });
+  assert.deepEqual([job().state, job().rank_checked, job().lp_delta], ["pending", undefined, undefined]);
+  assert.match(job().last_error, /HTTP 403/);
+
+  await invoke(worker, { headers: CRON });
+  assert.deepEqual([job().state, job().rank_checked, job().lp_delta], ["done", true, 22]);
+});
+
+test("a job whose worker died is picked up again after its lease", async () => {
+  ctx.db.insert("postgame_jobs", {
+    puuid: "ana", platform: "euw1", game_id: 5, state: "running", attempts: 1, rank_checked: true,
+    next_run_at: new Date(Date.now() - 1000).toISOString(),
+  });
+  ctx.riot.match("europe", matchPayload("EUW1_5", [{ puuid: "ana", win: false }]));
+
+  const { body } = await invoke(worker, { headers: CRON });
+  assert.equal(body.done, 1);
+  assert.equal(job().attempts, 2);
+});
+
+test("worker requires CRON_SECRET", async () => {
+  assert.equal((await invoke(worker)).status, 401);
+});
+
+test("admin endpoint lists dead jobs and requeues them", async () => {
+  ctx.db.insert("postgame_jobs", {
+    puuid: "ana", platform: "euw1", game_id: 5, state: "dead", attempts: 8,
+    last_error: "No new match yet", next_run_at: new Date().toISOString(), updated_at: new Date().toISOString(),
+  });
+
+  assert.equal((await invoke(jobs)).status, 401);
+  const { body } = await invoke(jobs, { headers: ADMIN });
+  assert.deepEqual(body.jobs.map(j => [j.riotId, j.attempts, j.lastError]), [["ANA#EUW", 8, "No new match yet"]]);
+
+  const requeue = await invoke(jobs, { method: "POST", headers: ADMIN, query: { id: "1" } });
+  assert.equal(requeue.status, 200);
+  assert.deepEqual([job().state, job().attempts], ["pending", 0]);
+  assert.equal((await invoke(jobs, { method: "POST", headers: ADMIN, query: { id: "1" } })).status, 404);
+});
@@ -0,0 +1,111 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const data                                   = require("../api/data");
+const updateRanks                            = require("../api/update-ranks");
+const worker                                 = require("../api/postgame");
+const { enqueuePostgame }                    = require("../lib/postgame");
+const { matchIdsQuery, rankOf }              = require("../lib/queues");
+const { setup, invoke, playerRow, CRON }     = require("./helpers/harness");
+const { soloEntry, flexEntry, matchPayload } = require("./helpers/fake-riot");
+
+const FLEX = "RANKED_FLEX_SR";
+const ago  = (h) => new Date(Date.now() - h*60*60*1000).toISOString();
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => {
+  delete process.env.MATCH_QUEUES;
+  ctx.close();
+});
+beforeEach(() => {
+  delete process.env.MATCH_QUEUES;
+  ctx.reset({
+    players: [playerRow("ana", {
+      ranks: {
+        RANKED_SOLO_5x5: { tier: "GOLD", rank: "II", lp: 50, wins: 10, losses: 10 },
+        [FLEX]:          { tier: "SILVER", rank: "I", lp: 80, wins: 3, losses: 2 },
+      },
+    })],
+  });
+});
+
+test("update-ranks keeps a rank and a history per ranked queue", async () => {
+  ctx.riot.league("euw1", "ana", [soloEntry("GOLD", "II", 50), flexEntry("GOLD", "IV", 10, 4, 2)]);
+
+  const { body } = await invoke(updateRanks, { headers: CRON });
+  assert.equal(body.updated, 1);
+  assert.ok(body.log.some(l => l.startsWith("ANA [Flex]: SILVER I 80LP → GOLD IV")));
+
+  const ana = ctx.db.rows("players")[0];
+  assert.deepEqual([ana.tier, ana.lp, ana.ranks[FLEX].tier], ["GOLD", 50, "GOLD"]);
+  assert.deepEqual(ctx.db.rows("rank_history").map(r => `${r.queue}:${r.tier}`), [`${FLEX}:GOLD`]);
+  const [event] = ctx.db.rows("events");
+  assert.deepEqual([event.payload.queue, event.payload.change], [FLEX, "promotion"]);
+});
+
+test("a solo rank no longer listed is cleared, not kept from the old columns", async () => {
+  ctx.riot.league("euw1", "ana", [flexEntry("SILVER", "I", 80, 3, 2)]);
+  await invoke(updateRanks, { headers: CRON });
+
+  const ana = ctx.db.rows("players")[0];
+  assert.deepEqual([ana.tier, ana.lp, rankOf(ana, "solo"), rankOf(ana, "flex").tier], [null, null, null, "SILVER"]);
+  // Rows from before players.ranks still read the solo columns
+  assert.equal(rankOf(playerRow("old", { ranks: null })).tier, "GOLD");
+});
+
+test("rank modes follow ?queue and count only that queue's games", async () => {
+  ctx.db.insert("rank_history", [
+    { puuid: "ana", queue: "RANKED_SOLO_5x5", tier: "GOLD", rank: "II", lp: 40, recorded_at: ago(30) },
+    { puuid: "ana", queue: FLEX, tier: "SILVER", rank: "I", lp: 60, recorded_at: ago(30) },
+  ]);
+  ctx.db.insert("player_matches", [
+    { puuid: "ana", match_id: "S1", queue_id: 420, win: true, played_at: ago(2) },
+    { puuid: "ana", match_id: "F1", queue_id: 440, win: true, played_at: ago(3) },
+    { puuid: "ana", match_id: "F2", queue_id: 440, win: false, played_at: ago(4) },
+  ]);
+
+  const board = (queue) => invoke(data, { query: { type: "leaderboard", period: "7d", queue } });
+  const { body: solo } = await board();
+  assert.deepEqual([solo.queue, solo.players[0].lpGain, solo.players[0].games], ["solo", 10, 1]);
+  const { body: flex } = await board("flex");
+  assert.deepEqual([flex.queue, flex.players[0].lpGain, flex.players[0].games], ["flex", 20, 2]);
+
+  assert.equal((await board("aram")).status, 400);
+  assert.equal((await board("ranked9")).status, 400);
+});
+
+test("the players mode lists every ranked queue", async () => {
+  const { body } = await invoke(data, { query: { type: "players" } });
+  assert.deepEqual(body.players[0].rankData.map(r => `${r.queueType}:${r.tier}`),
+    ["RANKED_SOLO_5x5:GOLD", `${FLEX}:SILVER`]);
+
+  const { body: catalogue } = await invoke(data, { query: { type: "queues" } });
+  assert.equal(catalogue.default, "solo");
+  assert.deepEqual(catalogue.queues.filter(q => q.matches).map(q => q.key), ["solo", "flex"]);
+});
+
+test("postgame reports the LP of the game's queue and skips untracked queues", async () => {
+  ctx.db.insert("player_matches", [{ puuid: "ana", match_id: "EUW1_OLD", win: false, played_at: ago(48) }]);
+  // Without a game id the worker takes the newest match it can keep
+  await enqueuePostgame(ctx.db, { puuid: "ana", platform: "euw1", gameId: null, queueId: 440 });
+  ctx.riot.league("euw1", "ana", [soloEntry("GOLD", "II", 50), flexEntry("SILVER", "I", 98)]);
+  ctx.riot.matchIds("europe", "ana", ["EUW1_ARAM", "EUW1_FLEX", "EUW1_OLD"]);
+  ctx.riot.match("europe", matchPayload("EUW1_ARAM", [{ puuid: "ana", win: true }], { queueId: 450 }));
+  ctx.riot.match("europe", matchPayload("EUW1_FLEX", [{ puuid: "ana", win: true }], { queueId: 440 }));
+
+  const { body } = await invoke(worker, { headers: CRON });
+  assert.equal(body.done, 1);
+  const [job] = ctx.db.rows("postgame_jobs");
+  assert.deepEqual([job.match_id, job.lp_delta], ["EUW1_FLEX", 18]);
+  assert.deepEqual(ctx.db.rows("player_matches").map(r => `${r.match_id}:${r.queue_id}`).sort(),
+    ["EUW1_FLEX:440", "EUW1_OLD:420"]);
+});
+
+test("the match id filter follows MATCH_QUEUES", () => {
+  assert.equal(matchIdsQuery({ start: 0, count: 10 }), "type=ranked&start=0&count=10");
+  process.env.MATCH_QUEUES = "flex";
+  assert.equal(matchIdsQuery({ count: 5 }), "queue=440&count=5");
+  process.env.MATCH_QUEUES = "solo, aram, bogus";
+  assert.equal(matchIdsQuery({ count: 5 }), "count=5");
+});
@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert   = require("node:assert/strict");
+
+const { rankScore, lpValue, fromLpValue, calcLpGain, divisionChange } = require("../lib/rank");
+
+test("calcLpGain within a division", () => {
+  assert.equal(calcLpGain("GOLD", "II", 60, "GOLD", "II", 40), 20);
+  assert.equal(calcLpGain("GOLD", "II", 20, "GOLD", "II", 40), -20);
+});
+
+test("calcLpGain across divisions and tiers", () => {
+  assert.equal(calcLpGain("GOLD", "I", 10, "GOLD", "II", 90), 20);
+  assert.equal(calcLpGain("PLATINUM", "IV", 0, "GOLD", "I", 85), 15);
+  assert.equal(calcLpGain("SILVER", "I", 75, "GOLD", "IV", 0), -25);
+});
+
+test("calcLpGain above master counts raw LP", () => {
+  assert.equal(calcLpGain("MASTER", "I", 120, "MASTER", "I", 80), 40);
+  assert.equal(calcLpGain("GRANDMASTER", "I", 520, "MASTER", "I", 480), 40);
+  assert.equal(calcLpGain("MASTER", "I", 10, "DIAMOND", "I", 90), 20);
+});
+
+test("calcLpGain is 0 without a previous rank", () => {
+  assert.equal(calcLpGain("GOLD", "II", 60, null, null, null), 0);
+});
+
+test("lpValue and rankScore order ranks", () => {
+  assert.ok(lpValue("GOLD", "I", 0) > lpValue("GOLD", "II", 99));
+  assert.ok(rankScore("PLATINUM", "IV", 0) > rankScore("GOLD", "I", 99));
+});
+
+test("fromLpValue inverts lpValue, apex tiers included", () => {
+  assert.deepEqual(fromLpValue(lpValue("GOLD", "II", 37)), { tier: "GOLD", rank: "II", lp: 37 });
+  assert.deepEqual(fromLpValue(lpValue("MASTER", "I", 140), "GRANDMASTER"), { tier: "GRANDMASTER", rank: "I", lp: 140 });
+  assert.deepEqual(fromLpValue(lpValue("CHALLENGER", "I", 1200), "CHALLENGER"), { tier: "CHALLENGER", rank: "I", lp: 1200 });
+  assert.deepEqual(fromLpValue(lpValue("DIAMOND", "I", 99)), { tier: "DIAMOND", rank: "I", lp: 99 });
+  assert.deepEqual(fromLpValue(-10), { tier: "IRON", rank: "IV", lp: 0 });
+});
+
+test("divisionChange", () => {
+  assert.equal(divisionChange("GOLD", "I", "GOLD", "II"), "promotion");
+  assert.equal(divisionChange("SILVER", "I", "GOLD", "IV"), "demotion");
+  assert.equal(divisionChange("GOLD", "II", "GOLD", "II"), null);
+});
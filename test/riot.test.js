@@ -0,0 +1,64 @@
+const { test, before, after } = require("node:test");
+const assert                  = require("node:assert/strict");
+
+const { createRiotClient, methodOf, parseLimits } = require("../lib/riot");
+const { startFakeRiot }                           = require("./helpers/fake-riot");
+
+const HOST = "euw1.api.riotgames.com";
+let fake;
+
+before(async () => { fake = await startFakeRiot(); });
+after(() => fake.close());
+
+function client() {
+  return createRiotClient("RGAPI-test", { baseUrl: fake.url, backoffMs: 1 });
+}
+
+test("get returns the parsed payload", async () => {
+  fake.reset();
+  fake.route(HOST, "/lol/status", { body: { ok: true } });
+  assert.deepEqual(await client().get(HOST, "/lol/status"), { ok: true });
+  assert.deepEqual(fake.calls, [`${HOST}/lol/status`]);
+});
+
+test("404 throws with the status, getOpt resolves null", async () => {
+  fake.reset();
+  const riot = client();
+  await assert.rejects(riot.get(HOST, "/lol/missing"), e => e.status === 404);
+  assert.equal(await riot.getOpt(HOST, "/lol/missing"), null);
+  assert.equal(riot.stats().retries, 0);
+});
+
+test("5xx is retried with backoff until it succeeds", async () => {
+  fake.reset();
+  fake.route(HOST, "/lol/flaky", { status: 503 }, { status: 500 }, { body: [1] });
+  const riot = client();
+  assert.deepEqual(await riot.get(HOST, "/lol/flaky"), [1]);
+  assert.equal(riot.stats().retries, 2);
+});
+
+test("5xx gives up after maxRetries", async () => {
+  fake.reset();
+  fake.route(HOST, "/lol/down", { status: 502 });
+  const riot = createRiotClient("k", { baseUrl: fake.url, backoffMs: 1, maxRetries: 1 });
+  await assert.rejects(riot.get(HOST, "/lol/down"), e => e.status === 502);
+  assert.equal(fake.calls.length, 2);
+});
+
+test("429 honours Retry-After and blocks only the exceeded bucket", async () => {
+  fake.reset();
+  fake.route(HOST, "/lol/limited",
+    { status: 429, headers: { "retry-after": "1", "x-rate-limit-type": "method" } },
+    { body: "ok" });
+  const riot    = client();
+  const started = Date.now();
+  assert.equal(await riot.get(HOST, "/lol/limited"), "ok");
+  assert.ok(Date.now() - started >= 900);
+  assert.equal(riot.stats().rateLimited, 1);
+});
+
+test("methodOf and parseLimits", () => {
+  assert.equal(methodOf("/lol/match/v5/matches/by-puuid/abc/ids?count=5"), "/lol/match/v5/matches/by-puuid");
+  assert.equal(methodOf("/lol/match/v5/matches/EUW1_1"), "/lol/match/v5/matches");
+  assert.deepEqual(parseLimits("20:1,100:120"), [{ max: 20, windowMs: 1000 }, { max: 100, windowMs: 120000 }]);
+});
@@ -0,0 +1,41 @@
+const { test } = require("node:test");
+const assert   = require("node:assert/strict");
+
+const { startRun, finishRun, lastRuns } = require("../lib/runs");
+const { createMemorySupabase }          = require("./helpers/memory-supabase");
+
+test("a second run of the same job is refused until the first finishes", async () => {
+  const db    = createMemorySupabase();
+  const first = await startRun(db, "ingame");
+  assert.ok(first);
+  assert.equal(await startRun(db, "ingame"), null);
+  assert.ok(await startRun(db, "update-ranks"), "other jobs are not blocked");
+
+  await finishRun(db, first, "ok", { checked: 3 });
+  assert.ok(await startRun(db, "ingame"));
+  assert.deepEqual(db.rows("job_runs").map(r => r.outcome), ["ok", "skipped", "running", "running"]);
+});
+
+test("an expired lock is taken over", async () => {
+  const db    = createMemorySupabase();
+  const stale = await startRun(db, "ingame", { ttlMs: -1 });
+  const next  = await startRun(db, "ingame");
+  assert.ok(next);
+  assert.equal(db.rows("job_locks")[0].run_id, next.id);
+
+  // The crashed run finishing late must not release the new holder's lock
+  await finishRun(db, stale, "error");
+  assert.equal(db.rows("job_locks").length, 1);
+});
+
+test("lastRuns keeps the latest run per job", async () => {
+  const db = createMemorySupabase({
+    job_runs: [
+      { job: "ingame", started_at: "2026-01-01T10:00:00Z", outcome: "error" },
+      { job: "ingame", started_at: "2026-01-01T10:01:00Z", outcome: "ok", duration_ms: 800 },
+    ],
+  });
+  const runs = await lastRuns(db);
+  assert.equal(runs.ingame.outcome, "ok");
+  assert.equal(runs.ingame.durationMs, 800);
+});
@@ -0,0 +1,78 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const { createServer, rewrite }                    = require("../server");
+const { scheduledJobs, nextDelay, startScheduler } = require("../lib/scheduler");
+const { setup, playerRow }                         = require("./helpers/harness");
+
+const ADMIN = { "x-admin-key": "admin-key", "content-type": "application/json" };
+
+let ctx, server, base;
+before(async () => {
+  ctx    = await setup();
+  server = createServer();
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base   = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await ctx.close();
+});
+beforeEach(() => ctx.reset({ players: [playerRow("ana")] }));
+
+test("serves public/ with the vercel.json rewrites", async () => {
+  const home = await fetch(`${base}/`);
+  assert.equal(home.status, 200);
+  assert.match(home.headers.get("content-type"), /text\/html/);
+  assert.match(await home.text(), /<html/);
+
+  assert.equal((await fetch(`${base}/g/office`)).status, 200);
+  assert.equal(rewrite("/g/office/stats.html"), "/stats.html");
+  assert.match(await (await fetch(`${base}/g/office/stats.html`)).text(), /<title>[^<]*<\/title>/);
+  assert.equal((await fetch(`${base}/missing.html`)).status, 404);
+  assert.equal((await fetch(`${base}/..%2Fpackage.json`)).status, 404);
+});
+
+test("mounts api/* with Vercel's query and body helpers", async () => {
+  const { players } = await (await fetch(`${base}/api/data?type=players`)).json();
+  assert.deepEqual(players.map(p => p.puuid), ["ana"]);
+
+  const created = await fetch(`${base}/api/groups`, {
+    method: "POST", headers: ADMIN, body: JSON.stringify({ slug: "office", name: "Oficina" }),
+  });
+  assert.equal(created.status, 200);
+  assert.equal(ctx.db.rows("groups")[0].name, "Oficina");
+
+  assert.equal((await fetch(`${base}/api/groups`, { method: "POST", headers: ADMIN, body: "{nope" })).status, 400);
+  assert.equal((await fetch(`${base}/api/nope`)).status, 404);
+  assert.equal((await fetch(`${base}/api/ingame`)).status, 401);
+});
+
+test("the scheduler calls the cron endpoints with CRON_SECRET", async () => {
+  const results = [];
+  const done = new Promise(resolve => {
+    const scheduler = startScheduler({
+      baseUrl:  base,
+      secret:   process.env.CRON_SECRET,
+      jobs:     [{ name: "postgame", every: 3600 }],
+      onResult: (r) => { results.push(r); scheduler.stop(); resolve(); },
+    });
+  });
+  await done;
+  assert.deepEqual(results.map(r => `${r.job}:${r.status}`), ["postgame:200"]);
+  assert.equal(ctx.db.rows("job_runs")[0].job, "postgame");
+});
+
+test("job intervals come from SCHEDULE_* and 0 turns a job off", () => {
+  const jobs = scheduledJobs({ SCHEDULE_INGAME: "30", SCHEDULE_BACKFILL: "0" });
+  assert.deepEqual(jobs.map(j => `${j.name}:${j.every}`), ["ingame:30", "postgame:60", "update-ranks:900", "weekly-report:604800"]);
+});
+
+test("the weekly report runs on Monday 08:00 UTC slots, not at startup", () => {
+  const weekly = scheduledJobs({}).find(j => j.name === "weekly-report");
+  const HOUR   = 60*60*1000;
+  assert.equal(nextDelay(weekly, Date.parse("2026-10-19T07:00:00Z")), HOUR);
+  assert.equal(nextDelay(weekly, Date.parse("2026-10-19T08:00:00Z")), 7*24*HOUR);
+  assert.equal(nextDelay(weekly, Date.parse("2026-10-21T08:00:00Z")), 5*24*HOUR);
+  assert.equal(nextDelay({ every: 60 }), 60*1000);
+});
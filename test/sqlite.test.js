@@ -0,0 +1,86 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const data                                   = require("../api/data");
+const players                                = require("../api/players");
+const updateRanks                            = require("../api/update-ranks");
+const worker                                 = require("../api/postgame");
+const { enqueuePostgame }                    = require("../lib/postgame");
+const { createSqlite }                       = require("../lib/sqlite");
+const { useStorage }                         = require("../lib/storage");
+const { setup, invoke, CRON }                = require("./helpers/harness");
+const { soloEntry, flexEntry, matchPayload } = require("./helpers/fake-riot");
+
+const AUTH = { "x-admin-key": "admin-key" };
+
+let ctx, db;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+beforeEach(() => {
+  ctx.reset();
+  db?.close();
+  db = createSqlite(":memory:");
+  useStorage(db);
+});
+
+test("the query builder behaves like PostgREST", async () => {
+  const { data: inserted } = await db.from("players").insert([
+    { puuid: "ana", game_name: "Ana", tag_line: "EUW", lp: 10, ranks: { RANKED_SOLO_5x5: { tier: "GOLD" } } },
+    { puuid: "bob", game_name: "Bob", tag_line: "EUW", lp: null, in_game: true },
+  ]).select("puuid, platform, in_game");
+  assert.deepEqual(inserted, [
+    { puuid: "ana", platform: "euw1", in_game: false },
+    { puuid: "bob", platform: "euw1", in_game: true },
+  ]);
+
+  const { error: dup } = await db.from("players").insert({ puuid: "ana", game_name: "Ana", tag_line: "EUW" });
+  assert.equal(dup.code, "23505");
+
+  const { data: ana } = await db.from("players").select("*").eq("puuid", "ana").single();
+  assert.equal(ana.ranks.RANKED_SOLO_5x5.tier, "GOLD");
+  assert.equal((await db.from("players").select("puuid").eq("puuid", "zed").single()).error.code, "PGRST116");
+  assert.equal((await db.from("players").select("puuid").eq("puuid", "zed").maybeSingle()).data, null);
+
+  // Nulls last going up, first going down; range pages after ordering
+  const order = async (ascending) => (await db.from("players").select("puuid").order("lp", { ascending })).data.map(p => p.puuid);
+  assert.deepEqual([await order(true), await order(false)], [["ana", "bob"], ["bob", "ana"]]);
+  assert.deepEqual((await db.from("players").select("puuid").order("puuid").range(1, 1)).data, [{ puuid: "bob" }]);
+  assert.deepEqual((await db.from("players").select("puuid").in("puuid", [])).data, []);
+  assert.deepEqual((await db.from("players").select("puuid").is("lp", null)).data, [{ puuid: "bob" }]);
+
+  await db.from("players").upsert({ puuid: "ana", game_name: "Ana", tag_line: "EUW", lp: 40 }, { onConflict: "puuid" });
+  await db.from("players").upsert({ puuid: "bob", game_name: "Bobby", tag_line: "EUW" }, { ignoreDuplicates: true });
+  const { data: updated } = await db.from("players").update({ in_game: false }).eq("in_game", true).select("puuid");
+  assert.deepEqual(updated, [{ puuid: "bob" }]);
+  const { data: all } = await db.from("players").select("puuid, game_name, lp").order("puuid");
+  assert.deepEqual(all, [{ puuid: "ana", game_name: "Ana", lp: 40 }, { puuid: "bob", game_name: "Bob", lp: null }]);
+
+  const { data: removed } = await db.from("players").delete().neq("puuid", "ana").select("puuid");
+  assert.deepEqual(removed, [{ puuid: "bob" }]);
+});
+
+test("the tracker runs end to end on SQLite", async () => {
+  ctx.riot.account("europe", "Ana", "EUW", "ana");
+  ctx.riot.summoner("euw1", "ana", { profileIconId: 7 });
+  ctx.riot.league("euw1", "ana", [soloEntry("GOLD", "II", 50)]);
+  assert.equal((await invoke(players, { method: "POST", headers: AUTH, body: { riotId: "Ana#EUW" } })).status, 201);
+  // The first snapshot predates the game, so its LP can be attributed
+  await db.from("rank_history").update({ recorded_at: new Date(Date.now() - 2*60*60*1000).toISOString() }).eq("puuid", "ana");
+
+  ctx.riot.league("euw1", "ana", [soloEntry("GOLD", "II", 72, 11, 10), flexEntry("SILVER", "I", 10)]);
+  await enqueuePostgame(db, { puuid: "ana", platform: "euw1", gameId: 5, queueId: 420 });
+  ctx.riot.match("europe", matchPayload("EUW1_5", [{ puuid: "ana", win: true, champ: "Ahri" }]));
+  const { body: run } = await invoke(worker, { headers: CRON });
+  assert.equal(run.done, 1);
+  assert.equal((await invoke(updateRanks, { headers: CRON })).status, 200);
+
+  const { body } = await invoke(data, { query: { type: "players" } });
+  const [ana] = body.players;
+  assert.deepEqual(ana.rankData.map(r => `${r.queueType}:${r.leaguePoints}`), ["RANKED_SOLO_5x5:72", "RANKED_FLEX_SR:10"]);
+  assert.deepEqual([ana.recentMatches[0].champ, ana.recentMatches[0].win, ana.recentMatches[0].lpDelta], ["Ahri", true, 22]);
+
+  const { body: board } = await invoke(data, { query: { type: "leaderboard", period: "7d" } });
+  assert.deepEqual([board.players[0].lpGain, board.players[0].games], [22, 1]);
+  const { data: runs } = await db.from("job_runs").select("job, outcome").order("id");
+  assert.deepEqual(runs.map(r => `${r.job}:${r.outcome}`), ["postgame:ok", "update-ranks:ok"]);
+});
@@ -0,0 +1,27 @@
+const { test, before, after } = require("node:test");
+const assert                  = require("node:assert/strict");
+
+const handler                      = require("../api/status");
+const { setup, invoke, playerRow } = require("./helpers/harness");
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+
+test("public status: who is in game and the last job runs, no Riot calls", async () => {
+  ctx.reset({
+    players: [
+      playerRow("ana", { in_game: true, live_game: { gameId: 9 } }),
+      playerRow("bob", { in_game: false, live_game: { gameId: 3 } }),
+    ],
+    job_runs: [{ job: "ingame", started_at: new Date().toISOString(), outcome: "ok", duration_ms: 120 }],
+  });
+
+  const { status, headers, body } = await invoke(handler);
+  assert.equal(status, 200);
+  assert.equal(headers["access-control-allow-origin"], "*");
+  assert.deepEqual(body.players.map(p => [p.puuid, p.inGame, p.liveGame?.gameId ?? null]),
+    [["ana", true, 9], ["bob", false, null]]);
+  assert.equal(body.runs.ingame.outcome, "ok");
+  assert.equal(ctx.riot.calls.length, 0);
+});
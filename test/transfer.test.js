@@ -0,0 +1,109 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const data                         = require("../api/data");
+const importer                     = require("../api/import");
+const { parseCsv, csvLines }       = require("../lib/transfer");
+const { setup, invoke, playerRow } = require("./helpers/harness");
+
+const ADMIN = { "x-admin-key": "admin-key" };
+
+const pmRow = (puuid, matchId, playedAt, extra = {}) => ({
+  puuid, match_id: matchId, win: true, champ: "Ahri", kills: 5, deaths: 3, assists: 7,
+  items: [3089, 0], runes: { keystone: 8112 }, played_at: playedAt, ...extra,
+});
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+beforeEach(() => ctx.reset({
+  players:        [playerRow("ana"), playerRow("bob", { game_name: 'Bob, "the" Builder' })],
+  player_matches: [
+    pmRow("ana", "M1", "2026-10-01T10:00:00.000Z"),
+    pmRow("ana", "M2", "2026-10-05T10:00:00.000Z", { win: false, lp_delta: -18 }),
+    pmRow("bob", "M2", "2026-10-05T10:00:00.000Z"),
+  ],
+  matches: [
+    { match_id: "M1", duration: 1800, patch: "14.23", data: { ana: { champ: "Ahri" } } },
+    { match_id: "M2", duration: 1500, patch: "14.23", data: {} },
+  ],
+}));
+
+const exportOf = (query) => invoke(data, { query: { type: "export", ...query } });
+
+test("CSV cells with commas, quotes and JSON survive a round trip", () => {
+  const rows = [{ a: 'x, "y"', b: { k: [1, 2] }, c: null }];
+  const text = "a,b,c\r\n" + csvLines(["a", "b", "c"], rows);
+  assert.deepEqual(parseCsv(text), [{ a: 'x, "y"', b: '{"k":[1,2]}', c: null }]);
+});
+
+test("exports a table as CSV with a header and a download name", async () => {
+  const { status, headers, body } = await exportOf({ table: "players", format: "csv" });
+  assert.equal(status, 200);
+  assert.match(headers["content-type"], /text\/csv/);
+  assert.match(headers["content-disposition"], /filename="players\.csv"/);
+  const rows = parseCsv(body);
+  assert.deepEqual(rows.map(r => r.game_name), ["ANA", 'Bob, "the" Builder']);
+  assert.equal(rows[0].lp, "50");
+});
+
+test("JSON export filters by player and date", async () => {
+  const { body } = await exportOf({ table: "player_matches", format: "json", puuid: "ana", from: "2026-10-03T00:00:00Z" });
+  const rows = JSON.parse(body);
+  assert.deepEqual(rows.map(r => r.match_id), ["M2"]);
+  assert.equal(rows[0].lp_delta, -18);
+  assert.deepEqual(rows[0].items, [3089, 0]);
+});
+
+test("matches follow the player filter through player_matches", async () => {
+  const { body } = await exportOf({ table: "matches", format: "json", puuid: "bob" });
+  assert.deepEqual(JSON.parse(body).map(r => r.match_id), ["M2"]);
+});
+
+test("unknown tables and formats are rejected", async () => {
+  assert.equal((await exportOf({ table: "notifications" })).status, 400);
+  assert.equal((await exportOf({ table: "players", format: "xml" })).status, 400);
+});
+
+test("import needs the admin key", async () => {
+  const { status } = await invoke(importer, { method: "POST", query: { table: "players" }, body: [] });
+  assert.equal(status, 401);
+});
+
+test("an exported CSV imports into an empty project and again without duplicates", async () => {
+  const { body: csv } = await exportOf({ table: "player_matches", format: "csv" });
+  ctx.reset();
+
+  for (let i = 0; i < 2; i++) {
+    const { status, body } = await invoke(importer, {
+      method: "POST", query: { table: "player_matches" }, headers: { ...ADMIN, "content-type": "text/csv" }, body: csv,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.imported, 3);
+  }
+  const rows = ctx.db.rows("player_matches");
+  assert.equal(rows.length, 3);
+  const m2 = rows.find(r => r.puuid === "ana" && r.match_id === "M2");
+  assert.deepEqual([m2.win, m2.kills, m2.lp_delta, m2.runes], [false, 5, -18, { keystone: 8112 }]);
+});
+
+test("JSON import upserts on the table key", async () => {
+  const { status } = await invoke(importer, {
+    method: "POST", query: { table: "matches" }, headers: ADMIN,
+    body: [{ match_id: "M1", duration: 1900, patch: "14.24", data: {} }, { match_id: "M3", duration: 1200 }],
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(ctx.db.rows("matches").map(m => `${m.match_id}:${m.duration}`), ["M1:1900", "M2:1500", "M3:1200"]);
+});
+
+test("any invalid row rejects the whole file", async () => {
+  const { status, body } = await invoke(importer, {
+    method: "POST", query: { table: "player_matches", format: "json" }, headers: ADMIN,
+    body: [pmRow("ana", "M9", "2026-10-06T10:00:00Z"), { puuid: "ana", kills: "many" }, { match_id: "M8" }],
+  });
+  assert.equal(status, 400);
+  assert.deepEqual(body.errors.map(e => e.row), [2, 3]);
+  assert.match(body.errors[0].error, /kills: not an integer/);
+  assert.match(body.errors[1].error, /missing puuid/);
+  assert.equal(ctx.db.rows("player_matches").length, 3);
+});
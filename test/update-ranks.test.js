@@ -0,0 +1,98 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+
+const handler                                     = require("../api/update-ranks");
+const { setup, invoke, playerRow, daysAgo, CRON } = require("./helpers/harness");
+const { soloEntry }                               = require("./helpers/fake-riot");
+
+let ctx;
+before(async () => { ctx = await setup(); });
+after(() => ctx.close());
+beforeEach(() => ctx.reset({
+  players: [
+    playerRow("ana", { tier: "GOLD", rank: "II", lp: 90 }),
+    playerRow("bob", { tier: "SILVER", rank: "I", lp: 40, platform: "eun1" }),
+    playerRow("cid"),
+  ],
+}));
+
+test("writes new ranks and a history row only when they changed", async () => {
+  ctx.riot.league("euw1", "ana", [soloEntry("GOLD", "I", 5)]);
+  ctx.riot.league("eun1", "bob", [soloEntry("SILVER", "I", 40)]);
+  ctx.riot.league("euw1", "cid", []);
+
+  const { status, body } = await invoke(handler, { headers: CRON });
+  assert.equal(status, 200);
+  assert.equal(body.updated, 1);
+  assert.ok(body.log.some(l => l.startsWith("CID: unranked")));
+
+  const ana = ctx.db.rows("players").find(p => p.puuid === "ana");
+  assert.deepEqual([ana.tier, ana.rank, ana.lp], ["GOLD", "I", 5]);
+  assert.deepEqual(ctx.db.rows("rank_history").map(r => r.puuid), ["ana"]);
+  const [event] = ctx.db.rows("events");
+  assert.equal(event.type, "rank_changed");
+  assert.equal(event.payload.change, "promotion");
+  // bob lives on EUN1 — his league call must go there
+  assert.ok(ctx.riot.calls.includes("eun1.api.riotgames.com/lol/league/v4/entries/by-puuid/bob"));
+});
+
+test("a failing player is logged and the rest still update", async () => {
+  ctx.riot.route("euw1.api.riotgames.com", "/lol/league/v4/entries/by-puuid/ana", { status: 403 });
+  ctx.riot.league("eun1", "bob", [soloEntry("GOLD", "IV", 0)]);
+
+  const { body } = await invoke(handler, { headers: CRON });
+  assert.ok(body.log.some(l => l.startsWith("✗ ANA: HTTP 403")));
+  assert.equal(ctx.db.rows("players").find(p => p.puuid === "bob").tier, "GOLD");
+});
+
+test("archives ended seasons with the last rank before each end", async () => {
+  ctx.db.insert("seasons", [
+    { name: "S0", starts_at: daysAgo(120), ends_at: daysAgo(60), archived_at: null },
+    { name: "S1", starts_at: daysAgo(60), ends_at: daysAgo(1), archived_at: null },
+  ]);
+  ctx.db.insert("rank_history", [
+    { puuid: "ana", tier: "SILVER", rank: "I", lp: 30, recorded_at: daysAgo(70) },
+    { puuid: "ana", tier: "GOLD", rank: "II", lp: 90, recorded_at: daysAgo(5) },
+  ]);
+  ctx.riot.league("euw1", "ana", [soloEntry("PLATINUM", "IV", 0)]);
+
+  const { body } = await invoke(handler, { headers: CRON });
+  assert.ok(body.log.includes("Season S0 archived") && body.log.includes("Season S1 archived"));
+  const [s0, s1] = ctx.db.rows("seasons");
+  const final = (season) => ctx.db.rows("season_results").find(r => r.puuid === "ana" && r.season_id === season.id);
+  assert.deepEqual([final(s0).tier, final(s0).rank, final(s0).lp], ["SILVER", "I", 30]);
+  assert.deepEqual([final(s1).tier, final(s1).rank, final(s1).lp], ["GOLD", "II", 90]);
+  // No snapshot before the end: unranked for that season
+  assert.equal(ctx.db.rows("season_results").find(r => r.puuid === "bob" && r.season_id === s1.id).tier, null);
+  assert.ok(s0.archived_at && s1.archived_at);
+});
+
+test("500 when no players are tracked", async () => {
+  ctx.reset();
+  assert.equal((await invoke(handler, { headers: CRON })).status, 500);
+});
+
+test("requires CRON_SECRET", async () => {
+  assert.equal((await invoke(handler)).status, 401);
+  assert.equal((await invoke(handler, { headers: { authorization: "Bearer nope" } })).status, 401);
+  assert.equal((await invoke(handler, { headers: { "x-cron-secret": "cron-secret" } })).status, 200);
+});
+
+test("records the run and releases the lock", async () => {
+  await invoke(handler, { headers: CRON });
+  const [run] = ctx.db.rows("job_runs");
+  assert.equal(run.job, "update-ranks");
+  assert.equal(run.outcome, "ok");
+  assert.ok(run.duration_ms >= 0);
+  assert.equal(ctx.db.rows("job_locks").length, 0);
+});
+
+test("an overlapping run is skipped", async () => {
+  ctx.db.insert("job_runs", { job: "update-ranks", started_at: new Date().toISOString(), outcome: "running" });
+  ctx.db.insert("job_locks", { job: "update-ranks", run_id: 1, locked_until: new Date(Date.now() + 60000).toISOString() });
+
+  const { status } = await invoke(handler, { headers: CRON });
+  assert.equal(status, 409);
+  assert.equal(ctx.db.rows("rank_history").length, 0);
+  assert.equal(ctx.db.rows("job_runs")[1].outcome, "skipped");
+});
@@ -0,0 +1,77 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert                              = require("node:assert/strict");
+const http                                = require("http");
+
+const handler                                     = require("../api/weekly-report");
+const { setup, invoke, playerRow, daysAgo, CRON } = require("./helpers/harness");
+
+let ctx, webhook;
+const posts = [];
+
+before(async () => {
+  ctx = await setup();
+  webhook = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", c => raw += c);
+    req.on("end", () => { posts.push(JSON.parse(raw)); res.writeHead(204); res.end(); });
+  });
+  await new Promise(resolve => webhook.listen(0, "127.0.0.1", resolve));
+  process.env.DISCORD_WEBHOOK_WEEKLY = `http://127.0.0.1:${webhook.address().port}/hook`;
+});
+after(async () => {
+  delete process.env.DISCORD_WEBHOOK_WEEKLY;
+  await new Promise(resolve => webhook.close(resolve));
+  await ctx.close();
+});
+beforeEach(() => {
+  posts.length = 0;
+  ctx.reset({
+    players: [
+      playerRow("ana", { game_name: "Ana", lp: 80 }),
+      playerRow("bob", { game_name: "Bob", lp: 99 }),
+    ],
+    rank_history: [
+      { puuid: "ana", tier: "GOLD", rank: "II", lp: 20, recorded_at: daysAgo(8) },
+      { puuid: "bob", tier: "GOLD", rank: "II", lp: 0,  recorded_at: daysAgo(8) },
+    ],
+    player_matches: [
+      { puuid: "ana", match_id: "EUW1_1", win: true, kills: 1, deaths: 1, assists: 1, played_at: daysAgo(2) },
+    ],
+  });
+});
+
+test("posts the player with the most LP among those who played, once per day", async () => {
+  const first = await invoke(handler, { headers: CRON });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.winner, "Ana");
+  assert.equal(first.body.lpGain, 60);
+  assert.equal(first.body.sent, true);
+  assert.match(posts[0].embeds[0].title, /Ana gana la semana/);
+
+  const second = await invoke(handler, { headers: CRON });
+  assert.equal(second.body.sent, false);
+  assert.equal(posts.length, 1);
+});
+
+test("no winner when nobody played", async () => {
+  ctx.reset({ players: [playerRow("ana")] });
+  const { body } = await invoke(handler, { headers: CRON });
+  assert.equal(body.winner, null);
+  assert.equal(posts.length, 0);
+});
+
+test("each group gets its own winner, posted under the group's name", async () => {
+  ctx.db.insert("groups", [{ slug: "duo", name: "Dúo" }, { slug: "empty", name: "Vacío" }]);
+  ctx.db.insert("group_members", [{ group_slug: "duo", puuid: "ana" }]);
+  ctx.db.insert("player_matches", [
+    { puuid: "bob", match_id: "EUW1_2", win: true, kills: 1, deaths: 1, assists: 1, played_at: daysAgo(1) },
+  ]);
+
+  const { body } = await invoke(handler, { headers: CRON });
+  assert.deepEqual([body.winner, body.lpGain], ["Bob", 99]);
+  assert.deepEqual(body.groups, [{ slug: "duo", winner: "Ana", lpGain: 60, sent: true }]);
+  assert.deepEqual(posts.map(p => p.embeds[0].title), ["🏆 Bob gana la semana", "🏆 Ana gana la semana en Dúo"]);
+
+  const day = new Date().toISOString().slice(0, 10);
+  assert.deepEqual(ctx.db.rows("notifications").map(n => n.event_key).sort(), [`weekly:${day}`, `weekly:duo:${day}`]);
+});